@@ -1,6 +1,5 @@
 /**
  * Ultra-Minimal API Server
- * Only 6 essential endpoints
  * Version: 4.0.0 - Minimal Edition
  */
 
@@ -9,11 +8,28 @@ require('dotenv').config({ path: path.join(__dirname, '../config/.env') });
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const db = require('./database/json-db');
-const { processKeywords } = require('./scraper-pro');
+const jobQueue = require('./utils/job-queue-manager');
+const jobEvents = require('./utils/job-events');
+const webhooks = require('./utils/webhook-dispatcher');
+const scheduler = require('./utils/scheduler');
+const resultStore = require('./utils/result-store');
 const authRoutes = require('./routes/auth');
+const webhookRoutes = require('./routes/webhooks');
+const scheduleRoutes = require('./routes/schedules');
+const { requireAuth, requireStreamAuth } = require('./middleware/jwt-auth');
 const exportService = require('./utils/export');
+const { selectorPack } = require('./scraper/config/selector-pack');
+const { validateScrapeRequest, sanitizeJobOptions, sanitizeSearches, parseClaimedFilter } = require('./utils/validation');
+const {
+  SSE_KEEPALIVE_INTERVAL,
+  STREAM_TOKEN_EXPIRE,
+  RESULTS_PAGE_SIZE,
+  MAX_RESULTS_PAGE_SIZE,
+  RESULT_SORTS
+} = require('./utils/constants');
 
 const app = express();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this';
@@ -29,124 +45,90 @@ app.use(express.urlencoded({ extended: true }));
 // Authentication Routes (Public)
 app.use('/api/auth', authRoutes);
 
-/**
- * JWT Authentication Middleware
- */
-const requireAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Authentication required' 
-    });
-  }
-  
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ 
-      error: 'Invalid token',
-      message: 'Authentication failed' 
-    });
-  }
-};
+// Webhook Routes (Authenticated)
+app.use('/api/webhooks', webhookRoutes);
+
+// Schedule Routes (Authenticated)
+app.use('/api/schedules', scheduleRoutes);
 
 /**
  * ENDPOINT 1: POST /api/scrape
  * Submit keywords for scraping, get job ID
+ * Jobs run through the bounded queue (MAX_CONCURRENT_JOBS at a time)
  */
 app.post('/api/scrape', requireAuth, async (req, res) => {
   try {
-    const { keywords } = req.body;
+    // Validate keywords, searches and options
+    const errors = validateScrapeRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: errors.join('; ') 
+      });
+    }
     
-    // Validate keywords
-    if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
+    // Clamp options to server limits
+    const options = sanitizeJobOptions(req.body.options);
+    
+    // Structured searches run as extra keywords named by their label
+    const searches = sanitizeSearches(req.body.searches, req.body.keywords);
+    const keywords = [...(req.body.keywords || []), ...searches.map(search => search.label)];
+    
+    // Optional per-job webhooks: [{ url, events }]
+    const jobWebhooks = req.body.webhooks || [];
+    if (!Array.isArray(jobWebhooks)) {
       return res.status(400).json({ 
         error: 'Validation failed',
-        message: 'Keywords array is required' 
+        message: 'webhooks must be an array' 
       });
     }
+    for (const webhook of jobWebhooks) {
+      const validationError = webhooks.validateWebhook(webhook);
+      if (validationError) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: validationError 
+        });
+      }
+    }
     
     // Generate job ID
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Create job record
+    // Create job record (status and progress are set by the queue)
     const job = {
       jobId,
       userId: req.user.id,
       keywords,
-      status: 'queued',
-      progress: 0,
+      searches: searches.length > 0 ? searches : undefined,
+      options,
       createdAt: new Date().toISOString()
     };
     
-    await db.insert('jobs', job);
-    
-    // Start scraping asynchronously
-    (async () => {
-      try {
-        // Track all results from keywords
-        const allResults = {};
-        
-        await processKeywords(
-          keywords, 
-          null, // customWorkers (use default)
-          null, // customLinkWorkers (use default)
-          {
-            onKeywordStart: async (data) => {
-              console.log(`Starting keyword ${data.index}/${data.total}: ${data.keyword}`);
-              await db.update('jobs', { jobId }, { 
-                status: 'in_progress',
-                currentKeyword: data.keyword
-              });
-            },
-            onProgress: async (data) => {
-              const progress = Math.floor((data.index / data.total) * 100);
-              await db.update('jobs', { jobId }, { 
-                progress,
-                status: 'in_progress',
-                currentKeyword: data.keyword,
-                phase: data.phase
-              });
-            },
-            onKeywordComplete: async (data) => {
-              console.log(`Completed keyword: ${data.keyword} (${data.resultsCount} results)`);
-              if (data.results) {
-                allResults[data.keyword] = data.results;
-              }
-              const progress = Math.floor(((data.index + 1) / data.total) * 100);
-              await db.update('jobs', { jobId }, { progress });
-            }
-          }
-        );
-        
-        // All keywords completed
-        await db.update('jobs', { jobId }, {
-          status: 'completed',
-          progress: 100,
-          results: allResults,
-          completedAt: new Date().toISOString()
-        });
-        console.log(`Job ${jobId} completed successfully`);
-        
-      } catch (error) {
-        console.error('Scraping error:', error);
-        await db.update('jobs', { jobId }, {
-          status: 'failed',
-          error: error.message,
-          failedAt: new Date().toISOString()
-        });
+    // Register job webhooks before queueing so job.started is not missed,
+    // and remove them again if the job could not be queued
+    const createdWebhooks = [];
+    let queued;
+    try {
+      for (const webhook of jobWebhooks) {
+        createdWebhooks.push(await webhooks.createWebhook(req.user.id, webhook, jobId));
       }
-    })();
+      queued = await jobQueue.addJob(job);
+    } catch (error) {
+      await db.delete('webhooks', { jobId });
+      throw error;
+    }
     
     res.json({ 
       success: true, 
       jobId,
-      message: 'Scraping job started',
-      keywords 
+      message: 'Scraping job queued',
+      keywords,
+      searches: searches.length > 0 ? searches : undefined,
+      options,
+      status: queued.status,
+      queuePosition: jobQueue.getQueuePosition(jobId),
+      webhooks: createdWebhooks.length > 0 ? createdWebhooks : undefined
     });
     
   } catch (error) {
@@ -160,7 +142,7 @@ app.post('/api/scrape', requireAuth, async (req, res) => {
 
 /**
  * ENDPOINT 2: GET /api/jobs/:jobId
- * Get job status and results
+ * Get job status and result counts per keyword (places: GET /api/jobs/:jobId/results)
  */
 app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
   try {
@@ -176,7 +158,18 @@ app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
       });
     }
     
-    res.json(job);
+    // Jobs from older versions kept their results inline
+    const { results, ...summary } = job;
+    if (results && !summary.resultCounts) {
+      summary.resultCounts = resultStore.countByKeyword(results);
+      summary.totalPlaces = Object.values(summary.resultCounts).reduce((sum, n) => sum + n, 0);
+    }
+    
+    if (job.status === 'queued') {
+      summary.queuePosition = jobQueue.getQueuePosition(job.jobId);
+    }
+    
+    res.json(summary);
     
   } catch (error) {
     console.error('Get job error:', error);
@@ -187,6 +180,385 @@ app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs/:jobId/results
+ * Places of a job, flattened across keywords, with cursor pagination
+ * Filters: keyword, hasPhone, minRating, category, businessStatus, claimed
+ * Sorting: sort=rating|reviews|name, order=asc|desc
+ * Available while the job runs (keywords finished so far)
+ */
+app.get('/api/jobs/:jobId/results', requireAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    const { keyword, category, businessStatus, sort, order, cursor } = req.query;
+    const filters = { keyword, category, businessStatus, sort, order };
+    const errors = [];
+    
+    if (sort && !RESULT_SORTS.includes(sort)) {
+      errors.push(`sort must be one of: ${RESULT_SORTS.join(', ')}`);
+    }
+    if (order && !['asc', 'desc'].includes(order)) {
+      errors.push('order must be asc or desc');
+    }
+    if (req.query.hasPhone !== undefined) {
+      if (!['true', 'false'].includes(req.query.hasPhone)) {
+        errors.push('hasPhone must be true or false');
+      }
+      filters.hasPhone = req.query.hasPhone === 'true';
+    }
+    if (req.query.claimed !== undefined) {
+      filters.claimed = parseClaimedFilter(req.query.claimed);
+      if (filters.claimed === undefined) {
+        errors.push('claimed must be true, false or unknown');
+      }
+    }
+    if (req.query.minRating !== undefined) {
+      filters.minRating = parseFloat(req.query.minRating);
+      if (isNaN(filters.minRating)) {
+        errors.push('minRating must be a number');
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: errors.join('; ') 
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || RESULTS_PAGE_SIZE, 1), MAX_RESULTS_PAGE_SIZE);
+    
+    // Cursor = position of the last place sent (sort value + identity)
+    // + fingerprint of the filters it was issued for
+    const fingerprint = crypto.createHash('md5').update(JSON.stringify(filters)).digest('hex').slice(0, 8);
+    let after = null;
+    if (cursor) {
+      try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valueType = sort === 'name' ? 'string' : 'number';
+        if (decoded.f !== fingerprint || typeof decoded.id !== 'string' ||
+            !(decoded.v === null || (sort && typeof decoded.v === valueType))) {
+          throw new Error('Cursor mismatch');
+        }
+        after = { v: decoded.v, id: decoded.id };
+      } catch (err) {
+        return res.status(400).json({ 
+          error: 'Invalid cursor',
+          message: 'Cursor is invalid or was issued for different filters' 
+        });
+      }
+    }
+    
+    const places = resultStore.query(await resultStore.getResults(job), filters);
+    const { page, next } = resultStore.pageAfter(places, filters, after, limit);
+    
+    res.json({ 
+      jobId: job.jobId,
+      status: job.status,
+      results: page,
+      total: places.length,
+      limit,
+      nextCursor: next
+        ? Buffer.from(JSON.stringify({ ...next, f: fingerprint })).toString('base64url')
+        : null
+    });
+    
+  } catch (error) {
+    console.error('Get results error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get results',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/reviews
+ * Reviews collected for the job's places (jobs run with options.maxReviews)
+ * Filters: link (one place); pagination: limit, offset
+ */
+app.get('/api/jobs/:jobId/reviews', requireAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || RESULTS_PAGE_SIZE, 1), MAX_RESULTS_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    const reviews = resultStore.flattenReviews(
+      await resultStore.loadReviews(job.jobId),
+      await resultStore.getResults(job),
+      req.query.link || null
+    );
+    
+    res.json({ 
+      jobId: job.jobId,
+      status: job.status,
+      reviews: reviews.slice(offset, offset + limit),
+      total: reviews.length,
+      limit,
+      offset
+    });
+    
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get reviews',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/urls
+ * Status of every place URL a job visited (the <keyword>_urls.json entries); place
+ * lists also show the input each URL came from and inputs not reached yet (PENDING)
+ * Filters: keyword, status; pagination: limit, offset
+ */
+app.get('/api/jobs/:jobId/urls', requireAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    const stored = await resultStore.loadUrlStatuses(job.jobId);
+    const placeLists = (job.searches || []).filter(search => search.type === 'places');
+    let urls = [];
+    
+    for (const keyword of job.keywords) {
+      const statuses = stored[keyword] || [];
+      const list = placeLists.find(search => search.label === keyword);
+      if (!list) {
+        urls.push(...statuses.map(status => ({ keyword, ...status })));
+        continue;
+      }
+      const byUrl = new Map(statuses.map(status => [status.url, status]));
+      urls.push(...list.places.map(place => ({
+        keyword,
+        input: place.input,
+        ...(byUrl.get(place.url) || { url: place.url, status: 'PENDING' })
+      })));
+    }
+    
+    if (req.query.keyword) {
+      urls = urls.filter(entry => entry.keyword === req.query.keyword);
+    }
+    if (req.query.status) {
+      urls = urls.filter(entry => entry.status === req.query.status);
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || RESULTS_PAGE_SIZE, 1), MAX_RESULTS_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    res.json({ 
+      jobId: job.jobId,
+      status: job.status,
+      urls: urls.slice(offset, offset + limit),
+      total: urls.length,
+      limit,
+      offset
+    });
+    
+  } catch (error) {
+    console.error('Get URL statuses error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get URL statuses',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel a queued or running job (partial results are kept)
+ */
+app.post('/api/jobs/:jobId/cancel', requireAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    const status = await jobQueue.cancelJob(job.jobId);
+    
+    if (!status) {
+      return res.status(409).json({ 
+        error: 'Job not cancellable',
+        message: `Job is already ${job.status}` 
+      });
+    }
+    
+    res.json({ 
+      success: true,
+      jobId: job.jobId,
+      status,
+      message: status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested, stopping workers'
+    });
+    
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel job',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of live job progress
+ * Reconnecting clients send Last-Event-ID to replay what they missed
+ */
+app.get('/api/jobs/:jobId/events', requireStreamAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    
+    const send = (entry) => {
+      res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    };
+    
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+    const missed = jobEvents.getEventsSince(job.jobId, lastEventId);
+    missed.forEach(send);
+    
+    if (missed.some(entry => jobEvents.isTerminal(entry))) {
+      return res.end();
+    }
+    
+    // Job finished before this server instance buffered anything for it
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      const hasBuffered = jobEvents.getEventsSince(job.jobId).length > 0;
+      if (!hasBuffered) {
+        res.write(`event: ${job.status}\ndata: ${JSON.stringify({
+          jobId: job.jobId,
+          status: job.status,
+          error: job.error
+        })}\n\n`);
+      }
+      return res.end();
+    }
+    
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_INTERVAL);
+    
+    const onEvent = (entry) => {
+      send(entry);
+      if (jobEvents.isTerminal(entry)) {
+        res.end();
+      }
+    };
+    
+    jobEvents.on(job.jobId, onEvent);
+    
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      jobEvents.off(job.jobId, onEvent);
+    });
+    
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ 
+      error: 'Failed to stream job events',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/stream-token
+ * Issue a short-lived token for the job's event stream (?token=)
+ */
+app.post('/api/jobs/:jobId/stream-token', requireAuth, async (req, res) => {
+  try {
+    const job = await db.findOne('jobs', { 
+      jobId: req.params.jobId,
+      userId: req.user.id 
+    });
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: 'Job not found or access denied' 
+      });
+    }
+    
+    const token = jwt.sign(
+      { id: req.user.id, jobId: job.jobId, scope: 'job-stream' },
+      JWT_SECRET,
+      { expiresIn: STREAM_TOKEN_EXPIRE }
+    );
+    
+    res.json({ 
+      success: true,
+      token,
+      expiresIn: STREAM_TOKEN_EXPIRE,
+      url: `/api/jobs/${job.jobId}/events?token=${token}`
+    });
+    
+  } catch (error) {
+    console.error('Stream token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create stream token',
+      message: error.message 
+    });
+  }
+});
+
 /**
  * ENDPOINT 3: GET /api/jobs
  * List all user jobs (with optional status filter)
@@ -210,7 +582,9 @@ app.get('/api/jobs', requireAuth, async (req, res) => {
       progress: j.progress,
       createdAt: j.createdAt,
       completedAt: j.completedAt,
-      currentKeyword: j.currentKeyword
+      currentKeyword: j.currentKeyword,
+      totalPlaces: j.totalPlaces,
+      queuePosition: j.status === 'queued' ? jobQueue.getQueuePosition(j.jobId) : undefined
     }));
     
     res.json({ 
@@ -230,10 +604,19 @@ app.get('/api/jobs', requireAuth, async (req, res) => {
 /**
  * ENDPOINT 4: GET /api/download/:jobId
  * Download results in JSON/CSV/Excel format
+ * Reviews: embedded in JSON places, a second Excel sheet, or type=reviews for CSV
  */
 app.get('/api/download/:jobId', requireAuth, async (req, res) => {
   try {
-    const { format = 'json' } = req.query;
+    const { format = 'json', type = 'places' } = req.query;
+    
+    const claimed = req.query.claimed === undefined ? undefined : parseClaimedFilter(req.query.claimed);
+    if (req.query.claimed !== undefined && claimed === undefined) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'claimed must be true, false or unknown' 
+      });
+    }
     
     const job = await db.findOne('jobs', { 
       jobId: req.params.jobId,
@@ -247,23 +630,37 @@ app.get('/api/download/:jobId', requireAuth, async (req, res) => {
       });
     }
     
-    if (!job.results || job.status !== 'completed') {
+    // Cancelled jobs keep the partial results collected before cancellation
+    if (!['completed', 'cancelled'].includes(job.status)) {
       return res.status(400).json({ 
         error: 'Results not available',
         message: 'Job is not completed or has no results' 
       });
     }
     
+    let results = await resultStore.getResults(job);
+    if (claimed !== undefined) {
+      results = resultStore.filterByClaimed(results, claimed);
+    }
+    const reviews = await resultStore.loadReviews(job.jobId);
+    
     // Export based on format
+    if (format === 'csv' && type === 'reviews') {
+      const csv = exportService.reviewsToCSV(resultStore.flattenReviews(reviews, results));
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}-reviews.csv"`);
+      return res.send(csv);
+    }
+    
     if (format === 'csv') {
-      const csv = exportService.toCSV(job.results);
+      const csv = exportService.toCSV(resultStore.query(results));
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}.csv"`);
       return res.send(csv);
     }
     
     if (format === 'excel') {
-      const excel = await exportService.toExcel(job.results);
+      const excel = await exportService.toExcel(resultStore.query(results), resultStore.flattenReviews(reviews, results));
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
       res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}.xlsx"`);
       return res.send(excel);
@@ -272,7 +669,7 @@ app.get('/api/download/:jobId', requireAuth, async (req, res) => {
     // Default: JSON
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}.json"`);
-    res.json(job.results);
+    res.json(exportService.withReviews(results, reviews));
     
   } catch (error) {
     console.error('Download error:', error);
@@ -283,6 +680,14 @@ app.get('/api/download/:jobId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/selectors
+ * Selector pack version and which fallback matched for each field since startup
+ */
+app.get('/api/selectors', requireAuth, (req, res) => {
+  res.json(selectorPack.getReport());
+});
+
 /**
  * ENDPOINT 5 (Optional): GET /api/health
  * Health check endpoint
@@ -291,7 +696,9 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok',
     timestamp: new Date().toISOString(),
-    version: '4.0.0'
+    version: '4.0.0',
+    selectorPack: selectorPack.version,
+    queue: jobQueue.getQueueStatus()
   });
 });
 
@@ -312,6 +719,19 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Restore queued jobs from the job store and start processing
+// Subscribe webhooks to queue events before resumed jobs start emitting
+webhooks.init().catch(err => {
+  console.error('Failed to initialize webhooks:', err);
+});
+
+// Scheduled runs are enqueued once restored/resumed jobs are back in line
+jobQueue.init()
+  .then(() => scheduler.init())
+  .catch(err => {
+    console.error('Failed to initialize job queue:', err);
+  });
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -319,7 +739,7 @@ app.listen(PORT, () => {
   console.log('✅ Ultra-Minimal API Server Started');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📋 Total Endpoints: 6`);
+  console.log(`⚙️  Max concurrent jobs: ${jobQueue.maxConcurrentJobs}`);
   console.log('');
   console.log('Authentication:');
   console.log('  - POST /api/auth/signup');
@@ -328,8 +748,28 @@ app.listen(PORT, () => {
   console.log('Core Functionality:');
   console.log('  - POST /api/scrape');
   console.log('  - GET  /api/jobs/:jobId');
+  console.log('  - GET  /api/jobs/:jobId/results');
+  console.log('  - GET  /api/jobs/:jobId/reviews');
+  console.log('  - GET  /api/jobs/:jobId/urls');
+  console.log('  - POST /api/jobs/:jobId/cancel');
+  console.log('  - GET  /api/jobs/:jobId/events');
+  console.log('  - POST /api/jobs/:jobId/stream-token');
   console.log('  - GET  /api/jobs');
   console.log('  - GET  /api/download/:jobId');
+  console.log('  - GET  /api/selectors');
+  console.log('');
+  console.log('Webhooks:');
+  console.log('  - POST   /api/webhooks');
+  console.log('  - GET    /api/webhooks');
+  console.log('  - DELETE /api/webhooks/:webhookId');
+  console.log('  - GET    /api/webhooks/deliveries');
+  console.log('  - POST   /api/webhooks/deliveries/:deliveryId/redeliver');
+  console.log('');
+  console.log('Schedules:');
+  console.log('  - POST   /api/schedules');
+  console.log('  - GET    /api/schedules');
+  console.log('  - GET    /api/schedules/:scheduleId');
+  console.log('  - DELETE /api/schedules/:scheduleId');
   console.log('');
   console.log('Health:');
   console.log('  - GET  /api/health');
@@ -11,7 +11,8 @@ const DB_PATH = path.join(__dirname, 'db.json');
 class JsonDB {
   constructor() {
     this.data = { users: [], jobs: [] };
-    this.init();
+    this.writeChain = Promise.resolve();
+    this.ready = this.init();
   }
 
   async init() {
@@ -25,7 +26,12 @@ class JsonDB {
   }
 
   async save() {
-    await fs.writeFile(DB_PATH, JSON.stringify(this.data, null, 2), 'utf8');
+    // Serialize writes so concurrent jobs never interleave partial files
+    const write = this.writeChain.then(() =>
+      fs.writeFile(DB_PATH, JSON.stringify(this.data, null, 2), 'utf8')
+    );
+    this.writeChain = write.catch(() => {});
+    await write;
   }
 
   async insert(collection, item) {
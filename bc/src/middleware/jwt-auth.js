@@ -0,0 +1,80 @@
+/**
+ * JWT Authentication Middleware
+ * Used by api-server.js and the route modules
+ */
+
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this';
+
+/**
+ * Bearer token authentication
+ */
+const requireAuth = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ 
+      error: 'Unauthorized',
+      message: 'Authentication required' 
+    });
+  }
+  
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    // Stream tokens only grant access to a single job's event stream
+    if (decoded.scope) {
+      throw new Error('Scoped token');
+    }
+    
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(401).json({ 
+      error: 'Invalid token',
+      message: 'Authentication failed' 
+    });
+  }
+};
+
+/**
+ * Event Stream Authentication Middleware
+ * EventSource cannot set headers, so besides the normal Bearer token this
+ * accepts a short-lived stream token for the requested job via ?token=
+ */
+const requireStreamAuth = (req, res, next) => {
+  if (req.headers.authorization) {
+    return requireAuth(req, res, next);
+  }
+  
+  const token = req.query.token;
+  
+  if (!token) {
+    return res.status(401).json({ 
+      error: 'Unauthorized',
+      message: 'Authentication required' 
+    });
+  }
+  
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    if (decoded.scope !== 'job-stream' || decoded.jobId !== req.params.jobId) {
+      throw new Error('Token not valid for this job');
+    }
+    
+    req.user = { id: decoded.id };
+    next();
+  } catch (err) {
+    return res.status(401).json({ 
+      error: 'Invalid token',
+      message: 'Authentication failed' 
+    });
+  }
+};
+
+module.exports = {
+  requireAuth,
+  requireStreamAuth
+};
@@ -22,6 +22,23 @@ const placeSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  keywords: {
+    type: [String]  // Every keyword of the job that found the place
+  },
+  schemaVersion: {
+    type: Number
+  },
+  placeId: {
+    type: String,
+    index: true
+  },
+  cid: {
+    type: String,
+    index: true
+  },
+  canonicalUrl: {
+    type: String
+  },
   name: {
     type: String,
     required: true
@@ -30,10 +47,10 @@ const placeSchema = new mongoose.Schema({
     type: String
   },
   rating: {
-    type: String
+    type: Number
   },
   reviews: {
-    type: String
+    type: Number
   },
   category: {
     type: String
@@ -44,6 +61,12 @@ const placeSchema = new mongoose.Schema({
   website: {
     type: String
   },
+  claimed: {
+    type: mongoose.Schema.Types.Mixed  // true | false | 'unknown'
+  },
+  actionLinks: {
+    type: mongoose.Schema.Types.Mixed
+  },
   coordinates: {
     lat: { type: Number },
     lng: { type: Number }
@@ -52,14 +75,43 @@ const placeSchema = new mongoose.Schema({
     type: String
   },
   openingHours: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  openingHoursRaw: {
     type: String
   },
   businessStatus: {
-    type: String
+    type: String,
+    enum: ['OPERATIONAL', 'TEMPORARILY_CLOSED', 'PERMANENTLY_CLOSED']
   },
   priceLevel: {
+    level: { type: Number },
+    symbol: { type: String },
+    range: {
+      min: { type: Number },
+      max: { type: Number },
+      currency: { type: String }
+    },
+    text: { type: String }
+  },
+  popularTimes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  profile: {
     type: String
   },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  enrichment: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  distanceMeters: {
+    type: Number
+  },
+  attributes: {
+    type: mongoose.Schema.Types.Mixed
+  },
   googleMapsLink: {
     type: String,
     required: true
@@ -0,0 +1,188 @@
+/**
+ * Schedule Routes
+ * Recurring scrapes of a keyword list on a cron expression
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/json-db');
+const scheduler = require('../utils/scheduler');
+const { parseCron, isValidTimezone } = require('../utils/cron');
+const { requireAuth } = require('../middleware/jwt-auth');
+const { validateScrapeRequest, sanitizeJobOptions } = require('../utils/validation');
+
+const CATCH_UP_POLICIES = ['once', 'skip'];
+
+router.use(requireAuth);
+
+/**
+ * POST /api/schedules
+ * Create a schedule
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, keywords, cron, timezone = 'UTC', catchUp = 'once', options = {} } = req.body;
+
+    // Same keyword and option limits as a one-off scrape
+    const errors = validateScrapeRequest({ keywords, options });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.join('; ')
+      });
+    }
+
+    try {
+      parseCron(cron);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Invalid cron expression: ${err.message}`
+      });
+    }
+
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Unknown timezone: ${timezone}`
+      });
+    }
+
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`
+      });
+    }
+
+    const nextRunAt = scheduler.computeNextRun({ cron, timezone });
+    if (!nextRunAt) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Cron expression never matches a date'
+      });
+    }
+
+    const schedule = await db.insert('schedules', {
+      userId: req.user.id,
+      name: name || keywords.slice(0, 3).join(', '),
+      keywords,
+      cron,
+      timezone,
+      catchUp,
+      options: sanitizeJobOptions(options),
+      active: true,
+      nextRunAt,
+      lastRunAt: null,
+      lastJobId: null,
+      history: [],
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedules
+ * List the user's schedules (without run history)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await db.find('schedules', { userId: req.user.id });
+
+    res.json({
+      schedules: schedules.map(({ history, ...schedule }) => ({
+        ...schedule,
+        runs: history.length
+      })),
+      total: schedules.length
+    });
+
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Schedule with its run history (newest first) and each run's job status
+ */
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await db.findOne('schedules', {
+      id: req.params.scheduleId,
+      userId: req.user.id
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        message: 'Schedule not found or access denied'
+      });
+    }
+
+    const history = [];
+    for (const run of [...schedule.history].reverse()) {
+      const job = run.jobId ? await db.findOne('jobs', { jobId: run.jobId }) : null;
+      history.push({ ...run, jobStatus: job ? job.status : undefined });
+    }
+
+    res.json({ ...schedule, history });
+
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to get schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule (jobs it already queued are not affected)
+ */
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    const deleted = await db.delete('schedules', {
+      id: req.params.scheduleId,
+      userId: req.user.id
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        message: 'Schedule not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
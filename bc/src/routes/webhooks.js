@@ -0,0 +1,197 @@
+/**
+ * Webhook Routes
+ * Register webhook URLs and inspect or redeliver their delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/json-db');
+const webhooks = require('../utils/webhook-dispatcher');
+const { requireAuth } = require('../middleware/jwt-auth');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/constants');
+
+router.use(requireAuth);
+
+// Secrets are only returned when a webhook is created
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for all of the user's jobs, or for one job via jobId
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, jobId } = req.body;
+
+    const validationError = webhooks.validateWebhook({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationError
+      });
+    }
+
+    if (jobId) {
+      const job = await db.findOne('jobs', { jobId, userId: req.user.id });
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'Job not found or access denied'
+        });
+      }
+    }
+
+    const webhook = await webhooks.createWebhook(req.user.id, { url, events }, jobId || null);
+
+    res.status(201).json({
+      success: true,
+      webhook
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List the user's webhooks (optionally only those for one job)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = { userId: req.user.id };
+    if (req.query.jobId) {
+      query.jobId = req.query.jobId;
+    }
+
+    const list = await db.find('webhooks', query);
+
+    res.json({
+      webhooks: list.map(toPublicWebhook),
+      total: list.length
+    });
+
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first
+ * Filters: webhookId, jobId, event, status (pending | success | failed)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const query = { userId: req.user.id };
+    for (const key of ['webhookId', 'jobId', 'event', 'status']) {
+      if (req.query[key]) {
+        query[key] = req.query[key];
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const deliveries = (await db.find('webhook_deliveries', query))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      deliveries: deliveries.slice(offset, offset + limit),
+      total: deliveries.length,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('List deliveries error:', error);
+    res.status(500).json({
+      error: 'Failed to list deliveries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a logged delivery again (same payload, new delivery record)
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await db.findOne('webhook_deliveries', {
+      id: req.params.deliveryId,
+      userId: req.user.id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Delivery not found',
+        message: 'Delivery not found or access denied'
+      });
+    }
+
+    const webhook = await db.findOne('webhooks', { id: delivery.webhookId });
+    if (!webhook) {
+      return res.status(410).json({
+        error: 'Webhook deleted',
+        message: 'The webhook for this delivery no longer exists'
+      });
+    }
+
+    const redelivery = await webhooks.redeliver(delivery);
+
+    res.status(202).json({
+      success: true,
+      delivery: redelivery
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Remove a webhook (its delivery log is kept)
+ */
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const deleted = await db.delete('webhooks', {
+      id: req.params.webhookId,
+      userId: req.user.id
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'Webhook not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -46,6 +46,32 @@ function loadBrowserConfig() {
     return defaultBrowserConfig;
 }
 
+/**
+ * Sections of config.json whose keys are read as top-level settings
+ * (e.g. "features": { "enableResume": true } -> CONFIG.enableResume)
+ */
+const GROUPED_SECTIONS = ['features'];
+
+/**
+ * Lift grouped section keys to the top level (explicit top-level keys win)
+ * @param {Object} userConfig - Parsed config.json
+ * @returns {Object} Flattened configuration
+ */
+function liftGroupedSections(userConfig) {
+    const lifted = { ...userConfig };
+    for (const section of GROUPED_SECTIONS) {
+        const group = userConfig[section];
+        if (!group || typeof group !== 'object') continue;
+        
+        for (const [key, value] of Object.entries(group)) {
+            if (lifted[key] === undefined) {
+                lifted[key] = value;
+            }
+        }
+    }
+    return lifted;
+}
+
 /**
  * Load main configuration from config.json
  * @returns {Object} Main configuration
@@ -72,7 +98,7 @@ function loadConfig() {
     try {
         const configPath = path.join(__dirname, '../../../config/config.json');
         if (fs.existsSync(configPath)) {
-            const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+            const userConfig = liftGroupedSections(JSON.parse(fs.readFileSync(configPath, 'utf-8')));
             
             // Handle auto workers
             if (userConfig.parallelWorkers === 'auto') {
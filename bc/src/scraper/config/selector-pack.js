@@ -0,0 +1,224 @@
+/**
+ * Selector pack - Google Maps CSS selectors with ordered fallbacks
+ * Loaded from selectors.json (bundled) and config/selectors.json (optional override,
+ * replaces whole fields). Both files are watched and reloaded on change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const DEFAULT_PACK_PATH = path.join(__dirname, 'selectors.json');
+const OVERRIDE_PACK_PATH = path.join(__dirname, '../../../config/selectors.json');
+const WATCH_INTERVAL = 2000;
+
+/**
+ * Parse and validate a pack file
+ * @param {string} filePath - Pack path
+ * @returns {Object} { version, fields }
+ */
+function readPack(filePath) {
+    const pack = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!pack || typeof pack.fields !== 'object' || Array.isArray(pack.fields)) {
+        throw new Error('"fields" must be an object');
+    }
+
+    for (const [field, selectors] of Object.entries(pack.fields)) {
+        if (!Array.isArray(selectors) || selectors.length === 0 ||
+            selectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+            throw new Error(`"${field}" must be a non-empty list of selectors`);
+        }
+    }
+
+    return { version: String(pack.version || 'unversioned'), fields: pack.fields };
+}
+
+class SelectorPack {
+    constructor() {
+        this.version = null;
+        this.overrideVersion = null;
+        this.fields = {};
+        this.loadedAt = null;
+        this.matches = {};    // field -> { selector -> count, none -> count }
+        this.warned = new Set();
+        this.watching = false;
+        this.load();
+        this.watch();
+    }
+
+    /**
+     * (Re)load the bundled pack and the config/ override.
+     * A broken file keeps the previously loaded selectors.
+     * @returns {boolean} Whether the pack was loaded
+     */
+    load() {
+        try {
+            const base = readPack(DEFAULT_PACK_PATH);
+            const fields = { ...base.fields };
+            let overrideVersion = null;
+
+            if (fs.existsSync(OVERRIDE_PACK_PATH)) {
+                const override = readPack(OVERRIDE_PACK_PATH);
+                Object.assign(fields, override.fields);
+                overrideVersion = override.version;
+            }
+
+            this.version = base.version;
+            this.overrideVersion = overrideVersion;
+            this.fields = fields;
+            this.loadedAt = new Date().toISOString();
+            this.warned.clear();
+            logger.debug(`Selector pack ${this.version}${overrideVersion ? ` + override ${overrideVersion}` : ''} loaded`);
+            return true;
+        } catch (error) {
+            logger.warn('Failed to load selector pack, keeping current selectors', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Reload when either pack file changes (polling, so the override may be created later)
+     */
+    watch() {
+        if (this.watching) return;
+        this.watching = true;
+
+        for (const filePath of [DEFAULT_PACK_PATH, OVERRIDE_PACK_PATH]) {
+            fs.watchFile(filePath, { interval: WATCH_INTERVAL }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) {
+                    logger.info(`Selector pack changed (${path.basename(path.dirname(filePath))}/${path.basename(filePath)}), reloading`);
+                    this.load();
+                }
+            }).unref();
+        }
+    }
+
+    /**
+     * Selectors for a field, in fallback order
+     * @param {string} field - Field name
+     * @returns {Array<string>}
+     */
+    get(field) {
+        const selectors = this.fields[field];
+        if (!selectors) {
+            throw new Error(`Unknown selector field: ${field}`);
+        }
+        return selectors;
+    }
+
+    /**
+     * Record which fallback matched for a field
+     * @param {string} field - Field name
+     * @param {number} index - Index of the matching selector (-1 = none matched)
+     */
+    record(field, index) {
+        const selectors = this.fields[field] || [];
+        const key = index >= 0 && index < selectors.length ? selectors[index] : 'none';
+        const counts = this.matches[field] || (this.matches[field] = {});
+        counts[key] = (counts[key] || 0) + 1;
+
+        // The primary selector stopped matching: likely a layout change
+        if (index > 0 && !this.warned.has(field)) {
+            this.warned.add(field);
+            logger.warn(`Selector fallback used for "${field}": ${key}`);
+        }
+    }
+
+    /**
+     * First matching element for a field
+     * @param {Page} page - Puppeteer page instance
+     * @param {string} field - Field name
+     * @returns {Promise<ElementHandle|null>}
+     */
+    async query(page, field) {
+        const selectors = this.get(field);
+        for (let i = 0; i < selectors.length; i++) {
+            const element = await page.$(selectors[i]);
+            if (element) {
+                this.record(field, i);
+                return element;
+            }
+        }
+        this.record(field, -1);
+        return null;
+    }
+
+    /**
+     * Text (or attribute) of the first fallback whose element passes a check
+     * @param {Page} page - Puppeteer page instance
+     * @param {string} field - Field name
+     * @param {Object} options
+     * @param {string} options.attribute - Read this attribute instead of textContent
+     * @param {Function} options.test - (value) => boolean, defaults to non-empty
+     * @returns {Promise<string|null>} Trimmed value
+     */
+    async queryText(page, field, { attribute = null, test = () => true } = {}) {
+        const selectors = this.get(field);
+        for (let i = 0; i < selectors.length; i++) {
+            try {
+                const element = await page.$(selectors[i]);
+                if (!element) continue;
+                const value = await page.evaluate((el, attr) => (attr ? el.getAttribute(attr) : el.textContent), element, attribute);
+                if (value && value.trim() && test(value.trim())) {
+                    this.record(field, i);
+                    return value.trim();
+                }
+            } catch (e) {}
+        }
+        this.record(field, -1);
+        return null;
+    }
+
+    /**
+     * Wait until any selector of a field appears
+     * @param {Page} page - Puppeteer page instance
+     * @param {string} field - Field name
+     * @param {Object} options - page.waitForSelector options
+     */
+    async waitFor(page, field, options = {}) {
+        const selectors = this.get(field);
+        await page.waitForSelector(selectors.join(', '), options);
+        const index = await page.evaluate(list => list.findIndex(selector => document.querySelector(selector)), selectors);
+        this.record(field, index);
+    }
+
+    /**
+     * Record the match indexes returned from an in-page extraction
+     * @param {Object} indexes - { field: index }
+     */
+    recordAll(indexes) {
+        for (const [field, index] of Object.entries(indexes || {})) {
+            this.record(field, index);
+        }
+    }
+
+    /**
+     * Pack version and fallback match counts
+     * @returns {Object}
+     */
+    getReport() {
+        const fields = {};
+        for (const [field, selectors] of Object.entries(this.fields)) {
+            const counts = this.matches[field] || {};
+            fields[field] = {
+                selectors: selectors.map((selector, index) => ({ index, selector, matches: counts[selector] || 0 })),
+                misses: counts.none || 0
+            };
+        }
+
+        return {
+            version: this.version,
+            overrideVersion: this.overrideVersion,
+            loadedAt: this.loadedAt,
+            fields
+        };
+    }
+}
+
+// Export singleton instance
+const selectorPack = new SelectorPack();
+
+module.exports = {
+    selectorPack,
+    readPack
+};
@@ -4,7 +4,18 @@
 
 const { extractOutletDetails } = require('../extractors/details-extractor');
 const { extractBusinessPhone } = require('../extractors/phone-extractor');
+const { extractOpeningHours } = require('../extractors/hours-extractor');
+const { extractReviews } = require('../extractors/reviews-extractor');
+const { extractAboutAttributes } = require('../extractors/about-extractor');
+const { extractActionLinks } = require('../extractors/action-links-extractor');
+const { extractClaimStatus } = require('../extractors/claim-detector');
+const { extractPopularTimes } = require('../extractors/popular-times-extractor');
+const { applyProfile } = require('../profiles');
+const { selectorPack } = require('../config/selector-pack');
 const { captchaDetector } = require('../utils/captcha-detector');
+const { normalizePlace } = require('../utils/place-normalizer');
+const { isPlaceUrl, isMapsUrl, localizeUrl } = require('../utils/maps-urls');
+const { getLocale, matchStatus, phrasePattern } = require('../locales');
 
 /**
  * Scrape place data (creates new tab)
@@ -23,7 +34,7 @@ async function scrapePlace(browserOrContext, link, index, total) {
         // Enable request interception from browser-config.json
         await page.goto(link, { waitUntil: 'domcontentloaded', timeout: 45000 });
         // Wait for a key element to ensure the page content is loaded
-        await page.waitForSelector('h1.DUwDvf.lfPIob', { timeout: 10000 }); // Wait for the main business name heading
+        await selectorPack.waitFor(page, 'placeTitle', { timeout: 10000 }); // Wait for the main business name heading
         await new Promise(resolve => setTimeout(resolve, 1500));
         
         // 🛡️ Check for CAPTCHA / Bot Detection
@@ -39,9 +50,9 @@ async function scrapePlace(browserOrContext, link, index, total) {
             return null;
         }
         
-        // Check if it's an About page or blank and skip
+        // Check if it's an About page or blank, or a share link that led off Maps, and skip
         const currentUrl = page.url();
-        if (currentUrl.includes('/about') || currentUrl.includes('about?') || currentUrl.includes('about:blank') || !currentUrl.includes('maps/place')) {
+        if (!isPlaceUrl(currentUrl) || !isMapsUrl(currentUrl)) {
             await page.close();
             return null;
         }
@@ -52,30 +63,38 @@ async function scrapePlace(browserOrContext, link, index, total) {
         // Extract phone numbers from specific elements only (not entire page)
         const phones = await extractBusinessPhone(page);
         
-        // Extract coordinates from URL
-        const coordMatch = link.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
-        const coordinates = coordMatch ? {
-            latitude: parseFloat(coordMatch[1]),
-            longitude: parseFloat(coordMatch[2])
-        } : null;
+        // Menu / reservation / order / appointment buttons (third-party providers)
+        let actionLinks = null;
+        try {
+            actionLinks = await extractActionLinks(page);
+        } catch (e) {}
+        
+        // "Own this business?" prompt / owner-only content
+        let claimed = 'unknown';
+        try {
+            ({ claimed } = await extractClaimStatus(page));
+        } catch (e) {}
         
         // Extract plus code
-        const plusCodeEl = await page.$('button[data-item-id="oloc"]');
-        const plusCode = plusCodeEl ? await page.evaluate(el => el.getAttribute('aria-label'), plusCodeEl) : null;
+        const plusCode = await selectorPack.queryText(page, 'plusCode', { attribute: 'aria-label' });
         
         // Extract opening hours
-        const hoursButton = await page.$('button[data-item-id*="hours"]');
-        const hours = hoursButton ? await page.evaluate(el => el.getAttribute('aria-label'), hoursButton) : null;
+        const hours = await selectorPack.queryText(page, 'hoursButton', { attribute: 'aria-label' });
         
         // Extract business status (open/closed)
-        const statusEl = await page.$('[class*="fontBodyMedium"][jsaction*="pane.rating"]');
-        const businessStatus = statusEl ? await page.evaluate(el => el.textContent, statusEl) : null;
+        const businessStatus = await selectorPack.queryText(page, 'statusSummary');
         
         // Extract price level
-        const priceEl = await page.$('[aria-label*="Price"]');
-        const priceLevel = priceEl ? await page.evaluate(el => el.getAttribute('aria-label'), priceEl) : null;
+        const priceLevel = await selectorPack.queryText(page, 'priceLevel', { attribute: 'aria-label' });
+        
+        // Expand and read the weekly hours panel (last: expanding changes the panel)
+        let hoursDetails = null;
+        try {
+            hoursDetails = await extractOpeningHours(page);
+        } catch (e) {}
         
-        const result = {
+        // Coordinates are parsed from the link / page URL by normalizePlace
+        return normalizePlace({
             name: details.name,
             phone: phones.length > 0 ? [...new Set(phones)].join(', ') : 'Not found',
             rating: details.rating,
@@ -83,15 +102,15 @@ async function scrapePlace(browserOrContext, link, index, total) {
             category: details.category,
             address: details.address,
             website: details.website,
-            coordinates: coordinates,
+            actionLinks,
+            claimed,
             plusCode: plusCode ? plusCode.replace('Plus code: ', '') : 'Not found',
             openingHours: hours ? hours.replace(/Hours:\s*/i, '') : 'Not found',
             businessStatus: businessStatus || 'Not found',
             priceLevel: priceLevel || 'Not found',
+            hoursDetails,
             link: link
-        };
-        
-        return result;
+        }, { link, pageUrl: currentUrl });
     } catch (error) {
         return { error: 'SCRAPE_FAILED', message: error.message };
     } finally {
@@ -114,14 +133,20 @@ async function scrapePlace(browserOrContext, link, index, total) {
  * @param {number} total - Total places
  * @param {Browser} browser - Browser instance (optional)
  * @param {number} retryCount - Retry attempt count
+ * @param {Object} scrapeOptions - { profile, aboutAttributes, maxReviews, reviewsSort, language, region }; the
+ *   About tab and reviews are only scraped when aboutAttributes / maxReviews are set
  * @returns {Promise<Object>} Scraped data
  */
-async function scrapePlaceInTab(page, link, index, total, browser = null, retryCount = 0) {
+async function scrapePlaceInTab(page, link, index, total, browser = null, retryCount = 0, scrapeOptions = {}) {
+    // UI text of the job language (hl)
+    const locale = getLocale(scrapeOptions.language);
+    const hoursLabel = new RegExp(`^(?:${phrasePattern(locale.hoursLabel)})\\s*:\\s*`, 'i');
+    
     try {
         // Navigate to link in SAME tab (no new tab = no popup!)
-        await page.goto(link, { waitUntil: 'domcontentloaded', timeout: 45000 });
+        await page.goto(localizeUrl(link, scrapeOptions), { waitUntil: 'domcontentloaded', timeout: 45000 });
         // Wait for a key element to ensure the page content is loaded
-        await page.waitForSelector('h1.DUwDvf.lfPIob', { timeout: 10000 }); // Wait for the main business name heading
+        await selectorPack.waitFor(page, 'placeTitle', { timeout: 10000 }); // Wait for the main business name heading
         await new Promise(resolve => setTimeout(resolve, 1500));
         
         // 🛡️ CAPTCHA Detection
@@ -131,94 +156,54 @@ async function scrapePlaceInTab(page, link, index, total, browser = null, retryC
             throw new Error('CAPTCHA_BROWSER_RESTART_NEEDED');
         }
         
-        // Check if it's an About page or blank and skip
+        // Check if it's an About page or blank, or a share link that led off Maps, and skip
         const currentUrl = page.url();
-        if (currentUrl.includes('/about') || currentUrl.includes('about?') || currentUrl.includes('about:blank') || !currentUrl.includes('maps/place')) {
+        if (!isPlaceUrl(currentUrl) || !isMapsUrl(currentUrl)) {
             return { error: 'INVALID_URL' };
         }
         
         // Extract details
-        const details = await extractOutletDetails(page);
+        const details = await extractOutletDetails(page, locale);
         
         // Extract phone numbers from specific elements only (not entire page)
         const phones = await extractBusinessPhone(page);
         
-        // Extract coordinates from URL
-        const coordMatch = link.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
-        const coordinates = coordMatch ? {
-            latitude: parseFloat(coordMatch[1]),
-            longitude: parseFloat(coordMatch[2])
-        } : null;
+        // Menu / reservation / order / appointment buttons (third-party providers)
+        let actionLinks = null;
+        try {
+            actionLinks = await extractActionLinks(page);
+        } catch (e) {}
+        
+        // "Own this business?" prompt / owner-only content
+        let claimed = 'unknown';
+        try {
+            ({ claimed } = await extractClaimStatus(page));
+        } catch (e) {}
         
         // Extract plus code
-        const plusCodeEl = await page.$('button[data-item-id="oloc"]');
-        const plusCode = plusCodeEl ? await page.evaluate(el => el.getAttribute('aria-label'), plusCodeEl) : null;
+        const plusCode = await selectorPack.queryText(page, 'plusCode', { attribute: 'aria-label' });
         
-        // Extract opening hours with accurate CSS selector (user provided)
+        // Extract opening hours (selector pack: holidayNotice, hoursSummary, hoursButton)
         let hours = null;
         let holidayNotice = null;
         
         try {
             // Check for holiday/special hours notice first
-            const holidaySelectors = [
-                'div.zaf2le.ITx4Ud', // Holiday notice class
-                'div[class*="zaf2le"]',
-                '[class*="holiday"]'
-            ];
+            holidayNotice = await selectorPack.queryText(page, 'holidayNotice');
             
-            for (const selector of holidaySelectors) {
-                try {
-                    const element = await page.$(selector);
-                    if (element) {
-                        const notice = await page.evaluate(el => el.textContent, element);
-                        if (notice && notice.trim()) {
-                            holidayNotice = notice.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {}
-            }
-            
-            // Primary: User-provided CSS selector for opening hours (accurate!)
-            const hoursSelectors = [
-                'span.ZDu9vd', // Most accurate - contains status + hours
-                '#QA0Szd > div > div > div.w6VYqd > div.bJzME.tTVLSc > div > div.e07Vkf.kA9KIf > div > div > div:nth-child(11) > div.OqCZI.fontBodyMedium.tekgWe.WVXvdc > div.OMl5r.hH0dDd > div.MkV9 > div.o0Svhf > span.ZDu9vd',
-                'div.o0Svhf > span.ZDu9vd', // Simplified with parent
-                'div.MkV9 span', // Container div
-                'div.OMl5r.hH0dDd span', // Specific div class
-                'button[data-item-id*="hours"]', // Button method fallback
-                'div.fontBodyMedium.WVXvdc span' // General pattern
-            ];
-            
-            for (const selector of hoursSelectors) {
-                try {
-                    const element = await page.$(selector);
-                    if (element) {
-                        const text = await page.evaluate(el => el.textContent, element);
-                        if (text && text.trim() && !text.includes('Hours') && !text.includes('aria-label')) {
-                            hours = text.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {}
-            }
+            // Status + today's hours ("Open · Closes 10 pm")
+            hours = await selectorPack.queryText(page, 'hoursSummary', {
+                test: text => !locale.hoursLabel.some(label => text.includes(label)) && !text.includes('aria-label')
+            });
             
             // Additional fallback: aria-label extraction
             if (!hours) {
-                const hoursButton = await page.$('button[aria-label*="Hours"]');
-                if (hoursButton) {
-                    hours = await page.evaluate(el => el.getAttribute('aria-label'), hoursButton);
-                }
+                hours = await selectorPack.queryText(page, 'hoursButton', { attribute: 'aria-label' });
             }
             
             // If still no hours found, check for hotel check-in/check-out times
             if (!hours) {
                 try {
-                    const checkInSelectors = [
-                        'span[style*="font-weight: 400"]:has-text("Check-in")',
-                        'div.Io6YTe.fontBodyMedium.kR99db.fdkmkc span'
-                    ];
-                    
                     let checkInTime = null;
                     let checkOutTime = null;
                     
@@ -226,10 +211,10 @@ async function scrapePlaceInTab(page, link, index, total, browser = null, retryC
                     const allSpans = await page.$$('span');
                     for (const span of allSpans) {
                         const text = await page.evaluate(el => el.textContent, span);
-                        if (text && text.includes('Check-in time:')) {
+                        if (text && locale.checkIn.some(phrase => text.includes(phrase))) {
                             checkInTime = text.trim();
                         }
-                        if (text && text.includes('Check-out time:')) {
+                        if (text && locale.checkOut.some(phrase => text.includes(phrase))) {
                             checkOutTime = text.trim();
                         }
                     }
@@ -257,62 +242,33 @@ async function scrapePlaceInTab(page, link, index, total, browser = null, retryC
         let businessStatus = null;
         try {
             // Extract from the hours text if it contains status
-            if (hours && (hours.includes('Open') || hours.includes('Closed'))) {
-                // Parse status from hours text
-                if (hours.includes('Open')) {
-                    businessStatus = 'Open';
-                } else if (hours.includes('Closed')) {
-                    businessStatus = 'Closed';
-                }
-                if (hours.includes('Permanently closed')) {
-                    businessStatus = 'Permanently closed';
-                } else if (hours.includes('Temporarily closed')) {
-                    businessStatus = 'Temporarily closed';
-                }
-            }
+            businessStatus = matchStatus(hours, locale);
             
             // If not found in hours, try dedicated status selectors
             if (!businessStatus) {
-                const statusSelectors = [
-                    'span[style*="color: rgba(25,134,57"]', // Green = Open
-                    'span[style*="color: rgba(212,49,38"]', // Red = Closed
-                    'span.ZDu9vd span:first-child', // First span in hours element
-                    '[aria-label*="Open"]',
-                    '[aria-label*="Closed"]'
-                ];
-                
-                for (const selector of statusSelectors) {
-                    const statusEl = await page.$(selector);
-                    if (statusEl) {
-                        const text = await page.evaluate(el => el.textContent, statusEl);
-                        if (text && (text.includes('Open') || text.includes('Closed'))) {
-                            businessStatus = text.trim();
-                            break;
-                        }
-                    }
-                }
+                const badge = await selectorPack.queryText(page, 'statusBadge', {
+                    test: text => matchStatus(text, locale) !== null
+                });
+                businessStatus = badge ? matchStatus(badge, locale) : null;
             }
         } catch (e) {}
         
         // Extract price level
-        let priceLevel = null;
+        const priceLevel = await selectorPack.queryText(page, 'priceLevel', { attribute: 'aria-label' });
+        
+        // Popular times histogram (null when the place has none)
+        let popularTimes = null;
         try {
-            const priceSelectors = [
-                '[aria-label*="Price"]',
-                'span[aria-label*="₹"]',
-                '[aria-label*="Expensive"]',
-                '[aria-label*="Moderate"]'
-            ];
-            for (const selector of priceSelectors) {
-                const priceEl = await page.$(selector);
-                if (priceEl) {
-                    priceLevel = await page.evaluate(el => el.getAttribute('aria-label'), priceEl);
-                    if (priceLevel) break;
-                }
-            }
+            popularTimes = await extractPopularTimes(page);
+        } catch (e) {}
+        
+        // Expand and read the weekly hours panel (last: expanding changes the panel)
+        let hoursDetails = null;
+        try {
+            hoursDetails = await extractOpeningHours(page, locale);
         } catch (e) {}
         
-        return {
+        const place = normalizePlace({
             name: details.name,
             phone: phones.length > 0 ? [...new Set(phones)].join(', ') : 'Not found',
             rating: details.rating,
@@ -320,13 +276,48 @@ async function scrapePlaceInTab(page, link, index, total, browser = null, retryC
             category: details.category,
             address: details.address,
             website: details.website,
-            coordinates: coordinates,
-            plusCode: plusCode ? plusCode.replace('Plus code: ', '') : 'Not found',
-            openingHours: hours ? hours.replace(/Hours:\s*/i, '') : 'Not found',
+            actionLinks,
+            claimed,
+            plusCode: plusCode ? plusCode.replace(/^[^:]*:\s*/, '') : 'Not found',
+            openingHours: hours ? hours.replace(hoursLabel, '') : 'Not found',
             businessStatus: businessStatus || 'Not found',
             priceLevel: priceLevel || 'Not found',
+            hoursDetails,
+            popularTimes,
             link: link
-        };
+        }, { link, pageUrl: currentUrl });
+        
+        // Category profile (hotel, restaurant, healthcare) adds place.details from the overview
+        await applyProfile(page, place, scrapeOptions.profile);
+        
+        // About tab attributes (opt-in): switches tabs, so it runs after the overview
+        if (scrapeOptions.aboutAttributes) {
+            try {
+                place.attributes = await extractAboutAttributes(page);
+            } catch (e) {
+                place.attributes = null;
+            }
+        }
+        
+        // Reviews (opt-in): opens the Reviews tab, so it runs after everything else
+        if (scrapeOptions.maxReviews) {
+            try {
+                place.userReviews = await extractReviews(page, {
+                    limit: scrapeOptions.maxReviews,
+                    sort: scrapeOptions.reviewsSort,
+                    locale
+                });
+            } catch (e) {
+                place.userReviews = [];
+            }
+            
+            // Owner responses are only possible on claimed listings
+            if (place.claimed === 'unknown' && place.userReviews.some(review => review.ownerResponse)) {
+                place.claimed = true;
+            }
+        }
+        
+        return place;
     } catch (error) {
         return { error: 'SCRAPE_FAILED', message: error.message };
     }
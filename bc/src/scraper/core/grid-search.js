@@ -0,0 +1,121 @@
+/**
+ * Grid search - covers an area with one Maps search per tile to get past the
+ * ~120 results a single search returns. Tiles that hit the cap are split into
+ * quadrants; links are deduplicated across tiles before they are streamed.
+ */
+
+const logger = require('../../utils/logger');
+const {
+    GRID_SPLIT_THRESHOLD,
+    GRID_MAX_DEPTH,
+    SEARCH_VIEWPORT_PIXELS
+} = require('../../utils/constants');
+const { extractPlaceLinksStreaming } = require('./link-extractor');
+const { buildSearchUrl, placeLinkKey } = require('../utils/maps-urls');
+const { parseCoordinates } = require('../utils/place-normalizer');
+const {
+    tileBbox,
+    splitBbox,
+    bboxCenter,
+    bboxIntersectsRings,
+    pointInRings,
+    pointInBbox,
+    zoomForSpan,
+    haversineMeters
+} = require('../utils/geo');
+
+/**
+ * Initial tiles of a grid search (tiles outside the polygon are dropped)
+ * @param {Object} search - Sanitized grid search { bbox, polygon, tileSizeMeters }
+ * @returns {Array} Tile bboxes
+ */
+function planTiles(search) {
+    const tiles = tileBbox(search.bbox, search.tileSizeMeters);
+    return search.polygon ? tiles.filter(tile => bboxIntersectsRings(tile, search.polygon)) : tiles;
+}
+
+/**
+ * Whether a place link lies in the searched area (links without coordinates are kept)
+ */
+function isInArea(link, search) {
+    const coordinates = parseCoordinates(link);
+    if (!coordinates) return true;
+    return search.polygon
+        ? pointInRings(coordinates.latitude, coordinates.longitude, search.polygon)
+        : pointInBbox(coordinates.latitude, coordinates.longitude, search.bbox);
+}
+
+/**
+ * Stream the place links of a grid search
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} search - Sanitized grid search { label, category, bbox, polygon, tileSizeMeters }
+ * @param {Function} onLinksFound - Callback with new (deduplicated) links
+ * @param {Function} triggerProgress - Progress callback
+ * @param {Object} options - Same as extractPlaceLinksStreaming; maxLinks caps the whole search
+ * @returns {Promise<number>} Total number of unique links
+ */
+async function extractGridLinks(page, search, onLinksFound, triggerProgress = null, options = {}) {
+    const shouldStop = () => !!(options.shouldStop && options.shouldStop());
+    const maxLinks = options.maxLinks || Infinity;
+    const queue = planTiles(search).map(bbox => ({ bbox, depth: 0 }));
+    const seen = new Set();
+    let searched = 0;
+
+    logger.info(`Grid search "${search.category}": ${queue.length} tile(s)`);
+
+    while (queue.length > 0 && seen.size < maxLinks && !shouldStop()) {
+        const tile = queue.shift();
+        const center = bboxCenter(tile.bbox);
+        const [west, south, east, north] = tile.bbox;
+        const spanMeters = Math.max(
+            haversineMeters(south, west, north, west),
+            haversineMeters(center.lat, west, center.lat, east)
+        );
+        const searchUrl = buildSearchUrl(search.category, { ...center, zoom: zoomForSpan(spanMeters, center.lat, SEARCH_VIEWPORT_PIXELS) });
+
+        const tileCount = await extractPlaceLinksStreaming(page, search.category, (links) => {
+            const fresh = [];
+            for (const link of links) {
+                const key = placeLinkKey(link);
+                if (seen.has(key) || seen.size >= maxLinks || !isInArea(link, search)) continue;
+                seen.add(key);
+                fresh.push(link);
+            }
+            if (fresh.length > 0) onLinksFound(fresh);
+        }, null, {
+            shouldStop: options.shouldStop,
+            idleTimeout: options.idleTimeout,
+            language: options.language,
+            region: options.region,
+            searchUrl
+        });
+
+        searched++;
+
+        // The tile hit the per-search cap: there are more places than Maps listed
+        if (tileCount >= GRID_SPLIT_THRESHOLD) {
+            if (tile.depth < GRID_MAX_DEPTH) {
+                const quadrants = splitBbox(tile.bbox)
+                    .filter(bbox => !search.polygon || bboxIntersectsRings(bbox, search.polygon))
+                    .map(bbox => ({ bbox, depth: tile.depth + 1 }));
+                queue.push(...quadrants);
+                logger.debug(`Tile ${searched} returned ${tileCount} links, split into ${quadrants.length}`);
+            } else {
+                logger.warn(`Tile ${searched} still capped at depth ${GRID_MAX_DEPTH}; some places may be missing`);
+            }
+        }
+
+        if (triggerProgress) {
+            const progress = Math.min(99, (searched / (searched + queue.length)) * 100);
+            triggerProgress(search.label, 'extracting_links', progress, seen.size);
+        }
+    }
+
+    logger.success(`Grid search "${search.category}": ${seen.size} unique places from ${searched} tile(s)`);
+    return seen.size;
+}
+
+module.exports = {
+    extractGridLinks,
+    planTiles
+};
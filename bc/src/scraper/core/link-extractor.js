@@ -6,6 +6,11 @@ const logger = require('../../utils/logger');
 const CONSTANTS = require('../../utils/constants');
 const { CONFIG, BROWSER_CONFIG } = require('../config/config-loader');
 const { randomDelay } = require('../utils/helpers');
+const { selectorPack } = require('../config/selector-pack');
+const { buildSearchUrl, localizeUrl, getPlacePath } = require('../utils/maps-urls');
+const { parseCoordinates } = require('../utils/place-normalizer');
+const { haversineMeters, zoomForSpan } = require('../utils/geo');
+const { getLocale } = require('../locales');
 
 /**
  * Find scrollable element on Google Maps page
@@ -19,25 +24,8 @@ async function findScrollElement(page) {
     await new Promise(resolve => setTimeout(resolve, 2000));
     
     try {
-        // Modern CSS selectors (try these first)
-        const cssSelectors = [
-            'div[role="feed"]',  // Most reliable
-            'div.m6QErb',        // Google Maps feed container
-            'div.m6QErb[aria-label]',
-            '[aria-label*="Results"]',
-            'div[tabindex="-1"][role="region"]',
-            'div.e07Vkf', // Scrollable list
-            '#QA0Szd > div > div > div.w6VYqd > div.bJzME.tTVLSc > div > div.e07Vkf.kA9KIf'  // Full path
-        ];
-        
-        for (const selector of cssSelectors) {
-            const element = await page.$(selector);
-            if (element) {
-                scroll_el = element;
-                logger.debug(`Found scroll area: ${selector}`);
-                break;
-            }
-        }
+        // CSS selectors from the selector pack (try these first)
+        scroll_el = await selectorPack.query(page, 'resultsFeed');
         
         // Fallback: Try XPath selectors (old method)
         if (!scroll_el) {
@@ -72,18 +60,50 @@ async function findScrollElement(page) {
     return scroll_el;
 }
 
+/**
+ * Whether the results feed shows "You've reached the end of the list"
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} locale - Locale pack of the page language
+ * @returns {Promise<boolean>}
+ */
+async function isEndOfList(page, locale = getLocale('en')) {
+    const index = await page.evaluate((selectors, phrases) => {
+        return selectors.findIndex(selector => [...document.querySelectorAll(selector)]
+            .some(el => phrases.some(phrase => el.textContent.includes(phrase))));
+    }, selectorPack.get('endOfList'), locale.endOfList);
+    
+    // Most checks happen before the end is reached, so only matches are recorded
+    if (index >= 0) {
+        selectorPack.record('endOfList', index);
+    }
+    return index >= 0;
+}
+
 /**
  * Streaming link extraction - yields links as found (for parallel pipeline)
  * @param {Page} page - Puppeteer page instance
  * @param {string} keyword - Search keyword
  * @param {Function} onLinksFound - Callback for when new links are found
  * @param {Function} triggerProgress - Progress callback
+ * @param {Object} options - Extraction options
+ * @param {Function} options.shouldStop - Returns true to stop scrolling early (e.g. job cancelled)
+ * @param {number} options.maxLinks - Stop after this many links (default: no limit)
+ * @param {number} options.idleTimeout - Seconds without new links before giving up
+ *   (default: browser-config.json scrolling.idleTimeout)
+ * @param {string} options.searchUrl - Search URL to open instead of the plain keyword search
+ *   (e.g. centered on a grid tile)
+ * @param {string} options.language - Interface language (hl); also selects the locale pack
+ * @param {string} options.region - Region (gl)
  * @returns {Promise<number>} Total number of links found
  */
-async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerProgress = null) {
+async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerProgress = null, options = {}) {
+    const shouldStop = () => !!(options.shouldStop && options.shouldStop());
+    const maxLinks = options.maxLinks || Infinity;
+    const locale = getLocale(options.language);
+    
     logger.info(`Searching for "${keyword}"`);
     
-    const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(keyword)}`;
+    const searchUrl = localizeUrl(options.searchUrl || buildSearchUrl(keyword), options);
     logger.debug(`Navigating to ${searchUrl}`);
     
     await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 60000 });
@@ -102,9 +122,14 @@ async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerPr
     let consecutiveNoNewLinks = 0;
     const maxConsecutiveNoNew = CONFIG.smartScrolling ? 3 : 999;
     
-    // Idle timeout from browser-config.json
-    const idleTimeout = BROWSER_CONFIG.scrolling.idleTimeout;
+    // Idle timeout from job options or browser-config.json
+    const idleTimeout = options.idleTimeout || BROWSER_CONFIG.scrolling.idleTimeout;
     while ((Date.now() - last_scroll_time) / 1000 < idleTimeout && consecutiveNoNewLinks < maxConsecutiveNoNew) {
+        if (shouldStop()) {
+            logger.warn(`Link extraction stopped for "${keyword}"`);
+            break;
+        }
+        
         scrollCount++;
         try {
             // Smooth scroll for better map loading and more places
@@ -116,17 +141,18 @@ async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerPr
             const delay = randomDelay(BROWSER_CONFIG.scrolling.scrollDelay.min, BROWSER_CONFIG.scrolling.scrollDelay.max);
             await new Promise(resolve => setTimeout(resolve, delay));
             
-            const links = await page.$$eval('a[href*="/maps/place/"]', els => 
+            const links = await page.$$eval(selectorPack.get('placeLink').join(', '), (els, placePath) => 
                 els.map(e => e.href)
-                   .filter(href => href.includes('/maps/place/'))
+                   .filter(href => href.includes(placePath))
                    .filter(href => !href.includes('about?'))
                    .filter(href => !href.includes('/about'))
                    .filter(href => !href.includes('about:blank'))
                    .filter(href => href.startsWith('http'))
-            );
+            , getPlacePath());
             
             const newLinks = [];
             for (const link of links) {
+                if (seen.size >= maxLinks) break;
                 if (!seen.has(link)) {
                     seen.add(link);
                     newLinks.push(link);
@@ -141,7 +167,8 @@ async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerPr
                 
                 // Emit real-time link count update
                 if (triggerProgress) {
-                    triggerProgress(keyword, 'extracting_links', Math.min(100, (seen.size / 110) * 100), seen.size);
+                    const expected = Number.isFinite(maxLinks) ? maxLinks : 110;
+                    triggerProgress(keyword, 'extracting_links', Math.min(100, (seen.size / expected) * 100), seen.size);
                 }
             } else {
                 consecutiveNoNewLinks++;
@@ -149,12 +176,14 @@ async function extractPlaceLinksStreaming(page, keyword, onLinksFound, triggerPr
             
             logger.progress(`Scrolling... ${seen.size} places found (scroll ${scrollCount})`);
             
+            if (seen.size >= maxLinks) {
+                logger.info(`Reached limit of ${maxLinks} places`);
+                break;
+            }
+            
             // Check for "end of list" message (if enabled in browser-config.json)
             if (BROWSER_CONFIG.scrolling.checkEndOfList) {
-                const endOfList = await page.evaluate(() => {
-                    const endSpan = document.querySelector('span.HlvSq');
-                    return endSpan && endSpan.textContent.includes("You've reached the end of the list");
-                });
+                const endOfList = await isEndOfList(page, locale);
                 
                 if (endOfList) {
                     logger.info(`End of list detected!`);
@@ -183,7 +212,7 @@ async function extractPlaceLinks(browser, page, keyword) {
     logger.info(`Searching: "${keyword}"`);
     
     // Navigate to Google Maps search
-    const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(keyword)}`;
+    const searchUrl = buildSearchUrl(keyword);
     await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 60000 });
     
     // Wait for results
@@ -221,14 +250,14 @@ async function extractPlaceLinks(browser, page, keyword) {
             await new Promise(resolve => setTimeout(resolve, delay));
             
             // Get all current links (skip About pages and blank)
-            const links = await page.$$eval('a[href*="/maps/place/"]', els => 
+            const links = await page.$$eval(selectorPack.get('placeLink').join(', '), (els, placePath) => 
                 els.map(e => e.href)
-                   .filter(href => href.includes('/maps/place/'))
+                   .filter(href => href.includes(placePath))
                    .filter(href => !href.includes('about?'))
                    .filter(href => !href.includes('/about'))
                    .filter(href => !href.includes('about:blank'))
                    .filter(href => href.startsWith('http'))
-            );
+            , getPlacePath());
             
             // Find new links
             const newLinks = [];
@@ -253,10 +282,7 @@ async function extractPlaceLinks(browser, page, keyword) {
             
             // Check for "end of list" message (if enabled in browser-config.json)
             if (BROWSER_CONFIG.scrolling.checkEndOfList) {
-                const endOfList = await page.evaluate(() => {
-                    const endSpan = document.querySelector('span.HlvSq');
-                    return endSpan && endSpan.textContent.includes("You've reached the end of the list");
-                });
+                const endOfList = await isEndOfList(page);
                 
                 if (endOfList) {
                     logger.info(`End of list detected!`);
@@ -273,8 +299,82 @@ async function extractPlaceLinks(browser, page, keyword) {
     return Array.from(seen);
 }
 
+/**
+ * Search URL centered on a coordinate, zoomed so the whole circle is in view
+ * @param {Object} search - { query, lat, lng, radiusMeters }
+ * @returns {string}
+ */
+function buildRadiusSearchUrl(search) {
+    const zoom = zoomForSpan(search.radiusMeters * 2, search.lat, CONSTANTS.SEARCH_VIEWPORT_PIXELS);
+    return buildSearchUrl(search.query, { lat: search.lat, lng: search.lng, zoom });
+}
+
+/**
+ * Distance of a place from the center of a radius search
+ * @param {Object} search - { lat, lng }
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {number|null} Whole meters, or null without coordinates
+ */
+function distanceFromCenter(search, coordinates) {
+    if (!coordinates) return null;
+    return Math.round(haversineMeters(search.lat, search.lng, coordinates.latitude, coordinates.longitude));
+}
+
+/**
+ * Whether a distance lies outside a radius search (unknown distances do not)
+ * @param {Object} search - { radiusMeters }
+ * @param {number|null} distance - Meters from the center
+ * @returns {boolean}
+ */
+function isOutsideRadius(search, distance) {
+    return distance !== null && distance > search.radiusMeters;
+}
+
+/**
+ * Stream the place links of a radius search, dropping places outside the circle
+ * (links without coordinates are kept; the processor checks the coordinates of
+ * the place page and skips the place if it is outside)
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} search - Sanitized radius search { label, query, lat, lng, radiusMeters }
+ * @param {Function} onLinksFound - Callback for when new links are found
+ * @param {Function} triggerProgress - Progress callback
+ * @param {Object} options - Same as extractPlaceLinksStreaming; maxLinks counts kept links only
+ * @returns {Promise<number>} Number of links within the radius
+ */
+async function extractRadiusLinks(page, search, onLinksFound, triggerProgress = null, options = {}) {
+    const maxLinks = options.maxLinks || Infinity;
+    let kept = 0;
+    let outside = 0;
+    
+    await extractPlaceLinksStreaming(page, search.label, (links) => {
+        const inside = links.filter(link => {
+            if (isOutsideRadius(search, distanceFromCenter(search, parseCoordinates(link)))) {
+                outside++;
+                return false;
+            }
+            return true;
+        }).slice(0, maxLinks - kept);
+        kept += inside.length;
+        if (inside.length > 0) onLinksFound(inside);
+    }, triggerProgress, {
+        ...options,
+        maxLinks: undefined,
+        searchUrl: buildRadiusSearchUrl(search),
+        shouldStop: () => kept >= maxLinks || !!(options.shouldStop && options.shouldStop())
+    });
+    
+    if (outside > 0) {
+        logger.info(`Radius search "${search.label}": dropped ${outside} place(s) outside ${search.radiusMeters} m`);
+    }
+    return kept;
+}
+
 module.exports = {
     findScrollElement,
     extractPlaceLinksStreaming,
-    extractPlaceLinks
+    extractPlaceLinks,
+    buildRadiusSearchUrl,
+    extractRadiusLinks,
+    distanceFromCenter,
+    isOutsideRadius
 };
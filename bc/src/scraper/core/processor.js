@@ -6,19 +6,22 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const logger = require('../../utils/logger');
+const CONSTANTS = require('../../utils/constants');
 const { CONFIG, BROWSER_CONFIG } = require('../config/config-loader');
 const { launchChromium } = require('../browser/launcher');
-const { clearBrowserData, clearEverything, closeBlankTabsExcept } = require('../browser/cleaner');
+const { clearBrowserData, clearPageData, clearEverything, closeDefaultPages, closeBlankTabsExcept } = require('../browser/cleaner');
 const { calculateBrowserDimensions } = require('../browser/config');
 const { setupRequestInterception } = require('../middleware/request-interceptor');
-const { extractPlaceLinks, extractPlaceLinksStreaming } = require('./link-extractor');
+const { extractPlaceLinks, extractPlaceLinksStreaming, extractRadiusLinks, distanceFromCenter, isOutsideRadius } = require('./link-extractor');
+const { extractGridLinks } = require('./grid-search');
 const { scrapePlace, scrapePlaceInTab } = require('./data-scraper');
-const { saveToJSON } = require('../utils/file-operations');
-const { retryOperation } = require('../utils/helpers');
+const { atomicWriteJSON, saveToJSON } = require('../utils/file-operations');
+const { randomDelay, retryOperation } = require('../utils/helpers');
 const { captchaDetector } = require('../utils/captcha-detector');
-
-// Global state for all results (used by API)
-let allResultsData = {};
+const { countMissingFields } = require('../utils/place-normalizer');
+const { parsePlaceIds, placeKeys } = require('../utils/maps-urls');
+const { WebsiteEnricher } = require('../enrichment/website-enricher');
+const { acceptLanguage } = require('../locales');
 
 class ConcurrentProcessor {
     constructor(browser, maxWorkers) {
@@ -81,17 +84,63 @@ class ConcurrentProcessor {
 }
 
 
+/**
+ * Mark new links PENDING and return their queue items. Links restored from a
+ * checkpoint keep their status and are left out so they are not scraped again.
+ * @param {Array<string>} links - Extracted place links
+ * @param {Map} urlStatuses - Batch URL statuses
+ * @param {Set<string>} restored - Links of this keyword restored from the checkpoint
+ * @param {string|null} keyword - Tag queue items with this keyword (parallel batches)
+ * @returns {{ items: Array<string|Object>, skipped: number }}
+ */
+function queueNewLinks(links, urlStatuses, restored, keyword = null) {
+    const items = [];
+    let skipped = 0;
+    for (const link of links) {
+        if (restored.has(link)) {
+            skipped++;
+            continue;
+        }
+        if (!urlStatuses.has(link)) {
+            urlStatuses.set(link, { status: 'PENDING' });
+        }
+        items.push(keyword === null ? link : { url: link, keyword });
+    }
+    return { items, skipped };
+}
+
+
 /**
  * Main task manager (Python's task_manager)
+ * @param {Array<string>} keywords - Keywords to scrape
+ * @param {number|null} customWorkers - Data workers (Browser 2), null for config default
+ * @param {number|null} customLinkWorkers - Link workers (Browser 1), null for default
+ * @param {Object} callbacks - onKeywordStart, onProgress, onUrlComplete, onKeywordComplete, shouldCancel
+ * @param {Object} options - Run options
+ * @param {Object} options.resume - Checkpointed keyword state to resume from
+ *   ({ [keyword]: { completed, urls: { [url]: status }, results } })
+ * @param {number} options.maxPlacesPerKeyword - Link limit per keyword (default: no limit)
+ * @param {number} options.scrollIdleTimeout - Seconds without new links before scrolling stops
+ * @param {boolean} options.headless - Override browser-config.json visibility for both browsers
+ * @param {Array<string>} options.fields - Only keep these place fields in the results
+ * @param {number} options.maxReviews - Scrape up to this many reviews per place (default: none)
+ * @param {string} options.reviewsSort - Review order: relevant | newest | highest | lowest
+ * @param {boolean} options.aboutAttributes - Read the About tab attributes of each place
+ * @param {string} options.profile - Category profile: auto (default) | none | hotel | restaurant | healthcare
+ * @param {boolean} options.enrichWebsites - Crawl each place website for emails, social profiles and phones
+ * @param {string} options.language - Maps interface language (hl, e.g. es or es-419); selects the locale pack
+ *   and the browsers' Accept-Language
+ * @param {string} options.region - Region (gl, e.g. mx) for search and place URLs
+ * @param {Array<Object>} options.searches - Structured searches (grid, radius, place lists); each label
+ *   is also one of the keywords
+ * @returns {Promise<Object>} Results keyed by keyword
  */
-async function processKeywords(keywords, customWorkers = null, customLinkWorkers = null, callbacks = {}) {
+async function processKeywords(keywords, customWorkers = null, customLinkWorkers = null, callbacks = {}, options = {}) {
     // Use custom workers from API, fallback to config
     const numWorkersToUse = customWorkers || CONFIG.parallelWorkers;
     const numLinkWorkersToUse = customLinkWorkers || 1; // Default 1 for sequential (backward compatible)
     
-    // ✅ CLEAR previous results when starting new scraping
-    allResultsData = {};
-    logger.info('Cleared previous results data');
+    // All state below is local to this call so concurrent jobs never share results
     logger.header(`🗺️  GMap Miner - Professional Scraper v2.0 | ${keywords.length} keyword(s) | 🔗 ${numLinkWorkersToUse} link workers | ⚙️ ${numWorkersToUse} data workers`);
     
     // Create output directory
@@ -104,6 +153,105 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
     const allResults = {};
     const totalKeywords = keywords.length;
     const reportedKeywords = new Set();
+    const resumeState = options.resume || {};
+    
+    // ♻️ RESUME: keywords finished before a restart are not scraped again
+    for (const [kw, state] of Object.entries(resumeState)) {
+        if (state.completed && keywords.includes(kw)) {
+            completedSet.add(kw);
+            reportedKeywords.add(kw);
+            allResults[kw] = state.results || [];
+        }
+    }
+    if (completedSet.size > 0) {
+        logger.info(`Resuming: skipping ${completedSet.size} completed keyword(s)`);
+    }
+    
+    // Places scraped in this job by place key (cid:/place_id:), so a place found by several
+    // keywords or links is scraped once: { result, keywords, ready } (ready settles after the scrape)
+    const scrapedPlaces = new Map();
+    const rememberPlace = (entry, keys) => keys.forEach(key => {
+        if (!scrapedPlaces.has(key)) scrapedPlaces.set(key, entry);
+    });
+    for (const [kw, state] of Object.entries(resumeState)) {
+        for (const place of state.results || []) {
+            const keys = placeKeys(place);
+            const entry = keys.map(key => scrapedPlaces.get(key)).find(Boolean)
+                || { result: place, keywords: new Set(), ready: Promise.resolve() };
+            entry.keywords.add(kw);
+            rememberPlace(entry, keys);
+        }
+    }
+
+    // Cancellation hook from the API (job queue sets the flag)
+    const isCancelled = () => !!(callbacks?.shouldCancel && callbacks.shouldCancel());
+    const linkExtractionOptions = {
+        shouldStop: isCancelled,
+        maxLinks: options.maxPlacesPerKeyword || CONFIG.maxLinksPerKeyword,
+        idleTimeout: options.scrollIdleTimeout,
+        language: options.language,
+        region: options.region
+    };
+    
+    // Structured searches run under their label; everything else is a plain keyword search
+    const searchPlans = new Map((options.searches || []).map(search => [search.label, search]));
+    const extractLinks = (page, kw, onLinksFound) => {
+        const search = searchPlans.get(kw);
+        if (search && search.type === 'grid') {
+            return extractGridLinks(page, search, onLinksFound, triggerProgress, {
+                ...linkExtractionOptions,
+                maxLinks: options.maxPlacesPerKeyword || CONSTANTS.GRID_MAX_PLACES
+            });
+        }
+        if (search && search.type === 'radius') {
+            return extractRadiusLinks(page, search, onLinksFound, triggerProgress, linkExtractionOptions);
+        }
+        if (search && search.type === 'places') {
+            // Known place pages go straight to the data workers
+            const urls = search.places.map(place => place.url);
+            onLinksFound(urls);
+            return urls.length;
+        }
+        return extractPlaceLinksStreaming(page, kw, onLinksFound, triggerProgress, linkExtractionOptions);
+    };
+    
+    // Per-place extraction: category profile and opt-in extra tabs (About attributes, reviews)
+    const placeTabOptions = {
+        profile: options.profile,
+        aboutAttributes: options.aboutAttributes,
+        maxReviews: options.maxReviews,
+        reviewsSort: options.reviewsSort,
+        language: options.language,
+        region: options.region
+    };
+    
+    // Browser UI language / Accept-Language for both browsers (Chrome takes the list without q-values)
+    const languageArgs = options.language ? [
+        `--lang=${options.language}`,
+        `--accept-lang=${acceptLanguage(options.language, options.region).replace(/;q=[\d.]+/g, '')}`
+    ] : [];
+    
+    // Optional website enrichment after each place is extracted (page budget is per domain, per job)
+    const enricher = options.enrichWebsites ? new WebsiteEnricher() : null;
+    
+    // Per-job headless override (undefined = browser-config.json / PUPPETEER_HEADLESS)
+    const headless = options.headless === undefined ? undefined : (options.headless ? 'new' : false);
+    
+    // Drop the internal keyword tag and keep only the requested fields (identity fields are always kept)
+    const finalizeResults = (results) => results.map(({ _keyword, ...place }) => {
+        if (!options.fields) return place;
+        const picked = {
+            schemaVersion: place.schemaVersion,
+            placeId: place.placeId,
+            cid: place.cid,
+            canonicalUrl: place.canonicalUrl
+        };
+        options.fields.forEach(field => {
+            if (place[field] !== undefined) picked[field] = place[field];
+        });
+        if (place.userReviews) picked.userReviews = place.userReviews;
+        return picked;
+    });
 
     const triggerKeywordStart = (keyword) => {
         if (!callbacks?.onKeywordStart) return;
@@ -129,6 +277,16 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
         });
     };
 
+    const triggerUrlComplete = (keyword, url, status, result = null) => {
+        if (!callbacks?.onUrlComplete) return;
+        callbacks.onUrlComplete({
+            keyword,
+            url,
+            status,
+            result: status.status === 'SUCCESS' ? result : null
+        });
+    };
+
     const triggerKeywordComplete = (keyword, resultsCount, error = null, results = null) => {
         if (reportedKeywords.has(keyword)) {
             return;
@@ -154,42 +312,64 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
     let prefetchedLinks = null; // Store prefetched links for next keyword
     const startTime = Date.now();
     
-    // Custom temp directories for guaranteed cleanup
-    const browser1TempDir = path.join(os.tmpdir(), `chrome-b1-${Date.now()}`);
-    const browser2TempDir = path.join(os.tmpdir(), `chrome-b2-${Date.now()}`);
+    // Custom temp directories for guaranteed cleanup (unique per run for concurrent jobs)
+    const runId = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const browser1TempDir = path.join(os.tmpdir(), `chrome-b1-${runId}`);
+    const browser2TempDir = path.join(os.tmpdir(), `chrome-b2-${runId}`);
     const tempDirsToCleanup = [browser1TempDir, browser2TempDir];
     
     try {
-    // Launch Browser 1 (Link extraction) first
-    const ws = BROWSER_CONFIG.windowSettings;
-    browser = await launchChromium({
-        devtools: BROWSER_CONFIG.devtools.enabled,
-        defaultViewport: null,
-        userDataDir: browser1TempDir,
-        extraArgs: [
-            ws.startMaximized ? '--start-maximized' : '',
-            `--window-size=${ws.windowWidth},${ws.windowHeight}`,
-            `--window-position=${ws.windowPositionX},${ws.windowPositionY}`,
-            '--no-first-run',
-            '--no-default-browser-check'
-        ]
-    });
+    // Place lists need no search: Browser 1 is only launched for keyword, grid and radius searches
+    const needsLinkBrowser = keywords.some(kw => !completedSet.has(kw) && searchPlans.get(kw)?.type !== 'places');
     
-    logger.success(`Browser 1 launched (temp dir: ${browser1TempDir})`);
-    logger.info(`Using Chrome: ${await browser.version()}`);
+    if (needsLinkBrowser) {
+        // Launch Browser 1 (Link extraction) first
+        const ws = BROWSER_CONFIG.windowSettings;
+        browser = await launchChromium({
+            headless,
+            devtools: BROWSER_CONFIG.devtools.enabled,
+            defaultViewport: null,
+            userDataDir: browser1TempDir,
+            extraArgs: [
+                ws.startMaximized ? '--start-maximized' : '',
+                `--window-size=${ws.windowWidth},${ws.windowHeight}`,
+                `--window-position=${ws.windowPositionX},${ws.windowPositionY}`,
+                '--no-first-run',
+                '--no-default-browser-check',
+                ...languageArgs
+            ]
+        });
+    
+        logger.success(`Browser 1 launched (temp dir: ${browser1TempDir})`);
+        logger.info(`Using Chrome: ${await browser.version()}`);
+    
+        // Close all default pages and create fresh one
+        const defaultPages = await browser.pages();
+        if (defaultPages.length > 0) {
+            mainPage = defaultPages[0]; // Reuse first page
+            await setupRequestInterception(mainPage);
+            logger.success('Browser 1 main page ready');
+            await closeBlankTabsExcept(browser, [mainPage]);
+        } else {
+            mainPage = await browser.newPage();
+            await setupRequestInterception(mainPage);
+            logger.success('Browser 1 main page created');
+            await closeBlankTabsExcept(browser, [mainPage]);
+        }
+    
+        // Extra Browser 1 tabs for parallel link extraction (mainPage is the first)
+        if (numLinkWorkersToUse > 1) {
+            linkWorkerPages.push(mainPage);
+            for (let w = 1; w < numLinkWorkersToUse; w++) {
+                const linkPage = await browser.newPage();
+                await setupRequestInterception(linkPage);
+                linkWorkerPages.push(linkPage);
+            }
+            logger.success(`Browser 1 ready with ${linkWorkerPages.length} link workers`);
+        }
     
-    // Close all default pages and create fresh one
-    const defaultPages = await browser.pages();
-    if (defaultPages.length > 0) {
-        mainPage = defaultPages[0]; // Reuse first page
-        await setupRequestInterception(mainPage);
-        logger.success('Browser 1 main page ready');
-        await closeBlankTabsExcept(browser, [mainPage]);
     } else {
-        mainPage = await browser.newPage();
-        await setupRequestInterception(mainPage);
-        logger.success('Browser 1 main page created');
-        await closeBlankTabsExcept(browser, [mainPage]);
+        logger.info('Only place lists: skipping Browser 1 (link extraction)');
     }
     
     // ============ START LINK EXTRACTION IMMEDIATELY (PARALLEL WITH BROWSER 2 SETUP) ============
@@ -208,9 +388,9 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 mainPage.setDefaultNavigationTimeout(CONSTANTS.DEFAULT_TIMEOUT);
                 mainPage.setDefaultTimeout(CONSTANTS.DEFAULT_TIMEOUT);
                 
-                firstKeywordLinkCount = await extractPlaceLinksStreaming(mainPage, firstKeyword, (newLinks) => {
+                firstKeywordLinkCount = await extractLinks(mainPage, firstKeyword, (newLinks) => {
                     firstKeywordLinks.push(...newLinks);
-                }, triggerProgress);
+                });
                 logger.success(`Browser 1: DONE! Extracted ${firstKeywordLinkCount} links for "${firstKeyword}"`);
             } catch (err) {
                 logger.warn(`Browser 1 link extraction error: ${err.message}`);
@@ -224,12 +404,14 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
     const numWorkers = numWorkersToUse;
     
     dataBrowser = await launchChromium({
+        headless,
         devtools: BROWSER_CONFIG.devtools.enabled,
         defaultViewport: null,
         userDataDir: browser2TempDir,
         extraArgs: [
             `--window-size=${dims2.width},${dims2.height}`,
-            `--window-position=${dims2.x},${dims2.y}`
+            `--window-position=${dims2.x},${dims2.y}`,
+            ...languageArgs
         ]
     });
 
@@ -262,9 +444,10 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
     
     for (let batchStart = 0; batchStart < remainingKeywords.length; batchStart += keywordBatchSize) {
         // 🛑 CHECK CANCELLATION FLAG BEFORE PROCESSING EACH BATCH
-        if (callbacks?.shouldCancel && callbacks.shouldCancel()) {
+        // Break instead of throwing so results collected so far are returned
+        if (isCancelled()) {
             logger.warn('CANCELLATION DETECTED - Stopping keyword processing...');
-            throw new Error('Job cancelled by user');
+            break;
         }
         
         const keywordBatch = remainingKeywords.slice(batchStart, batchStart + keywordBatchSize);
@@ -287,7 +470,7 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
         logger.separator();
         
         // Browser 1 & 2 already launched - just verify they're connected
-        if (!browser || !browser.connected) {
+        if (needsLinkBrowser && (!browser || !browser.connected)) {
             logger.error("Browser 1 disconnected - this shouldn't happen");
             throw new Error('Browser 1 disconnected unexpectedly');
         }
@@ -298,24 +481,26 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
         }
         
         try {
-            // Verify mainPage is available (should be created during browser launch)
-            if (!mainPage || mainPage.isClosed()) {
+            // Verify mainPage is available (should be created during browser launch; none for place lists only)
+            if (browser && (!mainPage || mainPage.isClosed())) {
                 logger.debug('Creating new Browser 1 tab for link extraction...');
                 mainPage = await browser.newPage();
                 await setupRequestInterception(mainPage);
                 logger.debug('Browser 1 tab created');
-            } else if (i > 0) {
+            } else if (mainPage && i > 0) {
                 logger.debug(`Reusing Browser 1 tab for keyword ${i + 1}/${keywords.length}`);
             }
             
             // Set configured timeouts
-            mainPage.setDefaultNavigationTimeout(CONSTANTS.DEFAULT_TIMEOUT);
-            mainPage.setDefaultTimeout(CONSTANTS.DEFAULT_TIMEOUT);
+            if (mainPage) {
+                mainPage.setDefaultNavigationTimeout(CONSTANTS.DEFAULT_TIMEOUT);
+                mainPage.setDefaultTimeout(CONSTANTS.DEFAULT_TIMEOUT);
+            }
             
             const page = mainPage; // Use the reused page
             
             // Clear page state for new keyword (skip if prefetched since already cleared)
-            if (i > 0 && !(prefetchedLinks && prefetchedLinks.keyword === keyword)) {
+            if (page && i > 0 && !(prefetchedLinks && prefetchedLinks.keyword === keyword)) {
                 try {
                     await clearPageData(page); // Clear page data first
                     await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 5000 });
@@ -331,6 +516,24 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
             const extractionResults = []; 
             let totalLinks = 0;
             
+            // ♻️ RESUME: restore URLs scraped before a restart so they are skipped
+            const restoredLinks = new Map();
+            keywordBatch.forEach(kw => {
+                restoredLinks.set(kw, new Set());
+                const state = resumeState[kw];
+                if (!state || state.completed) return;
+                
+                for (const [url, status] of Object.entries(state.urls || {})) {
+                    if (status.status === 'SUCCESS') {
+                        urlStatuses.set(url, status);
+                        restoredLinks.get(kw).add(url);
+                    }
+                }
+                const restored = (state.results || []).map(place => ({ ...place, _keyword: kw }));
+                extractionResults.push(...restored);
+                logger.info(`Resuming "${kw}": ${restored.length} place(s) restored from checkpoint`);
+            });
+            
             // ============ DUAL BROWSER MODE ============
             logger.info(`Dual browser mode: Browser 1 (links) + Browser 2 (${numWorkers} data workers)`);
             
@@ -374,7 +577,7 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 
                 while (!extractionDone || linkQueue.length > 0) {
                     // 🛑 CHECK CANCELLATION FLAG
-                    if (callbacks?.shouldCancel && callbacks.shouldCancel()) {
+                    if (isCancelled()) {
                         logger.warn(`Worker ${workerId}: Cancellation detected, exiting...`);
                         return; // Exit worker immediately
                     }
@@ -410,9 +613,52 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                         const link = typeof linkItem === 'object' ? linkItem.url : linkItem;
                         const linkKeyword = typeof linkItem === 'object' ? linkItem.keyword : keyword;
                         
+                        // Already scraped before a restart - keep the checkpointed result
+                        if (urlStatuses.get(link)?.status === 'SUCCESS') {
+                            completed++;
+                            continue;
+                        }
+                        
+                        let scrapedResult = null;
+                        
+                        // Same place already scraped in this job (wait if another worker is on it)
+                        const linkKeys = placeKeys(parsePlaceIds(link));
+                        const known = linkKeys.map(key => scrapedPlaces.get(key)).find(Boolean);
+                        if (known) await known.ready;
+                        if (known && known.result) {
+                            if (known.keywords.has(linkKeyword)) {
+                                urlStatuses.set(link, { status: 'SKIPPED_DUPLICATE', duplicateOf: known.result.link });
+                            } else {
+                                // Another keyword found it: reuse the result under this keyword too
+                                const [foundBy] = known.keywords;
+                                const result = { ...known.result };
+                                const search = searchPlans.get(linkKeyword);
+                                const radius = search && search.type === 'radius' ? search : null;
+                                result.distanceMeters = radius ? distanceFromCenter(radius, result.coordinates) : null;
+                                if (radius && isOutsideRadius(radius, result.distanceMeters)) {
+                                    urlStatuses.set(link, { status: 'SKIPPED_OUTSIDE_RADIUS', distanceMeters: result.distanceMeters });
+                                } else {
+                                    known.keywords.add(linkKeyword);
+                                    urlStatuses.set(link, { status: 'SUCCESS', duplicateOf: foundBy });
+                                    extractionResults.push({ ...result, _keyword: linkKeyword });
+                                    scrapedResult = result;
+                                }
+                            }
+                            triggerUrlComplete(linkKeyword, link, urlStatuses.get(link), scrapedResult);
+                            completed++;
+                            const reuseProgress = totalLinks > 0 ? 0.5 + (completed / totalLinks) * 0.5 : 0.5;
+                            triggerProgress(keyword, 'extracting_data', reuseProgress, totalLinks, extractionResults.length);
+                            continue;
+                        }
+                        
+                        // Claim the place so other workers wait for this scrape instead of repeating it
+                        let settle;
+                        const entry = { result: null, keywords: new Set([linkKeyword]), ready: new Promise(resolve => { settle = resolve; }) };
+                        linkKeys.forEach(key => scrapedPlaces.set(key, entry));
+                        
                         try {
                             const result = await retryOperation(
-                                () => scrapePlaceInTab(workerPage, link, completed + 1, totalLinks || '?', dataBrowser),
+                                () => scrapePlaceInTab(workerPage, link, completed + 1, totalLinks || '?', dataBrowser, 0, placeTabOptions),
                                 `Place extraction: ${link}`
                             );
 
@@ -423,14 +669,30 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                                     urlStatuses.set(link, { status: 'FAILED', reason: result.message });
                                 }
                             } else if (result) {
-                                const notFoundCount = Object.values(result).filter(val => val === 'Not found' || val === '(Not found reviews)').length;
-                                if (result.name === 'Not found' || !result.name) {
+                                const missingCount = countMissingFields(result);
+                                const search = searchPlans.get(linkKeyword);
+                                const radius = search && search.type === 'radius' ? search : null;
+                                const distance = radius ? distanceFromCenter(radius, result.coordinates) : null;
+                                if (!result.name) {
                                     urlStatuses.set(link, { status: 'SKIPPED_NO_NAME' });
-                                } else if (notFoundCount > 5) {
-                                    urlStatuses.set(link, { status: 'SKIPPED_LOW_QUALITY', missing: notFoundCount });
+                                } else if (missingCount > 5) {
+                                    urlStatuses.set(link, { status: 'SKIPPED_LOW_QUALITY', missing: missingCount });
+                                } else if (radius && isOutsideRadius(radius, distance)) {
+                                    // The link had no coordinates; the place page shows it is outside the circle
+                                    urlStatuses.set(link, { status: 'SKIPPED_OUTSIDE_RADIUS', distanceMeters: distance });
                                 } else {
+                                    if (enricher && result.website) {
+                                        result.enrichment = await enricher.enrich(result.website);
+                                    }
+                                    if (radius) {
+                                        result.distanceMeters = distance;
+                                    }
                                     urlStatuses.set(link, { status: 'SUCCESS' });
-                                    extractionResults.push(result);
+                                    extractionResults.push({ ...result, _keyword: linkKeyword });
+                                    scrapedResult = result;
+                                    entry.result = result;
+                                    // The page may reveal keys the link did not have (CID / place ID inputs)
+                                    rememberPlace(entry, placeKeys(result));
                                 }
                             } else {
                                 urlStatuses.set(link, { status: 'FAILED' });
@@ -438,6 +700,14 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                         } catch (err) {
                             urlStatuses.set(link, { status: 'FAILED', error: err.message });
                         }
+                        // Failed places can be tried again from another link
+                        if (!entry.result) {
+                            linkKeys.forEach(key => {
+                                if (scrapedPlaces.get(key) === entry) scrapedPlaces.delete(key);
+                            });
+                        }
+                        settle();
+                        triggerUrlComplete(linkKeyword, link, urlStatuses.get(link), scrapedResult);
                         completed++;
                         cleanupCounter++;
                         process.stdout.write(`\r   ✨ Progress: ${completed}/${totalLinks || '?'} URLs, ${extractionResults.length} places (queue: ${linkQueue.length}, ${numWorkers} workers)...`);
@@ -489,20 +759,22 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
             // ============ START PREFETCHING NEXT KEYWORD (CONTINUOUS BROWSER 1) ============
             // Start extracting next keyword links IMMEDIATELY in parallel with Browser 2 workers
             let prefetchPromise = Promise.resolve();
-            const nextKeywordIndex = i + 1;
-            const nextKeyword = keywords[nextKeywordIndex];
-            
+            const nextKeyword = remainingKeywords[batchStart + keywordBatch.length];
+            // Browser 1's page is busy until this keyword's links are extracted
+            let releaseLinkPage;
+            const linkPageReleased = new Promise(resolve => { releaseLinkPage = resolve; });
+
             if (nextKeyword && page && !page.isClosed() && linkWorkerPages.length === 0) {
                 console.log(`   🚀 Browser 1: Starting prefetch for next keyword "${nextKeyword}" (continuous mode)`);
                 prefetchPromise = (async () => {
                     try {
-                        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s for current keyword to start
+                        await linkPageReleased;
                         const links = [];
                         await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 5000 });
                         console.log(`   🔗 Browser 1: Extracting links for "${nextKeyword}" while Browser 2 scrapes...`);
-                        const linkCount = await extractPlaceLinksStreaming(page, nextKeyword, (newLinks) => {
+                        const linkCount = await extractLinks(page, nextKeyword, (newLinks) => {
                             links.push(...newLinks);
-                        }, triggerProgress);
+                        });
                         prefetchedLinks = { keyword: nextKeyword, links, totalLinks: linkCount };
                         console.log(`   ✅ Browser 1: Prefetched ${linkCount} links for "${nextKeyword}" (ready for instant use!)`);
                     } catch (err) {
@@ -524,6 +796,12 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                     const linkWorkerPage = linkWorkerPages[idx % linkWorkerPages.length];
                     const keywordLinks = [];
                     
+                    // First keyword is already being extracted on mainPage
+                    if (batchStart === 0 && kw === firstKeyword) {
+                        await linkExtractionPromise;
+                        return { keyword: kw, links: firstKeywordLinks, count: firstKeywordLinkCount };
+                    }
+                    
                     try {
                         // Check if page is still valid
                         if (linkWorkerPage.isClosed()) {
@@ -532,9 +810,9 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                         }
                         
                         // Clear page state - no need to goto about:blank, extractPlaceLinksStreaming does it
-                        const linkCount = await extractPlaceLinksStreaming(linkWorkerPage, kw, (newLinks) => {
+                        const linkCount = await extractLinks(linkWorkerPage, kw, (newLinks) => {
                             keywordLinks.push(...newLinks);
-                        }, triggerProgress);
+                        });
                         return { keyword: kw, links: keywordLinks, count: linkCount };
                     } catch (error) {
                         console.log(`\n   ⚠️  Error extracting links for "${kw}": ${error.message}`);
@@ -549,9 +827,9 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 allKeywordLinks.forEach(({ keyword: kw, links, count }) => {
                     console.log(`\n   ✅ "${kw}": ${count} links extracted`);
                     // Tag each link with its keyword for later separation
-                    links.forEach(link => {
-                        linkQueue.push({ url: link, keyword: kw });
-                    });
+                    const { items, skipped } = queueNewLinks(links, urlStatuses, restoredLinks.get(kw), kw);
+                    linkQueue.push(...items);
+                    completed += skipped;
                     totalLinks += count;
                 });
                 
@@ -560,29 +838,36 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
             } else {
                 // Sequential extraction for single keyword or no link workers
                 // Check if this is the first keyword with immediate extraction
-                if (i === 0 && keyword === firstKeyword && firstKeywordLinks.length > 0) {
-                    // Wait for immediate extraction to complete
-                                    await linkExtractionPromise;
-                                    totalLinks = firstKeywordLinkCount;
-                                    firstKeywordLinks.forEach(link => urlStatuses.set(link, { status: 'PENDING' }));
-                                    linkQueue.push(...firstKeywordLinks);                }
+                if (batchStart === 0 && keyword === firstKeyword) {
+                    // Wait for immediate extraction to complete (mainPage is busy until then)
+                    await linkExtractionPromise;
+                }
+                const restored = restoredLinks.get(keyword);
+                const enqueue = (links) => {
+                    const { items, skipped } = queueNewLinks(links, urlStatuses, restored);
+                    linkQueue.push(...items);
+                    completed += skipped;
+                };
+                if (batchStart === 0 && keyword === firstKeyword && firstKeywordLinks.length > 0) {
+                    totalLinks = firstKeywordLinkCount;
+                    enqueue(firstKeywordLinks);
+                }
                 // Check if links were prefetched (OPTION 1 OPTIMIZATION)
                 else if (prefetchedLinks && prefetchedLinks.keyword === keyword) {
                     // Use prefetched links instead of extracting again!
                     console.log(`   ⚡ Using prefetched ${prefetchedLinks.totalLinks} links (Browser 1 saved time!)`);
-                    linkQueue.push(...prefetchedLinks.links);
+                    enqueue(prefetchedLinks.links);
                     totalLinks = prefetchedLinks.totalLinks;
                     prefetchedLinks = null; // Clear after use
                 } else {
                     // Extract links normally (prefetch failed or other keywords)
-                    totalLinks = await extractPlaceLinksStreaming(page, keyword, (newLinks) => {
-                        linkQueue.push(...newLinks);
-                    }, triggerProgress);
+                    totalLinks = await extractLinks(page, keyword, enqueue);
                 }
             }
-            
+
             extractionDone = true;
-            
+            releaseLinkPage();
+
             // Report progress: Starting data extraction (50%) with links found
             triggerProgress(keyword, 'extracting_data', 0.5, totalLinks, 0);
             
@@ -594,7 +879,7 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 console.log(`\n🔄 CAPTCHA RESTART TRIGGERED - Entering restart loop...`);
             }
             
-            while (needsBrowserRestart && dataBrowser && browserRestartCount < MAX_BROWSER_RESTARTS) {
+            while (needsBrowserRestart && !isCancelled() && dataBrowser && browserRestartCount < MAX_BROWSER_RESTARTS) {
                 browserRestartCount++;
                 console.log(`\n🏠 BROWSER 2 RESTART #${browserRestartCount}/${MAX_BROWSER_RESTARTS}: Closing entire browser...`);
                 
@@ -615,12 +900,14 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 const dims2 = calculateBrowserDimensions(b2, 2);
                 
                 dataBrowser = await launchChromium({
+                    headless,
                     devtools: BROWSER_CONFIG.devtools.enabled,
                     defaultViewport: null,
                     userDataDir: browser2TempDir,
                     extraArgs: [
                         `--window-size=${dims2.width},${dims2.height}`,
-                        `--window-position=${dims2.x},${dims2.y}`
+                        `--window-position=${dims2.x},${dims2.y}`,
+                        ...languageArgs
                     ]
                 });
                 
@@ -676,10 +963,8 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                 if (linkWorkerPages.length > 0 && keywordBatch.length > 1) {
                     // Parallel extraction: separate and save results for each keyword
                     for (const kw of keywordBatch) {
-                        const keywordResults = finalResults.filter(r => r._keyword === kw);
-                        
-                        // Remove internal _keyword tag before saving
-                        keywordResults.forEach(r => delete r._keyword);
+                        // Separate by keyword tag, then drop the tag before saving
+                        const keywordResults = finalizeResults(finalResults.filter(r => r._keyword === kw));
                         
                         // Store results for return
                         allResults[kw] = keywordResults;
@@ -690,23 +975,26 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
                             console.log(`\n   💾 Saved ${keywordResults.length} places for "${kw}"`);
                         }
                         
-                        // Track completion
+                        // Track completion (a cancelled keyword only keeps its partial results)
+                        if (isCancelled()) continue;
                         completedSet.add(kw);
                         triggerKeywordComplete(kw, keywordResults.length, null, keywordResults);  // ✅ Pass results
                     }
                 } else {
                     // Sequential extraction: single keyword
-                    allResults[keyword] = finalResults;
+                    const keywordResults = finalizeResults(finalResults);
+                    allResults[keyword] = keywordResults;
                     
-                    if (finalResults.length > 0) {
+                    if (keywordResults.length > 0) {
                         // Final save: write to actual .json file (not .temp)
-                        saveToJSON(finalResults, keyword, CONFIG.outputDir, true);
+                        saveToJSON(keywordResults, keyword, CONFIG.outputDir, true);
                     }
                     
-                    // Track completion
+                    // Track completion (a cancelled keyword only keeps its partial results)
+                    if (isCancelled()) return;
                     completedSet.add(keyword);
 
-                    triggerKeywordComplete(keyword, finalResults.length, null, finalResults);  // ✅ Pass results
+                    triggerKeywordComplete(keyword, keywordResults.length, null, keywordResults);  // ✅ Pass results
                 }
             })();
             
@@ -715,7 +1003,7 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
             
         } catch (error) {
             logger.error(`Failed to process keyword: ${keyword}`, { error: error.message });
-            triggerKeywordComplete(keyword, 0, error);
+            keywordBatch.forEach(kw => triggerKeywordComplete(kw, 0, error));
         } finally {
             const finalUrlStatuses = [];
             for (const [url, status] of urlStatuses.entries()) {
@@ -750,7 +1038,7 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
             await clearBrowserData(browser, 'light'); // Light clean for Browser 1
         }
         
-        if (batchStart + keywordBatch.length < remainingKeywords.length) {
+        if (batchStart + keywordBatch.length < remainingKeywords.length && !isCancelled()) {
             // Small delay before next batch
             console.log(`⏭️  Moving to next batch in 2 seconds...`);
             await new Promise(resolve => setTimeout(resolve, 2000));
@@ -798,7 +1086,11 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
     console.log(`📁 Results: ${CONFIG.outputDir}`);
     console.log(`🛡️  CAPTCHA Detections: ${captchaDetector.getCount()}`);
     
-    console.log(`\n✅ All keywords completed successfully!`);
+    if (isCancelled()) {
+        console.log(`\n🛑 Cancelled - returning partial results for ${Object.keys(allResults).length} keyword(s)`);
+    } else {
+        console.log(`\n✅ All keywords completed successfully!`);
+    }
     
     // Return results for API server
     return allResults;
@@ -810,6 +1102,6 @@ async function processKeywords(keywords, customWorkers = null, customLinkWorkers
 
 module.exports = {
     processKeywords,
-    ConcurrentProcessor,
-    allResultsData
+    queueNewLinks,
+    ConcurrentProcessor
 };
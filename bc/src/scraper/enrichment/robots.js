@@ -0,0 +1,77 @@
+/**
+ * robots.txt parsing
+ * Supports User-agent groups, Allow/Disallow with * and $ wildcards and the
+ * longest-match rule (Allow wins ties).
+ */
+
+function toPattern(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Rules that apply to a user agent
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token (e.g. "GMapMinerBot")
+ * @returns {Array} [{ allow, path, pattern }]
+ */
+function parseRobots(text, userAgent) {
+    const agent = userAgent.toLowerCase();
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current || (field !== 'allow' && field !== 'disallow')) continue;
+        // "Disallow:" with no path allows everything
+        if (!value) continue;
+        current.rules.push({ allow: field === 'allow', path: value, pattern: toPattern(value) });
+    }
+
+    const specific = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+    const chosen = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+    return chosen.flatMap(group => group.rules);
+}
+
+/**
+ * Whether a path may be fetched
+ * @param {Array} rules - Output of parseRobots
+ * @param {string} path - URL path + query
+ */
+function isAllowed(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+module.exports = {
+    parseRobots,
+    isAllowed
+};
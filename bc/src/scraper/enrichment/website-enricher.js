@@ -0,0 +1,341 @@
+/**
+ * Website enrichment
+ * Fetches a place's homepage and a few likely contact pages (within a strict
+ * per-domain page budget, honouring robots.txt) and collects emails, social
+ * profiles and extra phone numbers with the URL each was found on.
+ */
+
+const logger = require('../../utils/logger');
+const { parseRobots, isAllowed } = require('./robots');
+const {
+    ENRICHMENT_MAX_PAGES_PER_DOMAIN,
+    ENRICHMENT_DOMAIN_TIME_BUDGET,
+    ENRICHMENT_TIMEOUT,
+    ENRICHMENT_MAX_BYTES,
+    ENRICHMENT_USER_AGENT
+} = require('../../utils/constants');
+
+// Links worth following from the homepage
+const CONTACT_LINK = /contact|about|impressum|reach-?us|get-?in-?touch|enquir|inquir/i;
+
+// Tried when the homepage links to no contact page
+const FALLBACK_PATHS = ['/contact', '/contact-us'];
+
+const SOCIAL_NETWORKS = [
+    { network: 'facebook', hosts: /(^|\.)(facebook\.com|fb\.com)$/ },
+    { network: 'instagram', hosts: /(^|\.)instagram\.com$/ },
+    { network: 'linkedin', hosts: /(^|\.)linkedin\.com$/ },
+    { network: 'twitter', hosts: /(^|\.)(twitter\.com|x\.com)$/ },
+    { network: 'youtube', hosts: /(^|\.)(youtube\.com|youtu\.be)$/ },
+    { network: 'tiktok', hosts: /(^|\.)tiktok\.com$/ }
+];
+
+// Share buttons and embeds, not the business's own profile
+const SOCIAL_NOISE = /sharer|\/share|intent\/|\/plugins\/|\/dialog\/|\/embed\//i;
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const EMAIL_NOISE = /\.(png|jpe?g|gif|svg|webp)$|@(example|domain|email)\.|sentry|wixpress/i;
+
+// "info [at] example [dot] com", "info(at)example.com", "info at example dot com"
+const BRACKET_AT = /([a-z0-9._%+-]+)\s*[[({<]\s*at\s*[\])}>]\s*([a-z0-9-]+(?:\s*(?:\.|[[({<]\s*dot\s*[\])}>])\s*[a-z0-9-]+)+)/gi;
+const WORD_AT = /([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)/gi;
+
+const INTERNATIONAL_PHONE = /\+\d[\d\s().-]{7,}\d/g;
+
+function decodeEntities(html) {
+    return html
+        .replace(/&#64;|&#x40;|&commat;/gi, '@')
+        .replace(/&#46;|&#x2e;|&period;/gi, '.')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&amp;/gi, '&');
+}
+
+function joinDomain(domain) {
+    return domain.replace(/\s*(?:[[({<]\s*dot\s*[\])}>]|\s+dot\s+|\.)\s*/gi, '.');
+}
+
+/**
+ * Emails, social profiles, phone numbers and links in an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was fetched from (resolves relative links)
+ * @returns {Object} { emails, socials, phones, links }
+ */
+function extractContacts(html, pageUrl) {
+    const decoded = decodeEntities(html);
+    const text = decoded
+        .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ');
+
+    const emails = new Set();
+    const phones = new Set();
+    const socials = new Map();
+    const links = [];
+
+    for (const match of decoded.matchAll(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        const href = match[1].trim();
+        const label = match[2].replace(/<[^>]+>/g, ' ').trim();
+
+        if (/^mailto:/i.test(href)) {
+            const address = decodeURIComponent(href.slice(7).split('?')[0]).trim();
+            if (address.includes('@')) emails.add(address.toLowerCase());
+            continue;
+        }
+        if (/^tel:/i.test(href)) {
+            const number = decodeURIComponent(href.slice(4)).replace(/[^\d+]/g, '');
+            if (number.replace(/\D/g, '').length >= 7) phones.add(number);
+            continue;
+        }
+
+        let url;
+        try {
+            url = new URL(href, pageUrl);
+        } catch (e) {
+            continue;
+        }
+        if (!/^https?:$/.test(url.protocol)) continue;
+
+        const host = url.hostname.replace(/^www\./, '');
+        const social = SOCIAL_NETWORKS.find(({ hosts }) => hosts.test(host));
+        if (social) {
+            const path = url.pathname.replace(/\/+$/, '');
+            if (path && !SOCIAL_NOISE.test(url.pathname)) {
+                const profile = `${url.protocol}//${url.hostname}${path}`;
+                socials.set(profile, social.network);
+            }
+            continue;
+        }
+
+        links.push({ url: url.href.split('#')[0], label });
+    }
+
+    for (const match of text.matchAll(EMAIL)) {
+        emails.add(match[0].toLowerCase());
+    }
+    for (const pattern of [BRACKET_AT, WORD_AT]) {
+        for (const match of text.matchAll(pattern)) {
+            emails.add(`${match[1]}@${joinDomain(match[2])}`.toLowerCase());
+        }
+    }
+
+    for (const match of text.matchAll(INTERNATIONAL_PHONE)) {
+        const digits = match[0].replace(/\D/g, '');
+        if (digits.length >= 10 && digits.length <= 15) {
+            phones.add(`+${digits}`);
+        }
+    }
+
+    return {
+        emails: [...emails].filter(email => !EMAIL_NOISE.test(email)),
+        socials: [...socials].map(([url, network]) => ({ network, url })),
+        phones: [...phones],
+        links
+    };
+}
+
+/**
+ * "example.com" -> "https://example.com/"
+ */
+function toStartUrl(website) {
+    if (!website) return null;
+    try {
+        const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Same host apart from a leading "www." (http -> https and www redirects)
+ */
+function isSameSite(a, b) {
+    const host = url => new URL(url).hostname.replace(/^www\./, '');
+    return host(a) === host(b);
+}
+
+class WebsiteEnricher {
+    /**
+     * @param {Object} options - Overrides for tests
+     * @param {number} options.maxPagesPerDomain - Pages fetched per domain (robots.txt not counted)
+     * @param {number} options.timeout - Per-request timeout (ms)
+     * @param {number} options.timeBudget - Total time per domain (ms)
+     */
+    constructor(options = {}) {
+        this.maxPagesPerDomain = options.maxPagesPerDomain || ENRICHMENT_MAX_PAGES_PER_DOMAIN;
+        this.timeout = options.timeout || ENRICHMENT_TIMEOUT;
+        this.timeBudget = options.timeBudget || ENRICHMENT_DOMAIN_TIME_BUDGET;
+        this.sites = new Map();  // origin -> Promise<enrichment> (chains share one crawl)
+    }
+
+    /**
+     * Enrich a place website
+     * @param {string} website - Place website (with or without scheme)
+     * @returns {Promise<Object|null>} { emails, socials, phones, pagesFetched, robotsBlocked, fetchedAt }
+     */
+    async enrich(website) {
+        const startUrl = toStartUrl(website);
+        if (!startUrl) return null;
+
+        const origin = new URL(startUrl).origin;
+        if (!this.sites.has(origin)) {
+            this.sites.set(origin, this.crawl(startUrl).catch(error => {
+                logger.debug(`Enrichment failed for ${origin}: ${error.message}`);
+                return null;
+            }));
+        }
+        return this.sites.get(origin);
+    }
+
+    async crawl(startUrl) {
+        let origin = new URL(startUrl).origin;
+        const deadline = Date.now() + this.timeBudget;
+        let rules = await this.fetchRobots(origin);
+
+        const result = {
+            emails: [],
+            socials: [],
+            phones: [],
+            pagesFetched: [],
+            robotsBlocked: [],
+            fetchedAt: new Date().toISOString()
+        };
+        const seen = { emails: new Set(), socials: new Set(), phones: new Set() };
+        const queue = [startUrl];
+        const queued = new Set(queue);
+        let pages = 0;
+
+        while (queue.length > 0 && pages < this.maxPagesPerDomain && Date.now() < deadline) {
+            const url = queue.shift();
+            const { pathname, search } = new URL(url);
+            if (rules && !isAllowed(rules, pathname + search)) {
+                result.robotsBlocked.push(url);
+                continue;
+            }
+
+            pages++;
+            let page = await this.fetchPage(url);
+            if (page && page.location) {
+                // One hop, followed by hand so it is checked like any other page.
+                // Only the homepage may move to another origin of the same site.
+                const target = new URL(page.location);
+                if (target.origin !== origin) {
+                    if (pages > 1 || !isSameSite(target.href, origin)) {
+                        logger.debug(`Enrichment skipped redirect ${url} -> ${target.href}`);
+                        continue;
+                    }
+                    origin = target.origin;
+                    rules = await this.fetchRobots(origin);
+                }
+                if (rules && !isAllowed(rules, target.pathname + target.search)) {
+                    result.robotsBlocked.push(target.href);
+                    continue;
+                }
+                queued.add(target.href);
+                page = await this.fetchPage(target.href);
+                if (page && page.location) continue;
+            }
+            if (!page) continue;
+            result.pagesFetched.push(page.url);
+
+            const found = extractContacts(page.html, page.url);
+            found.emails.forEach(value => {
+                if (!seen.emails.has(value)) result.emails.push({ value, source: page.url });
+                seen.emails.add(value);
+            });
+            found.socials.forEach(({ network, url: profile }) => {
+                if (!seen.socials.has(profile)) result.socials.push({ network, url: profile, source: page.url });
+                seen.socials.add(profile);
+            });
+            found.phones.forEach(value => {
+                if (!seen.phones.has(value)) result.phones.push({ value, source: page.url });
+                seen.phones.add(value);
+            });
+
+            // Contact pages linked from the first page, same site only
+            if (pages === 1) {
+                const contactLinks = found.links
+                    .filter(link => new URL(link.url).origin === new URL(page.url).origin)
+                    .filter(link => CONTACT_LINK.test(link.url) || CONTACT_LINK.test(link.label))
+                    .map(link => link.url);
+                const candidates = contactLinks.length > 0
+                    ? contactLinks
+                    : FALLBACK_PATHS.map(path => new URL(path, page.url).href);
+
+                for (const candidate of candidates) {
+                    if (!queued.has(candidate)) {
+                        queued.add(candidate);
+                        queue.push(candidate);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * robots.txt rules for our user agent (null = no restrictions)
+     * Server errors are treated as "disallow everything".
+     */
+    async fetchRobots(origin) {
+        try {
+            const response = await fetch(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': ENRICHMENT_USER_AGENT },
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            if (response.status >= 500) {
+                return parseRobots('User-agent: *\nDisallow: /', ENRICHMENT_USER_AGENT);
+            }
+            if (!response.ok) return null;
+            return parseRobots(await response.text(), ENRICHMENT_USER_AGENT);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fetch an HTML page, reading at most ENRICHMENT_MAX_BYTES
+     * Redirects are not followed: the caller gets { url, location } instead.
+     * @returns {Promise<Object|null>} { url, html } or { url, location }
+     */
+    async fetchPage(url) {
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': ENRICHMENT_USER_AGENT, 'Accept': 'text/html' },
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            if (response.status >= 300 && response.status < 400) {
+                const location = response.headers.get('location');
+                if (response.body) await response.body.cancel();
+                return location ? { url, location: new URL(location, url).href } : null;
+            }
+
+            const type = response.headers.get('content-type') || '';
+            if (!response.ok || !type.includes('html')) {
+                if (response.body) await response.body.cancel();
+                return null;
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            let size = 0;
+            while (size < ENRICHMENT_MAX_BYTES) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                size += value.length;
+            }
+            await reader.cancel();
+
+            return { url, html: Buffer.concat(chunks).toString('utf8') };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    WebsiteEnricher,
+    extractContacts
+};
@@ -0,0 +1,96 @@
+/**
+ * About tab attribute extraction utilities
+ */
+
+const { selectorPack } = require('../config/selector-pack');
+
+// Attribute labels that mean the place does NOT offer it
+const NEGATIVE_LABEL = /^(no|not|doesn't|does not|don't)\b/i;
+
+/**
+ * "Wheelchair-accessible entrance" -> "wheelchairAccessibleEntrance"
+ */
+function toKey(text) {
+    const words = String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^A-Za-z0-9]+/g, ' ')
+        .trim()
+        .toLowerCase()
+        .split(' ')
+        .filter(Boolean);
+
+    return words
+        .map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+        .join('');
+}
+
+/**
+ * Typed attribute map from the raw About sections
+ * @param {Array} sections - [{ title, items: [{ name, label }] }]
+ * @returns {Object|null} { serviceOptions: { dineIn: true }, accessibility: {...}, ... }
+ */
+function buildAttributeMap(sections) {
+    const attributes = {};
+
+    for (const section of sections || []) {
+        const group = toKey(section.title);
+        if (!group) continue;
+
+        for (const item of section.items || []) {
+            const key = toKey(item.name);
+            if (!key) continue;
+            attributes[group] = attributes[group] || {};
+            attributes[group][key] = !NEGATIVE_LABEL.test((item.label || '').trim());
+        }
+    }
+
+    return Object.keys(attributes).length > 0 ? attributes : null;
+}
+
+/**
+ * Open the About tab and read its grouped attributes
+ * @param {Page} page - Puppeteer page instance on a place
+ * @returns {Promise<Object|null>} Attribute map, or null if the place has no About tab
+ */
+async function extractAboutAttributes(page) {
+    const clicked = await page.evaluate(() => {
+        const tabs = [...document.querySelectorAll('button[role="tab"]')];
+        const tab = tabs.find(el => /^about\b/i.test((el.getAttribute('aria-label') || el.textContent || '').trim()));
+        if (!tab) return false;
+        tab.click();
+        return true;
+    });
+    if (!clicked) return null;
+
+    try {
+        await selectorPack.waitFor(page, 'aboutSection', { timeout: 5000 });
+    } catch (e) {
+        return null;
+    }
+
+    const sections = await page.evaluate((selectors) => {
+        const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '');
+        const selector = selectors.find(candidate => document.querySelector(candidate));
+        if (!selector) return [];
+
+        return [...document.querySelectorAll(selector)].map(section => ({
+            title: text(section.querySelector('h2')),
+            items: [...section.querySelectorAll('li')].map(li => {
+                const labelled = li.querySelector('[aria-label]');
+                return {
+                    name: text(li),
+                    label: labelled ? labelled.getAttribute('aria-label') : text(li)
+                };
+            })
+        }));
+    }, selectorPack.get('aboutSection'));
+
+    return buildAttributeMap(sections);
+}
+
+module.exports = {
+    extractAboutAttributes,
+    buildAttributeMap
+};
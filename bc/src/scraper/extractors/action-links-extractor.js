@@ -0,0 +1,109 @@
+/**
+ * Action links extraction utilities (menu, reservation, order, appointment)
+ */
+
+const ACTION_TYPES = ['menu', 'reservation', 'order', 'appointment'];
+
+// Checked in order: "Book a table" is a reservation, "Book online" an appointment
+const ACTION_PATTERNS = [
+    { type: 'menu', pattern: /\bmenu\b/i },
+    { type: 'reservation', pattern: /reserv|book a table|table booking/i },
+    { type: 'order', pattern: /\border\b|delivery|pickup|pick-up|takeout|takeaway/i },
+    { type: 'appointment', pattern: /appointment|book online|\bbook\b|schedule/i }
+];
+
+/**
+ * Target of a Google redirect (/url?q=...) or the URL itself
+ */
+function unwrapUrl(href) {
+    try {
+        const url = new URL(href);
+        if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url') {
+            return url.searchParams.get('q') || url.searchParams.get('url') || href;
+        }
+        return href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * "https://www.zomato.com/..." -> "zomato.com"
+ */
+function getProvider(href) {
+    try {
+        return new URL(href).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Group raw action buttons by type
+ * @param {Array} links - [{ label, href, itemId }] from the place page
+ * @returns {Object|null} { menu: [{ url, provider, label }], reservation: [...], order: [...], appointment: [...] }
+ */
+function classifyActionLinks(links) {
+    const actions = {};
+    ACTION_TYPES.forEach(type => { actions[type] = []; });
+    const seen = new Set();
+    let found = false;
+
+    for (const link of links || []) {
+        const url = unwrapUrl(link.href);
+        if (!url || !/^https?:/i.test(url) || seen.has(url)) continue;
+
+        const provider = getProvider(url);
+        // Links that stay on Maps are not third-party actions
+        if (!provider || /(^|\.)google\.[a-z.]+$/.test(provider)) continue;
+
+        const text = `${link.itemId || ''} ${link.label || ''}`;
+        const match = ACTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+        if (!match) continue;
+
+        seen.add(url);
+        found = true;
+        actions[match.type].push({ url, provider, label: link.label || null });
+    }
+
+    return found ? actions : null;
+}
+
+/**
+ * Extract action links shown on a place page
+ * @param {Page} page - Puppeteer page instance on a place
+ * @returns {Promise<Object|null>} Action links grouped by type
+ */
+async function extractActionLinks(page) {
+    const links = await page.evaluate(() => {
+        const selectors = [
+            'a[data-item-id="menu"]',
+            'a[data-item-id^="action:"]',
+            'a[data-tooltip*="menu" i]',
+            'a[aria-label*="Menu"]',
+            'a[aria-label*="Reserve"]',
+            'a[aria-label*="Order"]',
+            'a[aria-label*="Book"]',
+            'a[aria-label*="appointment" i]'
+        ];
+
+        const found = [];
+        for (const el of document.querySelectorAll(selectors.join(', '))) {
+            if (!el.href) continue;
+            found.push({
+                label: (el.getAttribute('aria-label') || el.textContent || '').trim(),
+                href: el.href,
+                itemId: el.getAttribute('data-item-id')
+            });
+        }
+        return found;
+    });
+
+    return classifyActionLinks(links);
+}
+
+module.exports = {
+    ACTION_TYPES,
+    extractActionLinks,
+    classifyActionLinks
+};
@@ -0,0 +1,66 @@
+/**
+ * Listing claim / owner verification detection
+ */
+
+// Prompt shown on listings nobody has claimed
+const CLAIM_PROMPT = /own this business\?|claim this business/i;
+
+// Content only the verified owner can publish
+const OWNER_MARKERS = [
+    { name: 'fromTheOwner', pattern: /^from the owner$/i },
+    { name: 'updatedByBusiness', pattern: /updated by (this )?business/i },
+    { name: 'ownerResponse', pattern: /^response from the owner/i },
+    { name: 'manageProfile', pattern: /manage (this|your) business profile/i }
+];
+
+/**
+ * Claim status from the signals found on a place page
+ * @param {Object} signals - { claimPrompt, ownerMarkers }
+ * @returns {boolean|string} true, false or 'unknown'
+ */
+function detectClaimStatus(signals) {
+    if (!signals) return 'unknown';
+    if (signals.claimPrompt) return false;
+    if (signals.ownerMarkers && signals.ownerMarkers.length > 0) return true;
+    return 'unknown';
+}
+
+/**
+ * Look for the claim prompt and owner markers on a place page
+ * @param {Page} page - Puppeteer page instance on a place
+ * @returns {Promise<Object>} { claimed, signals: { claimPrompt, ownerMarkers } }
+ */
+async function extractClaimStatus(page) {
+    const signals = await page.evaluate((claimSource, markers) => {
+        const claimPattern = new RegExp(claimSource, 'i');
+
+        // Claim prompt: merchant link or any short text with the prompt
+        let claimPrompt = false;
+        const merchant = document.querySelector('a[data-item-id="merchant"], button[data-item-id="merchant"]');
+        if (merchant && claimPattern.test(merchant.getAttribute('aria-label') || merchant.textContent || '')) {
+            claimPrompt = true;
+        }
+
+        const texts = [];
+        for (const el of document.querySelectorAll('a, button, span, h2, div.fontTitleSmall')) {
+            const text = (el.getAttribute('aria-label') || el.textContent || '').trim();
+            if (text && text.length <= 80) texts.push(text);
+        }
+        if (!claimPrompt) {
+            claimPrompt = texts.some(text => claimPattern.test(text));
+        }
+
+        const ownerMarkers = markers
+            .filter(marker => texts.some(text => new RegExp(marker.source, 'i').test(text)))
+            .map(marker => marker.name);
+
+        return { claimPrompt, ownerMarkers };
+    }, CLAIM_PROMPT.source, OWNER_MARKERS.map(({ name, pattern }) => ({ name, source: pattern.source })));
+
+    return { claimed: detectClaimStatus(signals), signals };
+}
+
+module.exports = {
+    extractClaimStatus,
+    detectClaimStatus
+};
@@ -2,104 +2,97 @@
  * Business details extraction utilities
  */
 
+const { selectorPack } = require('../config/selector-pack');
+const { getLocale, phrasePattern } = require('../locales');
+
 /**
  * Extract business details from Google Maps page
+ * Selectors come from the selector pack; the index of the fallback that matched
+ * each field is recorded in the pack's match report.
  * @param {Page} page - Puppeteer page instance
+ * @param {Object} locale - Locale pack of the page language (default English)
  * @returns {Promise<Object>} Business details object
  */
-async function extractOutletDetails(page) {
-    return await page.evaluate(() => {
+async function extractOutletDetails(page, locale = getLocale('en')) {
+    const selectors = {};
+    for (const field of ['placeTitle', 'rating', 'reviewCount', 'category', 'hotelClass', 'infoRow', 'website']) {
+        selectors[field] = selectorPack.get(field);
+    }
+    
+    // "1,234 reviews", "1.234 reseñas", "١٬٢٣٤ مراجعة" (digits are normalized later)
+    const reviewPattern = `([\\d٠-٩०-९][\\d٠-٩०-९.,٬\\s\\u00a0\\u202f]*)\\s*(?:${phrasePattern(locale.reviews)})`;
+
+    const { details, matched } = await page.evaluate((selectors, reviewPattern) => {
         const details = {};
+        const matched = {};
         
-        // Name - Updated selectors for current Google Maps structure
-        const nameSelectors = [
-            'h1.DUwDvf.lfPIob',
-            'h1.DUwDvf',
-            'h1[class*="DUwDvf"]',
-            'div[role="heading"][aria-level="1"]',
-            'h1.fontHeadlineLarge'
-        ];
-        
-        let name = 'Not found';
-        for (const selector of nameSelectors) {
-            const el = document.querySelector(selector);
-            if (el && el.textContent && el.textContent.trim()) {
-                name = el.textContent.trim();
-                break;
+        // First element of a field (in fallback order) that passes the test
+        const find = (field, test = () => true) => {
+            const list = selectors[field];
+            for (let i = 0; i < list.length; i++) {
+                for (const el of document.querySelectorAll(list[i])) {
+                    const text = (el.textContent || '').trim();
+                    if (text && test(text, el)) {
+                        matched[field] = i;
+                        return el;
+                    }
+                }
             }
-        }
-        details.name = name;
+            matched[field] = -1;
+            return null;
+        };
         
-        // Rating
-        let rating = 'Not found';
-        const spans = document.querySelectorAll('span[aria-hidden="true"]');
-        for (const span of spans) {
-            const txt = span.textContent.trim();
-            if (/^\d\.\d$/.test(txt)) {
-                rating = txt;
-                break;
-            }
-        }
-        details.rating = rating;
+        // Name
+        const nameEl = find('placeTitle');
+        details.name = nameEl ? nameEl.textContent.trim() : 'Not found';
+        
+        // Rating ("4.5", "4,5", "٤٫٥")
+        const ratingEl = find('rating', text => /^[\d٠-٩][.,٫][\d٠-٩]$/.test(text));
+        details.rating = ratingEl ? ratingEl.textContent.trim() : 'Not found';
         
         // Reviews
-        const reviewEl = document.querySelector('span[aria-label*="review"]');
-        if (reviewEl) {
-            const reviewText = reviewEl.getAttribute('aria-label');
-            const match = reviewText.match(/([\d,]+)\s*review/i);
-            details.reviews = match ? match[1] : 'Not found';
-        } else {
-            details.reviews = 'Not found';
+        let reviews = 'Not found';
+        const reviewList = selectors.reviewCount;
+        const reviewRegex = new RegExp(reviewPattern, 'i');
+        matched.reviewCount = -1;
+        for (let i = 0; i < reviewList.length && reviews === 'Not found'; i++) {
+            for (const el of document.querySelectorAll(reviewList[i])) {
+                const match = (el.getAttribute('aria-label') || '').match(reviewRegex);
+                if (match) {
+                    reviews = match[1].trim();
+                    matched.reviewCount = i;
+                    break;
+                }
+            }
         }
+        details.reviews = reviews;
         
-        // Category (with hotel star rating support)
+        // Category, else hotel star rating (e.g., "3-star hotel")
         let category = 'Not found';
-        
-        // Try regular category button first
-        const catEl = document.querySelector('button[jsaction*="category"]');
+        const catEl = find('category');
         if (catEl) {
             category = catEl.textContent.trim();
-        }
-        
-        // If not found, try hotel star rating (e.g., "3-star hotel")
-        if (category === 'Not found') {
-            const starSelectors = [
-                'span:has-text("star hotel")', // CSS4 selector
-                'div.LBgpqf span', // Hotel star rating container
-                'div.lMbq3e span' // Alternative container
-            ];
-            
-            // Check all spans for star rating pattern
-            const allSpans = document.querySelectorAll('span');
-            for (const span of allSpans) {
-                const text = span.textContent.trim();
-                if (text.match(/^\d-star hotel$/i) || text.match(/^\d\.\d-star hotel$/i)) {
-                    category = text;
-                    break;
-                }
+        } else {
+            const starEl = find('hotelClass', text => /^\d(\.\d)?-star hotel$/i.test(text));
+            if (starEl) {
+                category = starEl.textContent.trim();
             }
         }
-        
         details.category = category;
         
-        // Address - find div with pincode
-        const addressEl = document.querySelector('div.Io6YTe.fontBodyMedium.kR99db.fdkmkc');
+        // Address - first info row
+        const addressEl = find('infoRow');
         details.address = addressEl ? addressEl.textContent.trim() : 'Not found';
         
-        // Website - find URL pattern
-        const urlDivs = document.querySelectorAll('div.Io6YTe.fontBodyMedium.kR99db.fdkmkc');
-        let website = 'Not found';
-        for (const div of urlDivs) {
-            const txt = div.textContent.trim();
-            if (/^(?:http[s]?:\/\/)?(?:www\.)?[\w.-]+\.[A-Za-z]{2,}$/.test(txt)) {
-                website = txt;
-                break;
-            }
-        }
-        details.website = website;
+        // Website - info row that looks like a domain
+        const websiteEl = find('website', text => /^(?:http[s]?:\/\/)?(?:www\.)?[\w.-]+\.[A-Za-z]{2,}$/.test(text));
+        details.website = websiteEl ? websiteEl.textContent.trim() : 'Not found';
         
-        return details;
-    });
+        return { details, matched };
+    }, selectors, reviewPattern);
+
+    selectorPack.recordAll(matched);
+    return details;
 }
 
 module.exports = {
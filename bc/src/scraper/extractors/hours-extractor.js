@@ -0,0 +1,120 @@
+/**
+ * Opening hours extraction utilities
+ */
+
+const { getLocale } = require('../locales');
+
+// Elements that open the weekly hours table when clicked
+const EXPAND_SELECTORS = [
+    'div.OMl5r[jsaction*="openhours"]',
+    'span.ZDu9vd',
+    'button[data-item-id="oh"]'
+];
+
+const TABLE_SELECTOR = 'table.eK4R0e, table.WgFkxc';
+
+// [aria-label*="..."] for each phrase of a locale
+const ariaSelectors = (phrases) => phrases.map(phrase => `[aria-label*="${phrase.replace(/"/g, '\\"')}"]`);
+
+/**
+ * Expand the hours panel so every day is in the DOM
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} locale - Locale pack of the page language
+ * @returns {Promise<boolean>} True if the hours table is present
+ */
+async function expandHoursPanel(page, locale = getLocale('en')) {
+    if (await page.$(TABLE_SELECTOR)) return true;
+
+    for (const selector of [...EXPAND_SELECTORS, ...ariaSelectors(locale.showHours)]) {
+        try {
+            const element = await page.$(selector);
+            if (!element) continue;
+            await element.click();
+            await page.waitForSelector(TABLE_SELECTOR, { timeout: 2000 });
+            return true;
+        } catch (e) {}
+    }
+
+    return false;
+}
+
+/**
+ * Extract the raw hours panel (parsed later by parseOpeningHours)
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} locale - Locale pack of the page language
+ * @returns {Promise<Object>} { rows, ariaLabel, holidayNotice, checkIn, checkOut, closureNotice }
+ */
+async function extractOpeningHours(page, locale = getLocale('en')) {
+    await expandHoursPanel(page, locale);
+
+    const phrases = {
+        hideHours: ariaSelectors(locale.hideHours),
+        checkIn: locale.checkIn,
+        checkOut: locale.checkOut,
+        closures: [...locale.permanentlyClosed, ...locale.temporarilyClosed].map(phrase => phrase.toLowerCase())
+    };
+
+    return await page.evaluate((tableSelector, phrases) => {
+        const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '');
+        const hours = {
+            rows: [],
+            ariaLabel: null,
+            holidayNotice: null,
+            checkIn: null,
+            checkOut: null,
+            closureNotice: null
+        };
+
+        // Weekly table: day cell (may name a holiday under the day) + hours cell
+        const table = document.querySelector(tableSelector);
+        if (table) {
+            for (const row of table.querySelectorAll('tr')) {
+                const cells = row.querySelectorAll('td');
+                if (cells.length < 2) continue;
+                const hoursCell = cells[cells.length - 1];
+                hours.rows.push({
+                    day: text(cells[0]),
+                    hours: hoursCell.getAttribute('aria-label') || text(hoursCell)
+                });
+            }
+        }
+
+        // "Monday, 9 AM to 5 PM; Tuesday, ..." on the hours container
+        const labelSelectors = [
+            'div.t39EBf[aria-label]',
+            ...phrases.hideHours,
+            'button[data-item-id="oh"][aria-label]'
+        ];
+        for (const selector of labelSelectors) {
+            const el = document.querySelector(selector);
+            if (el && el.getAttribute('aria-label')) {
+                hours.ariaLabel = el.getAttribute('aria-label');
+                break;
+            }
+        }
+
+        // Holiday / special hours notice
+        const notice = document.querySelector('div.zaf2le');
+        if (notice && text(notice)) {
+            hours.holidayNotice = text(notice);
+        }
+
+        // Hotels show check-in / check-out instead of weekly hours
+        for (const span of document.querySelectorAll('span')) {
+            const value = text(span);
+            if (value.length > 60) continue;
+            if (!hours.checkIn && phrases.checkIn.some(phrase => value.includes(phrase))) hours.checkIn = value;
+            if (!hours.checkOut && phrases.checkOut.some(phrase => value.includes(phrase))) hours.checkOut = value;
+            if (!hours.closureNotice && phrases.closures.includes(value.toLowerCase())) {
+                hours.closureNotice = value;
+            }
+        }
+
+        return hours;
+    }, TABLE_SELECTOR, phrases);
+}
+
+module.exports = {
+    extractOpeningHours,
+    expandHoursPanel
+};
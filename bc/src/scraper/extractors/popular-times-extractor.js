@@ -0,0 +1,90 @@
+/**
+ * Popular times (busyness histogram) extraction utilities
+ */
+
+const { selectorPack } = require('../config/selector-pack');
+const { parseTime } = require('../utils/hours-parser');
+
+// Maps renders one histogram per weekday, starting on Sunday
+const PANEL_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const BAR_LABEL = /(\d+)%\s+busy\s+at\s+(\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?)/i;
+const LIVE_LABEL = /currently\s+(\d+)%\s+busy(?:,\s*usually\s+(\d+)%\s+busy)?/i;
+
+/**
+ * Structured popular times from the raw bar labels
+ * Bar labels: "35% busy at 6 pm." / live bar: "Currently 45% busy, usually 60% busy."
+ * @param {Object} raw - { days: [[label, ...], ...] } (Sunday first)
+ * @returns {Object|null} { weekly: { monday: [{ hour, busyness }], ... }, live }
+ */
+function parsePopularTimes(raw) {
+    if (!raw || !raw.days || raw.days.length === 0) return null;
+
+    const weekly = {};
+    let live = null;
+
+    raw.days.slice(0, PANEL_DAYS.length).forEach((labels, index) => {
+        const hours = [];
+
+        for (const label of labels) {
+            const bar = label.match(BAR_LABEL);
+            if (bar) {
+                const time = parseTime(bar[2]);
+                if (time) {
+                    hours.push({ hour: Math.floor(time.minutes / 60), busyness: parseInt(bar[1], 10) });
+                }
+                continue;
+            }
+
+            // The live bar replaces the label of the current hour
+            const current = label.match(LIVE_LABEL);
+            if (current) {
+                const hour = hours.length > 0 ? (hours[hours.length - 1].hour + 1) % 24 : null;
+                const usual = current[2] !== undefined ? parseInt(current[2], 10) : null;
+                live = {
+                    day: PANEL_DAYS[index],
+                    hour,
+                    busyness: parseInt(current[1], 10),
+                    usual
+                };
+                if (hour !== null && usual !== null) {
+                    hours.push({ hour, busyness: usual });
+                }
+            }
+        }
+
+        weekly[PANEL_DAYS[index]] = hours;
+    });
+
+    const hasData = Object.values(weekly).some(hours => hours.length > 0);
+    return hasData || live ? { weekly, live } : null;
+}
+
+/**
+ * Extract the popular times histogram of the loaded place page
+ * @param {Page} page - Puppeteer page instance on a place
+ * @returns {Promise<Object|null>} Popular times, or null if the place has none
+ */
+async function extractPopularTimes(page) {
+    const raw = await page.evaluate((selectors) => {
+        const index = selectors.findIndex(selector => document.querySelector(selector));
+        if (index < 0) return { index, days: null };
+        const container = document.querySelector(selectors[index]);
+
+        // One child per weekday, each with one bar per hour
+        const panels = container.querySelectorAll(':scope > div');
+        const days = [...panels].map(panel =>
+            [...panel.querySelectorAll('[aria-label]')].map(bar => bar.getAttribute('aria-label'))
+        );
+
+        return { index, days };
+    }, selectorPack.get('popularTimes'));
+
+    selectorPack.record('popularTimes', raw.index);
+    return parsePopularTimes(raw);
+}
+
+module.exports = {
+    extractPopularTimes,
+    parsePopularTimes
+};
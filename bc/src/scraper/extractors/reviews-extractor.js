@@ -0,0 +1,258 @@
+/**
+ * Review extraction utilities
+ */
+
+const { selectorPack } = require('../config/selector-pack');
+const { getLocale, normalizeLocaleText } = require('../locales');
+
+// Selector pack fields read inside each review card
+const CARD_FIELDS = [
+    'reviewAuthor',
+    'reviewSubtitle',
+    'reviewStars',
+    'reviewScore',
+    'reviewDate',
+    'reviewText',
+    'ownerResponse',
+    'ownerResponseDate',
+    'ownerResponseText'
+];
+
+// Position of each order in the "Sort reviews" menu
+const SORT_MENU_INDEX = {
+    relevant: 0,
+    newest: 1,
+    highest: 2,
+    lowest: 3
+};
+
+// Scroll rounds without new reviews before giving up
+const MAX_IDLE_SCROLLS = 3;
+
+const UNIT_DAYS = {
+    minute: 0,
+    hour: 0,
+    day: 1,
+    week: 7,
+    month: 30,
+    year: 365
+};
+
+/**
+ * Estimated date for a relative Maps date ("3 weeks ago", "hace un año")
+ * Maps only shows relative dates, so this is accurate to the unit shown.
+ * @param {string} relative - Relative date text
+ * @param {Date} now - Reference time (scrape time)
+ * @param {Object} locale - Locale pack of the page language (default English)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toAbsoluteDate(relative, now = new Date(), locale = getLocale('en')) {
+    if (!relative) return null;
+    const text = normalizeLocaleText(relative).toLowerCase();
+    const has = phrases => phrases.some(phrase => text.includes(phrase.toLowerCase()));
+
+    if (has(locale.justNow)) return now.toISOString().slice(0, 10);
+    if (has(locale.yesterday)) return new Date(now - 86400000).toISOString().slice(0, 10);
+
+    const unit = Object.keys(UNIT_DAYS).find(name => has(locale.timeUnits[name]));
+    if (!unit) return null;
+
+    // "a week ago" has no number, "قبل أسبوعين" (two weeks ago) neither
+    const number = text.match(/\d+/);
+    const amount = number ? parseInt(number[0], 10) : (has(locale.dualUnits) ? 2 : 1);
+    const date = new Date(now);
+    if (unit === 'month') {
+        date.setUTCMonth(date.getUTCMonth() - amount);
+    } else if (unit === 'year') {
+        date.setUTCFullYear(date.getUTCFullYear() - amount);
+    } else {
+        date.setUTCDate(date.getUTCDate() - amount * UNIT_DAYS[unit]);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Open the Reviews tab of a place page
+ * @param {Page} page - Puppeteer page instance on a place
+ * @param {Array<string>} labels - Tab label words of the page language ("review", "reseña")
+ * @returns {Promise<boolean>} True if reviews are showing
+ */
+async function openReviewsTab(page, labels) {
+    const clicked = await page.evaluate((labels) => {
+        const tabs = [...document.querySelectorAll('button[role="tab"]')];
+        const tab = tabs.find(el => {
+            const label = (el.getAttribute('aria-label') || el.textContent || '').toLowerCase();
+            return labels.some(word => label.includes(word.toLowerCase()));
+        });
+        if (!tab) return false;
+        tab.click();
+        return true;
+    }, labels);
+    if (!clicked) return false;
+
+    try {
+        await selectorPack.waitFor(page, 'reviewCard', { timeout: 5000 });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Number of review cards loaded (first card selector that matches)
+ */
+async function countReviews(page) {
+    return page.evaluate((selectors) => {
+        const selector = selectors.find(candidate => document.querySelector(candidate));
+        return selector ? document.querySelectorAll(selector).length : 0;
+    }, selectorPack.get('reviewCard'));
+}
+
+/**
+ * Pick an order in the "Sort reviews" menu (Maps opens on Most relevant)
+ * @param {Array<string>} labels - Button labels of the page language ("Sort reviews", "Ordenar reseñas")
+ */
+async function sortReviews(page, sort, labels) {
+    if (!sort || sort === 'relevant') return;
+
+    try {
+        const selector = labels
+            .map(label => `button[aria-label*="${label.replace(/"/g, '\\"')}"]`)
+            .concat('button[data-value="Sort"]')
+            .join(', ');
+        const sortButton = await page.$(selector);
+        if (!sortButton) return;
+        await sortButton.click();
+        await page.waitForSelector('div[role="menuitemradio"]', { timeout: 3000 });
+
+        await page.evaluate((index) => {
+            const items = document.querySelectorAll('div[role="menuitemradio"]');
+            if (items[index]) items[index].click();
+        }, SORT_MENU_INDEX[sort]);
+
+        // The list is replaced with the new order
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    } catch (e) {}
+}
+
+/**
+ * Scroll the review list until `limit` reviews are loaded or no more appear
+ */
+async function loadReviews(page, limit) {
+    let idleScrolls = 0;
+    let count = await countReviews(page);
+
+    while (count < limit && idleScrolls < MAX_IDLE_SCROLLS) {
+        await page.evaluate((selectors) => {
+            const selector = selectors.find(candidate => document.querySelector(candidate));
+            const container = selector && document.querySelector(selector);
+            if (container) container.scrollTop = container.scrollHeight;
+        }, selectorPack.get('reviewsScroller'));
+        await new Promise(resolve => setTimeout(resolve, 1200));
+
+        const newCount = await countReviews(page);
+        idleScrolls = newCount > count ? 0 : idleScrolls + 1;
+        count = newCount;
+    }
+}
+
+/**
+ * Extract reviews from a place page (opens the Reviews tab)
+ * @param {Page} page - Puppeteer page instance on a place
+ * @param {Object} options - Review options
+ * @param {number} options.limit - Maximum number of reviews
+ * @param {string} options.sort - relevant | newest | highest | lowest
+ * @param {Object} options.locale - Locale pack of the page language (default English)
+ * @returns {Promise<Array>} Reviews
+ */
+async function extractReviews(page, options = {}) {
+    const limit = options.limit || 0;
+    if (limit < 1) return [];
+
+    const locale = options.locale || getLocale('en');
+    if (!(await openReviewsTab(page, locale.reviews))) return [];
+    await sortReviews(page, options.sort, locale.sortReviews);
+    await loadReviews(page, limit);
+
+    // Expand truncated texts ("More")
+    await page.$$eval(selectorPack.get('reviewMoreButton').join(', '), buttons => buttons.forEach(button => button.click())).catch(() => {});
+
+    const selectors = {};
+    for (const field of ['reviewCard', ...CARD_FIELDS]) {
+        selectors[field] = selectorPack.get(field);
+    }
+
+    const { reviews, matched } = await page.evaluate((selectors, fields, max) => {
+        const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : null);
+        const matched = {};
+
+        // First element of a field in `root` (in fallback order); keeps the best index seen per field
+        const find = (root, field) => {
+            const list = selectors[field];
+            for (let i = 0; i < list.length; i++) {
+                const el = root.querySelector(list[i]);
+                if (el) {
+                    matched[field] = Math.min(matched[field] ?? i, i);
+                    return el;
+                }
+            }
+            return null;
+        };
+
+        // Cards of the first card selector that matches (recorded by openReviewsTab)
+        const cardSelector = selectors.reviewCard.find(selector => document.querySelector(selector));
+        const cards = cardSelector ? [...document.querySelectorAll(cardSelector)] : [];
+        const reviews = cards.slice(0, max).map(el => {
+            const subtitle = text(find(el, 'reviewSubtitle')) || '';
+
+            // Places: "4 stars" aria-label; hotels: "4/5" text
+            let rating = null;
+            const stars = find(el, 'reviewStars');
+            if (stars) {
+                const match = stars.getAttribute('aria-label').match(/(\d+(?:\.\d+)?)/);
+                rating = match ? parseFloat(match[1]) : null;
+            } else {
+                const score = text(find(el, 'reviewScore'));
+                const match = score && score.match(/^(\d+(?:\.\d+)?)\s*\//);
+                rating = match ? parseFloat(match[1]) : null;
+            }
+
+            const response = find(el, 'ownerResponse');
+
+            return {
+                reviewId: el.getAttribute('data-review-id'),
+                author: text(find(el, 'reviewAuthor')),
+                isLocalGuide: /local guide/i.test(subtitle),
+                rating,
+                relativeDate: text(find(el, 'reviewDate')),
+                text: text(find(el, 'reviewText')),
+                ownerResponse: response ? {
+                    relativeDate: text(find(response, 'ownerResponseDate')),
+                    text: text(find(response, 'ownerResponseText'))
+                } : null
+            };
+        });
+
+        fields.forEach(field => {
+            if (matched[field] === undefined) matched[field] = -1;
+        });
+        return { reviews, matched };
+    }, selectors, CARD_FIELDS, limit);
+
+    selectorPack.recordAll(matched);
+
+    const now = new Date();
+    return reviews.map(review => ({
+        ...review,
+        publishedAt: toAbsoluteDate(review.relativeDate, now, locale),
+        ownerResponse: review.ownerResponse ? {
+            ...review.ownerResponse,
+            publishedAt: toAbsoluteDate(review.ownerResponse.relativeDate, now, locale)
+        } : null
+    }));
+}
+
+module.exports = {
+    extractReviews,
+    toAbsoluteDate
+};
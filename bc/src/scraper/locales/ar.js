@@ -0,0 +1,48 @@
+/**
+ * Arabic (ar) Google Maps UI text
+ * Arabic-Indic digits and separators (٤٫٥, ١٬٢٣٤, ؛ ،) are normalized before matching.
+ */
+
+module.exports = {
+    language: 'ar',
+    reviews: ['مراجعة', 'مراجعات', 'تعليق'],
+    open: ['مفتوح'],
+    closed: ['مغلق'],
+    temporarilyClosed: ['مغلق مؤقتًا', 'مغلق مؤقتا'],
+    permanentlyClosed: ['مغلق نهائيًا', 'مغلق نهائيا', 'مغلق بشكل دائم'],
+    open24Hours: ['مفتوح على مدار 24 ساعة', 'مفتوح 24 ساعة'],
+    hoursLabel: ['ساعات العمل'],
+    showHours: ['عرض ساعات العمل'],
+    hideHours: ['إخفاء ساعات العمل'],
+    checkIn: ['وقت تسجيل الوصول'],
+    checkOut: ['وقت تسجيل المغادرة'],
+    endOfList: ['لقد وصلت إلى نهاية القائمة'],
+    justNow: ['الآن', 'اليوم'],
+    yesterday: ['أمس'],
+    timeUnits: {
+        minute: ['دقيق', 'دقائق'],
+        hour: ['ساع'],
+        day: ['يوم', 'أيام'],
+        week: ['أسبوع', 'أسابيع'],
+        month: ['شهر', 'أشهر'],
+        year: ['سنة', 'سنتين', 'سنوات', 'عام', 'أعوام']
+    },
+    // "قبل يومين" (two days ago) has no number
+    dualUnits: ['دقيقتين', 'ساعتين', 'يومين', 'أسبوعين', 'شهرين', 'سنتين', 'عامين'],
+    sortReviews: ['ترتيب المراجعات'],
+    days: {
+        monday: ['الاثنين', 'الإثنين'],
+        tuesday: ['الثلاثاء'],
+        wednesday: ['الأربعاء'],
+        thursday: ['الخميس'],
+        friday: ['الجمعة'],
+        saturday: ['السبت'],
+        sunday: ['الأحد']
+    },
+    am: ['ص', 'صباحًا'],
+    pm: ['م', 'مساءً'],
+    noon: ['الظهر'],
+    midnight: ['منتصف الليل'],
+    rangeWords: ['إلى', 'حتى'],
+    timeNoise: []
+};
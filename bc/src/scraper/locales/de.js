@@ -0,0 +1,46 @@
+/**
+ * German (de) Google Maps UI text
+ */
+
+module.exports = {
+    language: 'de',
+    reviews: ['Rezension', 'Bewertung'],
+    open: ['Geöffnet'],
+    closed: ['Geschlossen'],
+    temporarilyClosed: ['Vorübergehend geschlossen'],
+    permanentlyClosed: ['Dauerhaft geschlossen'],
+    open24Hours: ['24 Stunden geöffnet'],
+    hoursLabel: ['Öffnungszeiten'],
+    showHours: ['Öffnungszeiten anzeigen'],
+    hideHours: ['Öffnungszeiten ausblenden'],
+    checkIn: ['Check-in-Zeit', 'Check-in'],
+    checkOut: ['Check-out-Zeit', 'Check-out'],
+    endOfList: ['Das Ende der Liste ist erreicht'],
+    justNow: ['gerade eben', 'heute'],
+    yesterday: ['gestern'],
+    timeUnits: {
+        minute: ['minute'],
+        hour: ['stunde'],
+        day: ['tag'],
+        week: ['woche'],
+        month: ['monat'],
+        year: ['jahr']
+    },
+    dualUnits: [],
+    sortReviews: ['Rezensionen sortieren', 'Bewertungen sortieren'],
+    days: {
+        monday: ['montag', 'mo'],
+        tuesday: ['dienstag', 'di'],
+        wednesday: ['mittwoch', 'mi'],
+        thursday: ['donnerstag', 'do'],
+        friday: ['freitag', 'fr'],
+        saturday: ['samstag', 'sa'],
+        sunday: ['sonntag', 'so']
+    },
+    am: [],
+    pm: [],
+    noon: ['mittag'],
+    midnight: ['mitternacht'],
+    rangeWords: ['bis'],
+    timeNoise: ['uhr']
+};
@@ -0,0 +1,54 @@
+/**
+ * English Google Maps UI text
+ * Every pack has the same keys; phrases are matched case-insensitively and
+ * other packs fall back to these.
+ */
+
+module.exports = {
+    language: 'en',
+    // Word after the count in the reviews aria-label ("1,234 reviews")
+    reviews: ['review'],
+    open: ['Open'],
+    closed: ['Closed'],
+    temporarilyClosed: ['Temporarily closed', 'Closed temporarily'],
+    permanentlyClosed: ['Permanently closed', 'Closed permanently'],
+    open24Hours: ['Open 24 hours', '24/7'],
+    // Label in front of the hours summary ("Hours: ...")
+    hoursLabel: ['Hours'],
+    showHours: ['Show open hours'],
+    hideHours: ['Hide open hours'],
+    checkIn: ['Check-in time'],
+    checkOut: ['Check-out time'],
+    endOfList: ["You've reached the end of the list"],
+    // Relative review dates ("3 weeks ago", "a year ago"): words for today and
+    // yesterday, each unit (plurals included) and dual forms that mean two
+    justNow: ['just now', 'today'],
+    yesterday: ['yesterday'],
+    timeUnits: {
+        minute: ['minute'],
+        hour: ['hour'],
+        day: ['day'],
+        week: ['week'],
+        month: ['month'],
+        year: ['year']
+    },
+    dualUnits: [],
+    // aria-label of the review order button
+    sortReviews: ['Sort reviews'],
+    days: {
+        monday: ['monday', 'mon'],
+        tuesday: ['tuesday', 'tue', 'tues'],
+        wednesday: ['wednesday', 'wed'],
+        thursday: ['thursday', 'thu', 'thur', 'thurs'],
+        friday: ['friday', 'fri'],
+        saturday: ['saturday', 'sat'],
+        sunday: ['sunday', 'sun']
+    },
+    // Hours text: meridiem markers, words between open and close times, words to ignore
+    am: ['am', 'a.m.'],
+    pm: ['pm', 'p.m.'],
+    noon: ['noon'],
+    midnight: ['midnight'],
+    rangeWords: ['to'],
+    timeNoise: []
+};
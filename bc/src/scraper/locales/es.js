@@ -0,0 +1,46 @@
+/**
+ * Spanish (es) Google Maps UI text
+ */
+
+module.exports = {
+    language: 'es',
+    reviews: ['reseña', 'opiniones'],
+    open: ['Abierto'],
+    closed: ['Cerrado'],
+    temporarilyClosed: ['Cerrado temporalmente'],
+    permanentlyClosed: ['Cerrado permanentemente', 'Cerrado definitivamente'],
+    open24Hours: ['Abierto las 24 horas', 'Abierto 24 horas'],
+    hoursLabel: ['Horario'],
+    showHours: ['Mostrar el horario'],
+    hideHours: ['Ocultar el horario'],
+    checkIn: ['Hora de entrada', 'Hora de check-in'],
+    checkOut: ['Hora de salida', 'Hora de check-out'],
+    endOfList: ['Has llegado al final de la lista'],
+    justNow: ['justo ahora', 'hace un momento', 'hoy'],
+    yesterday: ['ayer'],
+    timeUnits: {
+        minute: ['minuto'],
+        hour: ['hora'],
+        day: ['día', 'dia'],
+        week: ['semana'],
+        month: ['mes'],
+        year: ['año']
+    },
+    dualUnits: [],
+    sortReviews: ['Ordenar reseñas', 'Ordenar opiniones'],
+    days: {
+        monday: ['lunes', 'lun'],
+        tuesday: ['martes', 'mar'],
+        wednesday: ['miércoles', 'mié'],
+        thursday: ['jueves', 'jue'],
+        friday: ['viernes', 'vie'],
+        saturday: ['sábado', 'sáb'],
+        sunday: ['domingo', 'dom']
+    },
+    am: ['a. m.', 'a.m.'],
+    pm: ['p. m.', 'p.m.'],
+    noon: ['mediodía'],
+    midnight: ['medianoche'],
+    rangeWords: ['a', 'hasta'],
+    timeNoise: []
+};
@@ -0,0 +1,46 @@
+/**
+ * French (fr) Google Maps UI text
+ */
+
+module.exports = {
+    language: 'fr',
+    reviews: ['avis'],
+    open: ['Ouvert'],
+    closed: ['Fermé'],
+    temporarilyClosed: ['Fermé temporairement'],
+    permanentlyClosed: ['Fermé définitivement'],
+    open24Hours: ['Ouvert 24h/24', 'Ouvert 24 h/24', 'Ouvert 24 heures sur 24'],
+    hoursLabel: ['Horaires'],
+    showHours: ['Afficher les horaires'],
+    hideHours: ['Masquer les horaires'],
+    checkIn: ["Heure d'arrivée"],
+    checkOut: ['Heure de départ'],
+    endOfList: ['Vous êtes arrivé à la fin de la liste'],
+    justNow: ["à l'instant", "aujourd'hui"],
+    yesterday: ['hier'],
+    timeUnits: {
+        minute: ['minute'],
+        hour: ['heure'],
+        day: ['jour'],
+        week: ['semaine'],
+        month: ['mois'],
+        year: ['an']
+    },
+    dualUnits: [],
+    sortReviews: ['Trier les avis'],
+    days: {
+        monday: ['lundi', 'lun'],
+        tuesday: ['mardi', 'mar'],
+        wednesday: ['mercredi', 'mer'],
+        thursday: ['jeudi', 'jeu'],
+        friday: ['vendredi', 'ven'],
+        saturday: ['samedi', 'sam'],
+        sunday: ['dimanche', 'dim']
+    },
+    am: [],
+    pm: [],
+    noon: ['midi'],
+    midnight: ['minuit'],
+    rangeWords: ['à'],
+    timeNoise: []
+};
@@ -0,0 +1,46 @@
+/**
+ * Hindi (hi) Google Maps UI text
+ */
+
+module.exports = {
+    language: 'hi',
+    reviews: ['समीक्षा', 'रिव्यू'],
+    open: ['खुला है', 'खुला'],
+    closed: ['बंद है', 'बंद'],
+    temporarilyClosed: ['अस्थायी रूप से बंद'],
+    permanentlyClosed: ['स्थायी रूप से बंद'],
+    open24Hours: ['24 घंटे खुला'],
+    hoursLabel: ['खुलने का समय', 'समय'],
+    showHours: ['खुले रहने का समय दिखाएं'],
+    hideHours: ['खुले रहने का समय छिपाएं'],
+    checkIn: ['चेक-इन का समय'],
+    checkOut: ['चेक-आउट का समय'],
+    endOfList: ['आप सूची के आखिर में पहुंच गए हैं'],
+    justNow: ['अभी', 'आज'],
+    yesterday: ['कल'],
+    timeUnits: {
+        minute: ['मिनट'],
+        hour: ['घंट'],
+        day: ['दिन'],
+        week: ['हफ़्त', 'हफ्त', 'सप्ताह'],
+        month: ['महीन'],
+        year: ['साल', 'वर्ष']
+    },
+    dualUnits: [],
+    sortReviews: ['समीक्षाएं क्रम से लगाएं', 'समीक्षाओं को क्रम से लगाएं'],
+    days: {
+        monday: ['सोमवार'],
+        tuesday: ['मंगलवार'],
+        wednesday: ['बुधवार'],
+        thursday: ['गुरुवार'],
+        friday: ['शुक्रवार'],
+        saturday: ['शनिवार'],
+        sunday: ['रविवार']
+    },
+    am: ['पूर्वाह्न', 'सुबह'],
+    pm: ['अपराह्न', 'दोपहर', 'शाम'],
+    noon: [],
+    midnight: ['आधी रात'],
+    rangeWords: ['से'],
+    timeNoise: ['बजे', 'तक']
+};
@@ -0,0 +1,150 @@
+/**
+ * Locale packs
+ * The Google Maps UI text the extractors and parsers look for, per interface
+ * language (?hl=). A job's pack is used on the page; the parsers accept the
+ * phrases of every pack, so stored places re-normalize without knowing the language.
+ */
+
+const { LOCALES } = require('../../utils/constants');
+
+const PACKS = Object.fromEntries(LOCALES.map(language => [language, require(`./${language}`)]));
+
+const PHRASE_KEYS = Object.keys(PACKS.en).filter(key => Array.isArray(PACKS.en[key]));
+
+// Keys holding phrases per name ({ monday: [...] }, { week: [...] })
+const GROUP_KEYS = Object.keys(PACKS.en).filter(key => PACKS.en[key] && typeof PACKS.en[key] === 'object' && !Array.isArray(PACKS.en[key]));
+
+// Arabic-Indic (٠-٩, ۰-۹) and Devanagari (०-९) digits
+const DIGIT_RANGES = [0x0660, 0x06f0, 0x0966];
+
+const merged = new Map();
+let allPhrases = null;
+
+const unique = (list) => [...new Set(list)];
+
+/**
+ * "es-419" / "ES" -> "es"
+ */
+function baseLanguage(language) {
+    return String(language || 'en').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Pack for a job language, with the English phrases appended as fallback
+ * (Maps shows English text for some places whatever the interface language)
+ * @param {string} language - Interface language (hl), default en
+ * @returns {Object} Locale pack
+ */
+function getLocale(language) {
+    const base = PACKS[baseLanguage(language)] ? baseLanguage(language) : 'en';
+    if (base === 'en') return PACKS.en;
+
+    if (!merged.has(base)) {
+        const pack = { ...PACKS[base] };
+        PHRASE_KEYS.forEach(key => { pack[key] = unique([...PACKS[base][key], ...PACKS.en[key]]); });
+        GROUP_KEYS.forEach(key => {
+            pack[key] = {};
+            Object.keys(PACKS.en[key]).forEach(name => {
+                pack[key][name] = unique([...PACKS[base][key][name], ...PACKS.en[key][name]]);
+            });
+        });
+        merged.set(base, pack);
+    }
+    return merged.get(base);
+}
+
+/**
+ * Phrases of one key across every pack (for the parsers)
+ * @param {string} key - Pack key (e.g. 'closed') or 'days' for { name: day }
+ */
+function getAllPhrases(key) {
+    if (!allPhrases) {
+        allPhrases = { days: {} };
+        PHRASE_KEYS.forEach(phraseKey => {
+            allPhrases[phraseKey] = unique(Object.values(PACKS).flatMap(pack => pack[phraseKey]));
+        });
+        Object.values(PACKS).forEach(pack => {
+            for (const [day, names] of Object.entries(pack.days)) {
+                names.forEach(name => { allPhrases.days[name.toLowerCase()] = day; });
+            }
+        });
+    }
+    return allPhrases[key];
+}
+
+/**
+ * ASCII digits and separators for Arabic / Devanagari text
+ * "٤٫٥" -> "4.5", "١٬٢٣٤" -> "1,234", "الاثنين، ٩" -> "الاثنين, 9"
+ */
+function normalizeLocaleText(text) {
+    return String(text)
+        .replace(/[٠-٩۰-۹०-९]/g, char => {
+            const code = char.charCodeAt(0);
+            const start = DIGIT_RANGES.find(base => code >= base && code <= base + 9);
+            return String(code - start);
+        })
+        .replace(/٫/g, '.')
+        .replace(/٬/g, ',')
+        .replace(/،/g, ',')
+        .replace(/؛/g, ';');
+}
+
+/**
+ * Regex alternation of phrases (escaped, longest first so "Closed temporarily" beats "Closed")
+ */
+function phrasePattern(phrases) {
+    return [...phrases]
+        .sort((a, b) => b.length - a.length)
+        .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+}
+
+/**
+ * Status from a status / hours text ("Closed · Opens 9 am", "Abierto · Cierra a las 22:00")
+ * @param {string} text - Status text
+ * @param {Object} locale - Locale pack
+ * @returns {string|null} 'Permanently closed' | 'Temporarily closed' | 'Open' | 'Closed' | null
+ */
+function matchStatus(text, locale) {
+    if (!text) return null;
+    const value = String(text).toLowerCase();
+    const has = phrases => phrases.some(phrase => value.includes(phrase.toLowerCase()));
+    const firstIndex = phrases => Math.min(...phrases.map(phrase => {
+        const index = value.indexOf(phrase.toLowerCase());
+        return index < 0 ? Infinity : index;
+    }));
+
+    if (has(locale.permanentlyClosed)) return 'Permanently closed';
+    if (has(locale.temporarilyClosed)) return 'Temporarily closed';
+
+    // The status comes first; the rest is the next change ("Closed · Opens 9 am")
+    const open = firstIndex(locale.open);
+    const closed = firstIndex(locale.closed);
+    if (open === Infinity && closed === Infinity) return null;
+    return open < closed ? 'Open' : 'Closed';
+}
+
+/**
+ * Accept-Language header for a job
+ * @param {string} language - Interface language (hl)
+ * @param {string} region - Country code (gl)
+ * @returns {string} e.g. "es-MX,es;q=0.9,en;q=0.8"
+ */
+function acceptLanguage(language, region = null) {
+    const base = baseLanguage(language);
+    const primary = language && language.includes('-')
+        ? language
+        : (region ? `${base}-${region.toUpperCase()}` : base);
+    const tags = unique([primary, base, 'en']);
+    return tags.map((tag, index) => (index === 0 ? tag : `${tag};q=${(1 - index * 0.1).toFixed(1)}`)).join(',');
+}
+
+module.exports = {
+    getLocale,
+    getAllPhrases,
+    normalizeLocaleText,
+    phrasePattern,
+    matchStatus,
+    acceptLanguage,
+    baseLanguage
+};
@@ -3,14 +3,23 @@
  */
 
 const { BROWSER_CONFIG } = require('../config/config-loader');
+const { isMapsUrl } = require('../utils/maps-urls');
 
 /**
- * Setup request interception to block images and media
+ * Setup request interception to block images and media, and page navigations
+ * (including redirects) that leave the Maps hosts
  * @param {Page} page - Puppeteer page instance
  */
 async function setupRequestInterception(page) {
     await page.setRequestInterception(true);
     page.on('request', (request) => {
+        const url = request.url();
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame() &&
+            /^https?:/i.test(url) && !isMapsUrl(url)) {
+            request.abort('blockedbyclient');
+            return;
+        }
+
         const resourceType = request.resourceType();
         const shouldBlock = (
             (BROWSER_CONFIG.performance.blockImages && resourceType === 'image') ||
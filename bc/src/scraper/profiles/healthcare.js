@@ -0,0 +1,46 @@
+/**
+ * Healthcare profile: specialty and appointment links
+ */
+
+const { classifyActionLinks } = require('../extractors/action-links-extractor');
+
+module.exports = {
+    name: 'healthcare',
+    matches: /clinic|hospital|doctor|physician|dentist|dental|medical|health ?care|health cent|diagnostic|patholog|physiotherap|orthop|cardiolog|dermatolog|gynec|pediatric|paediatric|ophthalm|\bent\b|surgeon|nursing home|veterinar/i,
+
+    /**
+     * @param {Page} page - Puppeteer page instance on the place overview
+     * @param {Object} place - Normalized place
+     * @returns {Promise<Object>} Healthcare details
+     */
+    async extract(page, place) {
+        // Booking widgets are often plain links ("Book appointment", "Consult online")
+        const links = await page.evaluate(() => {
+            return [...document.querySelectorAll('a[href]')]
+                .map(el => ({
+                    label: (el.getAttribute('aria-label') || el.textContent || '').trim(),
+                    href: el.href,
+                    itemId: el.getAttribute('data-item-id')
+                }))
+                .filter(link => /appointment|book|consult/i.test(link.label));
+        });
+
+        const found = classifyActionLinks(links);
+        const appointments = [
+            ...((place.actionLinks && place.actionLinks.appointment) || []),
+            ...((found && found.appointment) || [])
+        ];
+
+        const appointmentLinks = [];
+        for (const link of appointments) {
+            if (!appointmentLinks.some(existing => existing.url === link.url)) {
+                appointmentLinks.push(link);
+            }
+        }
+
+        return {
+            specialty: place.category,
+            appointmentLinks
+        };
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Hotel profile: star class, nightly price, amenities, check-in/check-out
+ */
+
+const { parseAmount } = require('../utils/place-normalizer');
+
+module.exports = {
+    name: 'hotel',
+    matches: /\bhotel\b|resort|\binn\b|lodge|hostel|motel|guest ?house|homestay|bed & breakfast/i,
+
+    /**
+     * @param {Page} page - Puppeteer page instance on the place overview
+     * @param {Object} place - Normalized place
+     * @returns {Promise<Object>} Hotel details
+     */
+    async extract(page, place) {
+        const raw = await page.evaluate(() => {
+            const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '');
+
+            // "4-star hotel" next to the rating (category may be a chain name)
+            let starText = null;
+            for (const span of document.querySelectorAll('div.LBgpqf span, div.lMbq3e span, span')) {
+                const value = text(span);
+                if (/^\d(\.\d)?-star hotel$/i.test(value)) {
+                    starText = value;
+                    break;
+                }
+            }
+
+            // Lowest nightly rate from the prices panel
+            let priceText = null;
+            const priceEl = document.querySelector('[aria-label*="per night" i], span.fontTitleLarge.Cbys4b, div.dkgw2 span');
+            if (priceEl) {
+                priceText = priceEl.getAttribute('aria-label') || text(priceEl);
+            }
+
+            const amenities = [...document.querySelectorAll('div.QoXOEc li, div.CK16pd [aria-label]')]
+                .map(el => ({
+                    name: text(el),
+                    label: el.getAttribute('aria-label') || text(el)
+                }))
+                .filter(item => item.name);
+
+            return { starText, priceText, amenities };
+        });
+
+        const starMatch = (raw.starText || place.category || '').match(/(\d(?:\.\d)?)-star/i);
+        const price = parseAmount(raw.priceText);
+
+        // Amenities marked unavailable read "No pool", "Pool not available"
+        const amenities = raw.amenities
+            .filter(item => !/^no\b|not available|unavailable/i.test(item.label))
+            .map(item => item.name);
+
+        return {
+            starClass: starMatch ? parseFloat(starMatch[1]) : null,
+            nightlyPrice: price ? { ...price, text: raw.priceText } : null,
+            amenities: [...new Set(amenities)],
+            checkIn: place.openingHours ? place.openingHours.checkIn : null,
+            checkOut: place.openingHours ? place.openingHours.checkOut : null
+        };
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Category extraction profiles
+ * A profile adds category-specific fields under place.details. It is picked
+ * from the place category, or forced per job with options.profile.
+ */
+
+const hotel = require('./hotel');
+const restaurant = require('./restaurant');
+const healthcare = require('./healthcare');
+
+// Checked in order: the first profile matching the category wins
+const PROFILES = [hotel, restaurant, healthcare];
+
+/**
+ * Profile for a place
+ * @param {string} category - Place category
+ * @param {string} forced - Job option: auto (default) | none | profile name
+ * @returns {Object|null} Profile
+ */
+function selectProfile(category, forced = 'auto') {
+    if (forced === 'none') return null;
+    if (forced && forced !== 'auto') {
+        return PROFILES.find(profile => profile.name === forced) || null;
+    }
+    if (!category) return null;
+    return PROFILES.find(profile => profile.matches.test(category)) || null;
+}
+
+/**
+ * Run the matching profile and attach its fields to the place
+ * @param {Page} page - Puppeteer page instance on the place overview
+ * @param {Object} place - Normalized place (updated in place)
+ * @param {string} forced - Job option (see selectProfile)
+ */
+async function applyProfile(page, place, forced) {
+    const profile = selectProfile(place.category, forced);
+    if (!profile) return;
+
+    place.profile = profile.name;
+    try {
+        place.details = await profile.extract(page, place);
+    } catch (e) {
+        place.details = null;
+    }
+}
+
+module.exports = {
+    PROFILE_NAMES: PROFILES.map(profile => profile.name),
+    selectProfile,
+    applyProfile
+};
@@ -0,0 +1,52 @@
+/**
+ * Restaurant profile: cuisine, price range, service options
+ */
+
+const { buildAttributeMap } = require('../extractors/about-extractor');
+
+// Category words that are not a cuisine ("Family restaurant", "Fine dining restaurant")
+const GENERIC_WORDS = /\b(restaurant|family|fine dining|casual|fast food|takeaway|takeout|bar|cafe|café|eatery|diner|bistro|joint|buffet)\b/gi;
+
+/**
+ * "North Indian restaurant" -> "North Indian"; "Restaurant" -> null
+ */
+function parseCuisine(category) {
+    if (!category) return null;
+    const cuisine = category.replace(GENERIC_WORDS, '').replace(/\s+/g, ' ').trim();
+    return cuisine || null;
+}
+
+module.exports = {
+    name: 'restaurant',
+    matches: /restaurant|\bcafe\b|café|\bbar\b|pub|bistro|diner|eatery|dhaba|pizzeria|bakery|food court|steakhouse|sushi|biryani/i,
+    parseCuisine,
+
+    /**
+     * @param {Page} page - Puppeteer page instance on the place overview
+     * @param {Object} place - Normalized place
+     * @returns {Promise<Object>} Restaurant details
+     */
+    async extract(page, place) {
+        // Service options row under the title: "Dine-in · Takeaway · No delivery"
+        const items = await page.evaluate(() => {
+            return [...document.querySelectorAll('div.LTs0Rc [aria-label], div.E0DTEd [aria-label]')]
+                .map(el => ({
+                    name: (el.textContent || '').replace(/·/g, '').trim(),
+                    label: el.getAttribute('aria-label')
+                }))
+                .filter(item => item.name);
+        });
+
+        const options = buildAttributeMap([{ title: 'serviceOptions', items }]);
+
+        const links = place.actionLinks || {};
+
+        return {
+            cuisine: parseCuisine(place.category),
+            priceRange: place.priceLevel,
+            serviceOptions: options ? options.serviceOptions : null,
+            menuUrl: links.menu && links.menu[0] ? links.menu[0].url : null,
+            reservationUrl: links.reservation && links.reservation[0] ? links.reservation[0].url : null
+        };
+    }
+};
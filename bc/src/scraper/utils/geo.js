@@ -0,0 +1,184 @@
+/**
+ * Geographic helpers for area searches
+ * Coordinates follow GeoJSON order where arrays are used: [lng, lat].
+ * Bounding boxes are [west, south, east, north].
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Ground meters per pixel at zoom 0 on the equator (Web Mercator, 256px tiles)
+const METERS_PER_PIXEL_Z0 = 156543.03392;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Meters
+ */
+function haversineMeters(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Outer rings of a GeoJSON Polygon / MultiPolygon (bare geometry, Feature or FeatureCollection)
+ * Holes are ignored: they only make the area smaller.
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Array|null} [[[lng, lat], ...], ...] or null if there is no polygon
+ */
+function polygonRings(geojson) {
+    if (!geojson || typeof geojson !== 'object') return null;
+
+    switch (geojson.type) {
+        case 'Polygon':
+            return Array.isArray(geojson.coordinates) && geojson.coordinates[0] ? [geojson.coordinates[0]] : null;
+        case 'MultiPolygon':
+            return Array.isArray(geojson.coordinates) ? geojson.coordinates.map(polygon => polygon[0]).filter(Boolean) : null;
+        case 'Feature':
+            return polygonRings(geojson.geometry);
+        case 'FeatureCollection': {
+            const rings = (geojson.features || []).flatMap(feature => polygonRings(feature) || []);
+            return rings.length > 0 ? rings : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param {Array} rings - Output of polygonRings
+ * @returns {Array} [west, south, east, north]
+ */
+function ringsBbox(rings) {
+    const points = rings.flat();
+    const lngs = points.map(point => point[0]);
+    const lats = points.map(point => point[1]);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Ray casting point-in-polygon test (any ring)
+ */
+function pointInRings(lat, lng, rings) {
+    return rings.some(ring => {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    });
+}
+
+function pointInBbox(lat, lng, [west, south, east, north]) {
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+}
+
+/**
+ * Whether a tile overlaps the polygon: a tile corner/center inside the polygon,
+ * or a polygon vertex inside the tile
+ */
+function bboxIntersectsRings(bbox, rings) {
+    const [west, south, east, north] = bbox;
+    const samples = [
+        [south, west], [south, east], [north, west], [north, east],
+        [(south + north) / 2, (west + east) / 2]
+    ];
+    if (samples.some(([lat, lng]) => pointInRings(lat, lng, rings))) return true;
+    return rings.some(ring => ring.some(([lng, lat]) => pointInBbox(lat, lng, bbox)));
+}
+
+/**
+ * Rows and columns of tiles tileBbox cuts a bounding box into, without building them
+ * @returns {{ rows: number, cols: number }}
+ */
+function tileGrid(bbox, tileSizeMeters) {
+    const [west, south, east, north] = bbox;
+    const midLat = (south + north) / 2;
+    const heightMeters = (north - south) * METERS_PER_DEGREE_LAT;
+    const widthMeters = (east - west) * METERS_PER_DEGREE_LAT * Math.cos(toRadians(midLat));
+
+    return {
+        rows: Math.max(1, Math.ceil(heightMeters / tileSizeMeters)),
+        cols: Math.max(1, Math.ceil(widthMeters / tileSizeMeters))
+    };
+}
+
+/**
+ * Split a bounding box into tiles of roughly tileSizeMeters per side
+ * @returns {Array} Tile bboxes, row by row from the south-west corner
+ */
+function tileBbox(bbox, tileSizeMeters) {
+    const [west, south, east, north] = bbox;
+    const { rows, cols } = tileGrid(bbox, tileSizeMeters);
+    const dLat = (north - south) / rows;
+    const dLng = (east - west) / cols;
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push([
+                west + col * dLng,
+                south + row * dLat,
+                west + (col + 1) * dLng,
+                south + (row + 1) * dLat
+            ]);
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Four quadrants of a bounding box
+ */
+function splitBbox([west, south, east, north]) {
+    const midLng = (west + east) / 2;
+    const midLat = (south + north) / 2;
+    return [
+        [west, south, midLng, midLat],
+        [midLng, south, east, midLat],
+        [west, midLat, midLng, north],
+        [midLng, midLat, east, north]
+    ];
+}
+
+/**
+ * @returns {Object} { lat, lng }
+ */
+function bboxCenter([west, south, east, north]) {
+    return { lat: (south + north) / 2, lng: (west + east) / 2 };
+}
+
+/**
+ * Map zoom at which a span of meters fills a viewport of viewportPixels
+ * @param {number} spanMeters - Distance to fit (tile side, circle diameter)
+ * @param {number} lat - Latitude (Mercator scale)
+ * @param {number} viewportPixels - Smaller viewport side
+ * @returns {number} Integer zoom between 3 and 20
+ */
+function zoomForSpan(spanMeters, lat, viewportPixels) {
+    const metersPerPixelZ0 = METERS_PER_PIXEL_Z0 * Math.cos(toRadians(lat));
+    const zoom = Math.floor(Math.log2(metersPerPixelZ0 * viewportPixels / Math.max(spanMeters, 1)));
+    return Math.min(20, Math.max(3, zoom));
+}
+
+module.exports = {
+    haversineMeters,
+    polygonRings,
+    ringsBbox,
+    pointInRings,
+    pointInBbox,
+    bboxIntersectsRings,
+    tileGrid,
+    tileBbox,
+    splitBbox,
+    bboxCenter,
+    zoomForSpan
+};
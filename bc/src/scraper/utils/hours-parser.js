@@ -0,0 +1,254 @@
+/**
+ * Opening hours parsing
+ * Turns the hours panel text collected by the hours extractor into a
+ * per-day schedule of open/close intervals. Day names, "Closed", meridiem
+ * markers etc. are read in every language with a locale pack (scraper/locales).
+ */
+
+const { BUSINESS_STATUS } = require('../../utils/constants');
+const { getAllPhrases, normalizeLocaleText, phrasePattern } = require('../locales');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Lines in a day cell that describe the row instead of naming a holiday
+const ROW_NOTES = /^(holiday hours|hours might differ|special hours|\(?updated by .*\)?)$/i;
+
+const lower = (phrases) => phrases.map(phrase => phrase.toLowerCase());
+
+// Phrases of all locale packs, lowercased (the parsers work on lowercased text)
+const OPEN_24_PATTERN = new RegExp(`${phrasePattern(lower(getAllPhrases('open24Hours')))}|^24 hours$`);
+const CLOSED_PATTERN = new RegExp(`^(?:${phrasePattern(lower(getAllPhrases('closed')))})(?=$|[\\s.,;·])`);
+const RANGE_PATTERN = new RegExp(`^(.+?)\\s*(?:–|—|-|\\s(?:${phrasePattern(lower(getAllPhrases('rangeWords')))})\\s)\\s*(.+)$`);
+const NOISE_PATTERN = new RegExp(`(^|\\s)(?:${phrasePattern(lower(getAllPhrases('timeNoise')))})(?=$|[\\s–—-])`, 'g');
+const AM_PATTERN = new RegExp(`(^|[\\s\\d–—-])(?:${phrasePattern(lower(getAllPhrases('am')))})(?=$|[\\s–—-])`, 'g');
+const PM_PATTERN = new RegExp(`(^|[\\s\\d–—-])(?:${phrasePattern(lower(getAllPhrases('pm')))})(?=$|[\\s–—-])`, 'g');
+const HOURS_TOGGLE_PATTERN = new RegExp(
+    `[.;]?\\s*(?:${phrasePattern([...getAllPhrases('showHours'), ...getAllPhrases('hideHours')])}).*$`, 'i'
+);
+const NOON = lower(getAllPhrases('noon'));
+const MIDNIGHT = lower(getAllPhrases('midnight'));
+
+/**
+ * Collapse the narrow/no-break spaces Google uses around AM/PM
+ * (Arabic / Devanagari digits and separators become ASCII)
+ */
+function cleanSpaces(text) {
+    return normalizeLocaleText(text).replace(/[\u00a0\u2009\u202f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lowercased hours text with "am" / "pm" markers and "9:30" style times
+ * "सुबह 9 बजे–शाम 5 बजे" -> "am 9 – pm 5", "9 h 30" -> "9:30", "9:00 ص" -> "9:00 am"
+ */
+function localizeTimes(text) {
+    return cleanSpaces(text).toLowerCase()
+        .replace(NOISE_PATTERN, '$1')
+        .replace(/(\d{1,2}) ?h ?(\d{2})/g, '$1:$2')
+        .replace(/(\d{1,2}) ?h(?=$|[\s–—-])/g, '$1:00')
+        .replace(AM_PATTERN, '$1 am ')
+        .replace(PM_PATTERN, '$1 pm ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Day name at the start of a text ("Monday", "Mon", "thu.", "lunes", "الاثنين") or null
+ */
+function parseDay(text) {
+    const match = cleanSpaces(text).toLowerCase().match(/^([\p{L}\p{M}]+)/u);
+    if (!match) return null;
+    return getAllPhrases('days')[match[1]] || null;
+}
+
+/**
+ * Minutes since midnight for "9", "9:30", "9 am", "am 9", "12 pm", "21:00", "noon"
+ * @param {string} text - Time text
+ * @param {string} meridiem - am/pm to assume when the text has none
+ * @returns {Object|null} { minutes, meridiem }
+ */
+function parseTime(text, meridiem = null) {
+    const value = cleanSpaces(text).toLowerCase().replace(/\./g, '').replace(/\b([ap]) m\b/g, '$1m');
+    if (NOON.includes(value)) return { minutes: 720, meridiem: 'pm' };
+    if (MIDNIGHT.includes(value)) return { minutes: 0, meridiem: 'am' };
+
+    // The marker comes first in some languages ("सुबह 9")
+    const match = value.match(/^(?:(am|pm)\s*)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[2], 10);
+    const minutes = match[3] ? parseInt(match[3], 10) : 0;
+    const explicit = match[4] || match[1] || null;
+    const suffix = explicit || meridiem;
+
+    if (minutes > 59 || hours > 24) return null;
+    if (suffix) {
+        if (hours > 12) return null;
+        if (hours === 12) hours = 0;
+        if (suffix === 'pm') hours += 12;
+    }
+
+    return { minutes: hours * 60 + minutes, meridiem: explicit };
+}
+
+function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Intervals for one day
+ * "9 am–5 pm"            -> [{ open: '09:00', close: '17:00' }]
+ * "11 am–3 pm, 6–11 pm"  -> two intervals (split shift)
+ * "Open 24 hours"        -> [{ open: '00:00', close: '24:00' }]
+ * "Closed"               -> []
+ * A close time before the open time means the interval ends after midnight.
+ * @param {string} text - Hours text for one day
+ * @returns {Array|null} Intervals, or null if the text is not hours
+ */
+function parseIntervals(text) {
+    const value = cleanSpaces(text).toLowerCase();
+    if (!value) return null;
+
+    if (OPEN_24_PATTERN.test(value)) {
+        return [{ open: '00:00', close: '24:00' }];
+    }
+    if (CLOSED_PATTERN.test(value)) {
+        return [];
+    }
+
+    const intervals = [];
+    for (const part of localizeTimes(value).split(/,|;|\band\b/)) {
+        const range = part.trim().match(RANGE_PATTERN);
+        if (!range) continue;
+
+        const close = parseTime(range[2]);
+        if (!close) continue;
+        let open = parseTime(range[1], close.meridiem);
+        if (!open) continue;
+
+        // "11–2 pm" means 11 am to 2 pm
+        if (!open.meridiem && close.meridiem && open.minutes > close.minutes && open.minutes >= 720) {
+            open = { ...open, minutes: open.minutes - 720 };
+        }
+
+        intervals.push({
+            open: formatTime(open.minutes),
+            close: formatTime(close.minutes === 0 && open.minutes > 0 ? 1440 : close.minutes)
+        });
+    }
+
+    return intervals.length > 0 ? intervals : null;
+}
+
+/**
+ * "Check-in time: 2:00 PM" -> '14:00'
+ */
+function parseCheckTime(text) {
+    if (!text) return null;
+    const words = phrasePattern([...NOON, ...MIDNIGHT]);
+    const match = localizeTimes(text).match(new RegExp(`(\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m\\.?)?|${words})\\s*$`));
+    if (!match) return null;
+    const time = parseTime(match[1]);
+    return time ? formatTime(time.minutes) : null;
+}
+
+/**
+ * Rows from the hours aria-label
+ * "Monday, 9 AM to 5 PM; Tuesday, Closed. Hide open hours for the week"
+ */
+function rowsFromLabel(label) {
+    return cleanSpaces(label)
+        .replace(HOURS_TOGGLE_PATTERN, '')
+        .split(';')
+        .map(entry => {
+            const [day, ...hours] = entry.split(',');
+            return { day: day.trim(), hours: hours.join(',').trim() };
+        })
+        .filter(row => parseDay(row.day));
+}
+
+/**
+ * Structured opening hours
+ * @param {Object} details - Output of extractOpeningHours
+ * @param {Array} details.rows - [{ day, hours }] from the expanded hours table
+ * @param {string} details.ariaLabel - Hours aria-label (used when there is no table)
+ * @param {string} details.holidayNotice - Special hours notice (zaf2le)
+ * @param {string} details.checkIn - "Check-in time: ..." text
+ * @param {string} details.checkOut - "Check-out time: ..." text
+ * @returns {Object|null} { weekly, overrides, notice, checkIn, checkOut }
+ */
+function parseOpeningHours(details) {
+    if (!details) return null;
+
+    const rows = details.rows && details.rows.length > 0
+        ? details.rows
+        : rowsFromLabel(details.ariaLabel || '');
+
+    const weekly = {};
+    DAYS.forEach(day => { weekly[day] = null; });
+    const overrides = [];
+
+    for (const row of rows) {
+        const lines = String(row.day).split('\n').map(cleanSpaces).filter(Boolean);
+        const day = parseDay(lines[0] || '');
+        const intervals = parseIntervals(row.hours);
+        if (!day || intervals === null) continue;
+
+        // Holiday rows name the holiday under the day
+        const notes = lines.slice(1).filter(line => ROW_NOTES.test(line));
+        const holiday = lines.slice(1).filter(line => !ROW_NOTES.test(line)).join(' ').replace(/^\((.*)\)$/, '$1');
+        const isHoliday = !!holiday || notes.some(note => /holiday|special/i.test(note));
+
+        if (isHoliday) {
+            overrides.push({
+                day,
+                label: holiday || null,
+                hours: intervals,
+                mightDiffer: notes.some(note => /might differ/i.test(note))
+            });
+        } else if (weekly[day] === null) {
+            weekly[day] = intervals;
+        }
+    }
+
+    const notice = details.holidayNotice ? cleanSpaces(details.holidayNotice) : null;
+    const checkIn = parseCheckTime(details.checkIn);
+    const checkOut = parseCheckTime(details.checkOut);
+    const hasWeekly = DAYS.some(day => weekly[day] !== null);
+
+    if (!hasWeekly && overrides.length === 0 && !notice && !checkIn && !checkOut) {
+        return null;
+    }
+
+    return {
+        weekly: hasWeekly ? weekly : null,
+        overrides,
+        notice,
+        checkIn,
+        checkOut
+    };
+}
+
+/**
+ * Business status enum from any status / hours text on the page
+ * @param {...string} texts - Status texts (raw status, hours, closure notice)
+ * @returns {string} OPERATIONAL | TEMPORARILY_CLOSED | PERMANENTLY_CLOSED
+ */
+function parseBusinessStatus(...texts) {
+    const value = texts.filter(Boolean).map(cleanSpaces).join(' ').toLowerCase();
+    if (lower(getAllPhrases('permanentlyClosed')).some(phrase => value.includes(phrase))) {
+        return BUSINESS_STATUS.PERMANENTLY_CLOSED;
+    }
+    if (lower(getAllPhrases('temporarilyClosed')).some(phrase => value.includes(phrase))) {
+        return BUSINESS_STATUS.TEMPORARILY_CLOSED;
+    }
+    return BUSINESS_STATUS.OPERATIONAL;
+}
+
+module.exports = {
+    DAYS,
+    parseOpeningHours,
+    parseIntervals,
+    parseTime,
+    parseBusinessStatus
+};
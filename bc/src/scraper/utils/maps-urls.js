@@ -0,0 +1,199 @@
+/**
+ * Google Maps URL helpers
+ * Base URLs come from MAPS_SEARCH_BASE_URL / MAPS_PLACE_BASE_URL so the pipeline
+ * can run against a mock Maps server (test/mock-maps).
+ */
+
+const DEFAULT_SEARCH_BASE_URL = 'https://www.google.com/maps/search/';
+const DEFAULT_PLACE_BASE_URL = 'https://www.google.com/maps/place/';
+
+// google.<tld> (google.com, google.co.in, google.com.au, ...) and its subdomains
+const GOOGLE_HOST_PATTERN = /^(?:[a-z0-9-]+\.)*google\.(?:com?\.)?[a-z]{2,3}$/;
+// Share links (they redirect to the place page)
+const SHORT_LINK_HOSTS = ['maps.app.goo.gl', 'goo.gl'];
+
+function withTrailingSlash(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Configured base URLs (read on every call so tests can point them elsewhere)
+ * @returns {Object} { search, place }
+ */
+function getMapsBaseUrls() {
+    return {
+        search: withTrailingSlash(process.env.MAPS_SEARCH_BASE_URL || DEFAULT_SEARCH_BASE_URL),
+        place: withTrailingSlash(process.env.MAPS_PLACE_BASE_URL || DEFAULT_PLACE_BASE_URL)
+    };
+}
+
+/**
+ * Search results URL for a keyword
+ * @param {string} keyword - Search keyword
+ * @param {Object} viewport - Optional map position { lat, lng, zoom } ("/@lat,lng,zoomz")
+ * @returns {string}
+ */
+function buildSearchUrl(keyword, viewport = null) {
+    const url = getMapsBaseUrls().search + encodeURIComponent(keyword);
+    if (!viewport) return url;
+    return `${url}/@${viewport.lat.toFixed(6)},${viewport.lng.toFixed(6)},${viewport.zoom}z`;
+}
+
+/**
+ * Place page URL for a Google place ID ("ChIJ...")
+ * @param {string} placeId - Place ID
+ * @returns {string}
+ */
+function buildPlaceIdUrl(placeId) {
+    return `${getMapsBaseUrls().place}?q=place_id:${encodeURIComponent(placeId)}`;
+}
+
+/**
+ * Place page URL for a CID (decimal customer ID; Maps redirects it to the place page)
+ * @param {string} cid - CID
+ * @returns {string}
+ */
+function buildCidUrl(cid) {
+    return `${new URL(getMapsBaseUrls().place).origin}/maps?cid=${cid}`;
+}
+
+/**
+ * URL with the interface language (hl) and region (gl) of a job
+ * @param {string} url - Search or place URL
+ * @param {Object} options - { language, region }; unset options leave the URL as is
+ * @returns {string}
+ */
+function localizeUrl(url, { language, region } = {}) {
+    if (!language && !region) return url;
+    // Appended by hand: URLSearchParams would re-encode "q=place_id:..."
+    const params = [];
+    if (language) params.push(`hl=${encodeURIComponent(language)}`);
+    if (region) params.push(`gl=${encodeURIComponent(region)}`);
+    const base = url.replace(/([?&])(?:hl|gl)=[^&#]*&?/g, '$1').replace(/[?&]$/, '');
+    return `${base}${base.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+/**
+ * Place identifiers in a Maps URL
+ * featureId: "0x..:0x.." ("!1s" data segment or ftid=)
+ * cid: decimal CID (?cid=, else the second half of the feature id)
+ * placeId: "ChIJ..." ("!19s" data segment, query_place_id= or q=place_id:)
+ * @param {string} url - Place URL
+ * @returns {Object} { featureId, cid, placeId } (null when not in the URL)
+ */
+function parsePlaceIds(url) {
+    const text = String(url || '');
+    let decoded = text;
+    try {
+        decoded = decodeURIComponent(text);
+    } catch (error) {
+        // Keep the raw URL
+    }
+
+    const featureMatch = decoded.match(/(?:!1s|[?&]ftid=)(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+    const featureId = featureMatch ? featureMatch[1].toLowerCase() : null;
+
+    const cidMatch = decoded.match(/[?&]cid=(\d{1,20})(?=$|[&#])/);
+    const cid = cidMatch ? cidMatch[1] : (featureId ? BigInt(featureId.split(':')[1]).toString() : null);
+
+    const placeIdMatch = decoded.match(/(?:!19s|[?&]query_place_id=|[?&]q=place_id:)([A-Za-z0-9_-]{16,})/);
+    const placeId = placeIdMatch ? placeIdMatch[1] : null;
+
+    return { featureId, cid, placeId };
+}
+
+/**
+ * Keys a place is known by, canonical first: "cid:<cid>" then "place_id:<id>"
+ * (a link may carry either, so matching any of them finds the same place)
+ * @param {Object} ids - Output of parsePlaceIds (or a place with cid / placeId)
+ * @returns {Array<string>}
+ */
+function placeKeys(ids) {
+    const keys = [];
+    if (ids && ids.cid) keys.push(`cid:${ids.cid}`);
+    if (ids && ids.placeId) keys.push(`place_id:${ids.placeId}`);
+    return keys;
+}
+
+/**
+ * Stable identity of a place link across searches: the canonical place key when
+ * the link has a feature ID, CID or place ID, else the URL without query string
+ * (result links carry per-search parameters such as rclk=1)
+ * @param {string} link - Place URL
+ * @returns {string}
+ */
+function placeLinkKey(link) {
+    return placeKeys(parsePlaceIds(link))[0] || String(link).split('?')[0];
+}
+
+/**
+ * Short canonical URL of a place (CID link, else place ID link)
+ * @param {Object} ids - { cid, placeId }
+ * @returns {string|null}
+ */
+function canonicalPlaceUrl(ids) {
+    if (ids && ids.cid) return buildCidUrl(ids.cid);
+    if (ids && ids.placeId) return buildPlaceIdUrl(ids.placeId);
+    return null;
+}
+
+/**
+ * Path that identifies place pages ("/maps/place/"), whatever the host
+ * (Maps redirects between country domains)
+ * @returns {string}
+ */
+function getPlacePath() {
+    return new URL(getMapsBaseUrls().place).pathname;
+}
+
+/**
+ * Whether a URL is a place page (not its About page or a blank tab)
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isPlaceUrl(url) {
+    if (!url || url.includes('/about') || url.includes('about?') || url.includes('about:blank')) {
+        return false;
+    }
+    return url.includes(getPlacePath());
+}
+
+/**
+ * Whether a URL is on a Google Maps host, a share link host or the configured
+ * Maps server; place inputs and the pages they redirect to must stay on these
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isMapsUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+    if (GOOGLE_HOST_PATTERN.test(parsed.hostname) || SHORT_LINK_HOSTS.includes(parsed.hostname)) {
+        return true;
+    }
+    const { search, place } = getMapsBaseUrls();
+    return [search, place].some(base => new URL(base).origin === parsed.origin);
+}
+
+module.exports = {
+    DEFAULT_SEARCH_BASE_URL,
+    DEFAULT_PLACE_BASE_URL,
+    SHORT_LINK_HOSTS,
+    getMapsBaseUrls,
+    buildSearchUrl,
+    buildPlaceIdUrl,
+    buildCidUrl,
+    localizeUrl,
+    parsePlaceIds,
+    placeKeys,
+    placeLinkKey,
+    canonicalPlaceUrl,
+    getPlacePath,
+    isPlaceUrl,
+    isMapsUrl
+};
@@ -0,0 +1,119 @@
+/**
+ * Place list inputs (POST /api/scrape "places" searches)
+ * Accepts Maps place URLs, CIDs and place IDs and turns them into place page URLs,
+ * so the data workers can scrape them without a keyword search.
+ */
+
+const { buildPlaceIdUrl, buildCidUrl, getPlacePath, isMapsUrl, SHORT_LINK_HOSTS } = require('./maps-urls');
+
+// Column names that hold the place in a CSV with a header row
+const CSV_COLUMNS = ['url', 'link', 'place_url', 'google_maps_link', 'place_id', 'placeid', 'cid'];
+
+const PLACE_ID_PATTERN = /^ChIJ[A-Za-z0-9_-]{10,}$/;
+const CID_PATTERN = /^\d{6,20}$/;
+const FEATURE_ID_PATTERN = /^0x[0-9a-f]+:(0x[0-9a-f]+)$/i;
+
+/**
+ * Place page URL for one input
+ * @param {string} value - Place URL, CID ("1234...", "cid:1234..."), feature ID ("0x..:0x..")
+ *   or place ID ("ChIJ...", "place_id:...")
+ * @returns {Object|null} { input, url }, null if the value is not a place
+ */
+function resolvePlaceInput(value) {
+    const input = typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+    if (!input) return null;
+
+    if (/^https?:\/\//i.test(input)) {
+        // Links are opened in the browser: only Maps hosts, never arbitrary servers
+        if (!isMapsUrl(input)) return null;
+        const parsed = new URL(input);
+        if (parsed.pathname.includes(getPlacePath())) {
+            return { input, url: input };
+        }
+        if (parsed.searchParams.get('cid') && CID_PATTERN.test(parsed.searchParams.get('cid'))) {
+            return { input, url: buildCidUrl(parsed.searchParams.get('cid')) };
+        }
+        const placeId = parsed.searchParams.get('query_place_id') ||
+            (parsed.searchParams.get('q') || '').replace(/^place_id:/, '');
+        if (PLACE_ID_PATTERN.test(placeId)) {
+            return { input, url: buildPlaceIdUrl(placeId) };
+        }
+        // Share links redirect to the place page
+        if (SHORT_LINK_HOSTS.includes(parsed.hostname)) {
+            return { input, url: input };
+        }
+        return null;
+    }
+
+    const cid = input.replace(/^cid:/i, '');
+    if (CID_PATTERN.test(cid)) {
+        return { input, url: buildCidUrl(cid) };
+    }
+
+    // The second half of a feature ID is the CID in hex
+    const featureId = input.match(FEATURE_ID_PATTERN);
+    if (featureId) {
+        return { input, url: buildCidUrl(BigInt(featureId[1]).toString()) };
+    }
+
+    const placeId = input.replace(/^place_id:/i, '');
+    if (PLACE_ID_PATTERN.test(placeId) || (placeId !== input && /^[A-Za-z0-9_-]{16,}$/.test(placeId))) {
+        return { input, url: buildPlaceIdUrl(placeId) };
+    }
+
+    return null;
+}
+
+/**
+ * Split one CSV line (quoted fields may contain commas and "" escapes)
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Place inputs from CSV text: the url / link / place_id / cid column when there is a
+ * header row, else the first column
+ * @param {string} csv - CSV text
+ * @returns {Array<string>} Non-empty cells
+ */
+function parsePlaceCsv(csv) {
+    const rows = csv.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase().replace(/[\s-]/g, '_'));
+    const column = header.findIndex(cell => CSV_COLUMNS.includes(cell));
+    const dataRows = column >= 0 ? rows.slice(1) : rows;
+
+    return dataRows.map(row => row[Math.max(column, 0)] || '').filter(Boolean);
+}
+
+module.exports = {
+    resolvePlaceInput,
+    parsePlaceCsv
+};
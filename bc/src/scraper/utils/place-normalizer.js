@@ -0,0 +1,267 @@
+/**
+ * Place normalization
+ * Turns the raw display strings collected by the data scraper into the
+ * typed place schema stored in results (see PLACE_SCHEMA_VERSION)
+ */
+
+const { PLACE_SCHEMA_VERSION } = require('../../utils/constants');
+const { parseOpeningHours, parseBusinessStatus } = require('./hours-parser');
+const { normalizeLocaleText } = require('../locales');
+const { parsePlaceIds, canonicalPlaceUrl } = require('./maps-urls');
+
+// Sentinels the extractors use for "nothing found"
+const MISSING_VALUES = ['Not found', '(Not found reviews)', ''];
+
+// Fields counted by the processor's quality check
+const QUALITY_FIELDS = [
+    'name', 'phone', 'rating', 'reviews', 'category', 'address', 'website',
+    'plusCode', 'openingHours', 'businessStatus', 'priceLevel'
+];
+
+// Labels Google Maps uses for price buckets
+const PRICE_LABELS = {
+    'inexpensive': 1,
+    'moderate': 2,
+    'moderately expensive': 2,
+    'expensive': 3,
+    'very expensive': 4
+};
+
+const CURRENCY_SYMBOLS = {
+    '₹': 'INR',
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₩': 'KRW',
+    '₺': 'TRY',
+    '฿': 'THB',
+    'R$': 'BRL',
+    'A$': 'AUD',
+    'C$': 'CAD'
+};
+
+/**
+ * Trimmed string or null for missing values
+ */
+function cleanText(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return MISSING_VALUES.includes(text) ? null : text;
+}
+
+/**
+ * "4.8" -> 4.8 (null outside 0-5)
+ */
+function parseRating(value) {
+    if (typeof value === 'number') return value >= 0 && value <= 5 ? value : null;
+    const text = cleanText(value) && normalizeLocaleText(cleanText(value));
+    if (!text) return null;
+    const match = text.replace(',', '.').match(/\d+(?:\.\d+)?/);
+    if (!match) return null;
+    const rating = parseFloat(match[0]);
+    return rating >= 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * "1,234" / "(1.234)" / "2.1K" -> integer
+ */
+function parseCount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+    const text = cleanText(value) && normalizeLocaleText(cleanText(value));
+    if (!text) return null;
+
+    const abbreviated = text.match(/(\d+(?:[.,]\d+)?)\s*([KM])\b/i);
+    if (abbreviated) {
+        const base = parseFloat(abbreviated[1].replace(',', '.'));
+        return Math.round(base * (abbreviated[2].toUpperCase() === 'K' ? 1e3 : 1e6));
+    }
+
+    const digits = text.replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+function validCoordinates(latitude, longitude) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+}
+
+/**
+ * Place ID, CID and canonical URL of a place
+ * Read from the stored place first (re-normalizing), then the link, then the page
+ * Maps redirected to (a CID or place ID link lands on a URL with the feature ID).
+ * @param {Object} raw - Raw or stored place
+ * @param {...string} urls - Candidate URLs (place link, current page URL)
+ * @returns {Object} { placeId, cid, canonicalUrl }
+ */
+function parseIdentity(raw, ...urls) {
+    const candidates = urls.filter(Boolean).map(parsePlaceIds);
+    const pick = (field) => raw[field] || (candidates.find(ids => ids[field]) || {})[field] || null;
+    const ids = { placeId: pick('placeId'), cid: pick('cid') };
+    return { ...ids, canonicalUrl: canonicalPlaceUrl(ids) };
+}
+
+/**
+ * Coordinates from a Maps URL
+ * Place links carry the pin in the data params (!3d<lat>!4d<lng>); the
+ * viewport centre (@lat,lng) is only used when those are missing.
+ * @param {...string} urls - Candidate URLs (place link, current page URL)
+ * @returns {Object|null} { latitude, longitude }
+ */
+function parseCoordinates(...urls) {
+    for (const url of urls) {
+        if (!url) continue;
+        const pin = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+        if (pin) {
+            const coordinates = validCoordinates(parseFloat(pin[1]), parseFloat(pin[2]));
+            if (coordinates) return coordinates;
+        }
+    }
+
+    for (const url of urls) {
+        if (!url) continue;
+        const viewport = url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+        if (viewport) {
+            const coordinates = validCoordinates(parseFloat(viewport[1]), parseFloat(viewport[2]));
+            if (coordinates) return coordinates;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Structured price level
+ * "Price: Moderate" -> { level: 2, symbol: '$$', range: null, text }
+ * "₹200–400"        -> { level: null, symbol: null, range: { min: 200, max: 400, currency: 'INR' }, text }
+ * Labels that are not prices (e.g. "Price range histogram") -> null
+ * @param {string} value - Raw aria-label / text
+ * @returns {Object|null} Price level
+ */
+function parsePriceLevel(value) {
+    const text = cleanText(value);
+    if (!text) return null;
+
+    const label = text.replace(/^price:?\s*/i, '').trim();
+    const lower = label.toLowerCase();
+
+    let level = null;
+    for (const [name, value] of Object.entries(PRICE_LABELS)) {
+        if (lower === name || lower.startsWith(`${name} `) || lower.startsWith(`${name}·`)) {
+            level = value;
+        }
+    }
+
+    const symbols = label.match(/^([$€£₹¥])\1{0,3}(?![\d])/);
+    if (level === null && symbols) {
+        level = symbols[0].length;
+    }
+
+    let range = null;
+    const rangeMatch = label.match(/(R\$|A\$|C\$|[$€£₹¥₩₺฿])?\s*([\d,.]+)\s*(?:[–—-]\s*(?:R\$|A\$|C\$|[$€£₹¥₩₺฿])?\s*([\d,.]+)|(\+))/);
+    if (rangeMatch) {
+        const toAmount = (amount) => parseInt(amount.replace(/[^\d]/g, ''), 10);
+        range = {
+            min: toAmount(rangeMatch[2]),
+            max: rangeMatch[4] ? null : toAmount(rangeMatch[3]),
+            currency: rangeMatch[1] ? CURRENCY_SYMBOLS[rangeMatch[1]] : null
+        };
+    }
+
+    if (level === null && !range) {
+        return null;
+    }
+
+    return {
+        level,
+        symbol: level ? (symbols ? symbols[1] : '$').repeat(level) : null,
+        range,
+        text: label
+    };
+}
+
+/**
+ * Single amount with its currency ("₹3,450 per night" -> { amount: 3450, currency: 'INR' })
+ * @param {string} value - Price text
+ * @returns {Object|null} { amount, currency }
+ */
+function parseAmount(value) {
+    const text = cleanText(value);
+    if (!text) return null;
+    const match = text.match(/(R\$|A\$|C\$|[$€£₹¥₩₺฿])\s*([\d,]+(?:\.\d+)?)/);
+    if (!match) return null;
+    return {
+        amount: parseFloat(match[2].replace(/,/g, '')),
+        currency: CURRENCY_SYMBOLS[match[1]]
+    };
+}
+
+/**
+ * Normalize a raw scraped place into the typed schema
+ * @param {Object} raw - Output of scrapePlace / scrapePlaceInTab
+ * @param {Object} context - { link, pageUrl }
+ * @returns {Object} Normalized place
+ */
+function normalizePlace(raw, context = {}) {
+    const link = context.link || raw.link;
+    const coordinates = (raw.coordinates && validCoordinates(raw.coordinates.latitude, raw.coordinates.longitude))
+        || parseCoordinates(link, context.pageUrl);
+
+    // Already structured (re-normalizing a stored place) or the raw summary text
+    const openingHoursRaw = typeof raw.openingHours === 'string' ? raw.openingHours : raw.openingHoursRaw;
+    const openingHours = raw.openingHours && typeof raw.openingHours === 'object'
+        ? raw.openingHours
+        : parseOpeningHours(raw.hoursDetails) || parseOpeningHours({ ariaLabel: cleanText(openingHoursRaw) });
+    const { placeId, cid, canonicalUrl } = parseIdentity(raw, link, context.pageUrl);
+
+    return {
+        schemaVersion: PLACE_SCHEMA_VERSION,
+        placeId,
+        cid,
+        canonicalUrl,
+        name: cleanText(raw.name),
+        phone: cleanText(raw.phone),
+        rating: parseRating(raw.rating),
+        reviews: parseCount(raw.reviews),
+        category: cleanText(raw.category),
+        address: cleanText(raw.address),
+        website: cleanText(raw.website),
+        actionLinks: raw.actionLinks || null,
+        claimed: typeof raw.claimed === 'boolean' ? raw.claimed : 'unknown',
+        coordinates,
+        plusCode: cleanText(raw.plusCode),
+        openingHours,
+        openingHoursRaw: cleanText(openingHoursRaw),
+        businessStatus: parseBusinessStatus(
+            raw.businessStatus,
+            openingHoursRaw,
+            raw.hoursDetails && raw.hoursDetails.closureNotice
+        ),
+        popularTimes: raw.popularTimes || null,
+        priceLevel: typeof raw.priceLevel === 'object' ? raw.priceLevel : parsePriceLevel(raw.priceLevel),
+        profile: raw.profile || null,    // Set by the category profile (scraper/profiles)
+        details: raw.details || null,
+        enrichment: raw.enrichment || null,  // Set by the website enrichment stage
+        distanceMeters: typeof raw.distanceMeters === 'number' ? raw.distanceMeters : null,  // Set by radius searches
+        link
+    };
+}
+
+/**
+ * Number of quality fields without a value
+ */
+function countMissingFields(place) {
+    return QUALITY_FIELDS.filter(field => place[field] === null || place[field] === undefined).length;
+}
+
+module.exports = {
+    normalizePlace,
+    countMissingFields,
+    parseCoordinates,
+    parseIdentity,
+    parsePriceLevel,
+    parseAmount,
+    parseRating,
+    parseCount
+};
@@ -0,0 +1,136 @@
+/**
+ * Checkpoint Store
+ * Per-job crash recovery state (completed keywords, per-URL status, partial results)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { atomicWriteJSON } = require('./file-operations');
+const { CHECKPOINT_FLUSH_INTERVAL } = require('./constants');
+
+const CHECKPOINT_DIR = path.join(__dirname, '../database/checkpoints');
+
+class CheckpointStore {
+    constructor() {
+        this.checkpoints = new Map();   // jobId -> checkpoint
+        this.flushTimers = new Map();   // jobId -> pending flush timeout
+        this.writes = new Map();        // jobId -> last write promise (keeps writes ordered)
+    }
+
+    getPath(jobId) {
+        return path.join(CHECKPOINT_DIR, `${jobId}.json`);
+    }
+
+    /**
+     * Load checkpoint for a job from disk
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Checkpoint or null if none exists
+     */
+    load(jobId) {
+        if (this.checkpoints.has(jobId)) {
+            return this.checkpoints.get(jobId);
+        }
+
+        try {
+            const content = fs.readFileSync(this.getPath(jobId), 'utf8');
+            const checkpoint = JSON.parse(content);
+            this.checkpoints.set(jobId, checkpoint);
+            return checkpoint;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getKeywordState(jobId, keyword) {
+        let checkpoint = this.load(jobId);
+        if (!checkpoint) {
+            checkpoint = { jobId, keywords: {} };
+            this.checkpoints.set(jobId, checkpoint);
+        }
+
+        if (!checkpoint.keywords[keyword]) {
+            checkpoint.keywords[keyword] = { completed: false, urls: {}, results: [] };
+        }
+        return checkpoint.keywords[keyword];
+    }
+
+    /**
+     * Record the outcome of a single URL (flushed to disk periodically)
+     * @param {string} jobId - Job ID
+     * @param {string} keyword - Keyword the URL belongs to
+     * @param {string} url - Place URL
+     * @param {Object} status - URL status ({ status: 'SUCCESS' | 'FAILED' | ... })
+     * @param {Object|null} result - Scraped place (SUCCESS only)
+     */
+    recordUrl(jobId, keyword, url, status, result = null) {
+        const state = this.getKeywordState(jobId, keyword);
+        state.urls[url] = status;
+        if (result && status.status === 'SUCCESS') {
+            state.results.push(result);
+        }
+        this.scheduleFlush(jobId);
+    }
+
+    /**
+     * Mark a keyword as completed with its final results (flushed immediately)
+     */
+    async completeKeyword(jobId, keyword, results) {
+        const state = this.getKeywordState(jobId, keyword);
+        state.completed = true;
+        state.results = results || [];
+        await this.flush(jobId);
+    }
+
+    scheduleFlush(jobId) {
+        if (this.flushTimers.has(jobId)) return;
+
+        const timer = setTimeout(() => {
+            this.flushTimers.delete(jobId);
+            this.flush(jobId).catch(() => {});
+        }, CHECKPOINT_FLUSH_INTERVAL);
+        this.flushTimers.set(jobId, timer);
+    }
+
+    async flush(jobId) {
+        const previous = this.writes.get(jobId) || Promise.resolve();
+        const write = previous.then(async () => {
+            const checkpoint = this.checkpoints.get(jobId);
+            if (!checkpoint) return;
+
+            checkpoint.updatedAt = new Date().toISOString();
+            try {
+                await fs.promises.mkdir(CHECKPOINT_DIR, { recursive: true });
+                await atomicWriteJSON(this.getPath(jobId), checkpoint);
+            } catch (error) {
+                logger.error(`Failed to write checkpoint for job ${jobId}`, { error: error.message });
+            }
+        });
+        this.writes.set(jobId, write);
+        await write;
+    }
+
+    /**
+     * Drop checkpoint once a job reaches a final state
+     */
+    async remove(jobId) {
+        const timer = this.flushTimers.get(jobId);
+        if (timer) {
+            clearTimeout(timer);
+            this.flushTimers.delete(jobId);
+        }
+        this.checkpoints.delete(jobId);
+
+        // Let an in-flight write finish so it cannot recreate the file
+        await this.writes.get(jobId);
+        this.writes.delete(jobId);
+
+        try {
+            await fs.promises.unlink(this.getPath(jobId));
+        } catch (error) {
+            // No checkpoint on disk
+        }
+    }
+}
+
+module.exports = new CheckpointStore();
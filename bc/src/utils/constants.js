@@ -33,6 +33,32 @@ module.exports = {
     // API constants
     DEFAULT_PAGE_SIZE: 10,
     MAX_PAGE_SIZE: 100,
+    PROGRESS_PERSIST_INTERVAL: 2000,  // Min gap between progress writes to db.json
+    RESULTS_PAGE_SIZE: 50,
+    MAX_RESULTS_PAGE_SIZE: 500,
+    RESULT_SORTS: ['rating', 'reviews', 'name'],
+    
+    // Live event stream (SSE) constants
+    EVENT_BUFFER_SIZE: 500,           // Events kept per job for Last-Event-ID replay
+    EVENT_BUFFER_TTL: 10 * 60 * 1000, // Keep finished jobs' events for reconnects
+    SSE_KEEPALIVE_INTERVAL: 15000,
+    STREAM_TOKEN_EXPIRE: '5m',
+    
+    // Webhook constants
+    WEBHOOK_EVENTS: ['job.started', 'keyword.completed', 'job.completed', 'job.failed'],
+    WEBHOOK_MAX_ATTEMPTS: 5,
+    WEBHOOK_RETRY_BASE_DELAY: 5000,   // Doubles after each failed attempt
+    WEBHOOK_TIMEOUT: 10000,
+    WEBHOOK_DELIVERY_RETENTION: 1000, // Delivery log entries kept per user
+    
+    // Scheduler constants
+    SCHEDULER_TICK_INTERVAL: 30000,
+    SCHEDULE_MISFIRE_GRACE: 5 * 60 * 1000,  // Later than this counts as a missed run
+    SCHEDULE_HISTORY_LIMIT: 50,             // Run history entries kept per schedule
+    
+    // Resume constants
+    CHECKPOINT_FLUSH_INTERVAL: 2000,  // Max delay before per-URL progress hits disk
+    MAX_RESUME_ATTEMPTS: 3,           // Give up on jobs that keep dying mid-run
     
     // File paths
     PROGRESS_FILE: 'scraper-progress.json',
@@ -46,6 +72,93 @@ module.exports = {
     XPATH_SCROLLER_1: '//*[@id="QA0Szd"]/div/div/div[1]/div[2]/div/div[1]/div/div/div[2]/div[1]',
     XPATH_SCROLLER_2: '//*[@id="QA0Szd"]/div/div/div[1]/div[2]/div/div[1]/div/div/div[1]/div[1]',
     
+    // Website enrichment (options.enrichWebsites)
+    ENRICHMENT_MAX_PAGES_PER_DOMAIN: 4,         // Homepage + contact pages (robots.txt not counted)
+    ENRICHMENT_DOMAIN_TIME_BUDGET: 30000,       // 30 seconds per domain
+    ENRICHMENT_TIMEOUT: 8000,                   // Per request
+    ENRICHMENT_MAX_BYTES: 1024 * 1024,          // Per page
+    ENRICHMENT_USER_AGENT: 'GMapMinerBot/1.0 (+website enrichment)',
+    
+    // Structured searches (POST /api/scrape "searches")
+    SEARCH_TYPES: ['grid', 'radius', 'places'],
+    SEARCH_VIEWPORT_PIXELS: 600,      // Map side the search zoom is fitted to
+    GRID_TILE_SIZE_METERS: 2000,      // Default tile side
+    GRID_MIN_TILE_SIZE_METERS: 250,
+    GRID_MAX_TILES: 400,              // Initial tiles per grid search
+    GRID_MAX_BBOX_TILES: 4000,        // Tiles of a polygon's bbox checked against the polygon
+    GRID_SPLIT_THRESHOLD: 100,        // A tile with this many links hit the per-search cap and is split
+    GRID_MAX_DEPTH: 3,                // Quadrant splits below an initial tile
+    GRID_MAX_PLACES: 5000,            // Per grid search unless options.maxPlacesPerKeyword is set
+    RADIUS_MIN_METERS: 50,
+    RADIUS_MAX_METERS: 50000,
+    PLACES_MAX_INPUTS: 1000,          // Place URLs / IDs per place list
+    
+    // Place schema (bump when the shape of stored places changes)
+    PLACE_SCHEMA_VERSION: 3,
+    
+    // Normalized businessStatus values
+    BUSINESS_STATUS: {
+        OPERATIONAL: 'OPERATIONAL',
+        TEMPORARILY_CLOSED: 'TEMPORARILY_CLOSED',
+        PERMANENTLY_CLOSED: 'PERMANENTLY_CLOSED'
+    },
+    
+    // Per-job scrape options (POST /api/scrape "options")
+    ALLOWED_JOB_OPTION_KEYS: [
+        'dataWorkers',
+        'linkWorkers',
+        'maxPlacesPerKeyword',
+        'scrollIdleTimeout',
+        'headless',
+        'fields',
+        'maxReviews',
+        'reviewsSort',
+        'aboutAttributes',
+        'profile',
+        'enrichWebsites',
+        'language',
+        'region'
+    ],
+    // Server caps for job options (override with MAX_JOB_* env vars)
+    JOB_OPTION_LIMITS: {
+        dataWorkers: 10,
+        linkWorkers: 3,
+        maxPlacesPerKeyword: 500,
+        scrollIdleTimeout: 120,     // Seconds
+        maxReviews: 200             // Per place
+    },
+    // Values for options.profile (category extraction profiles in scraper/profiles)
+    EXTRACTION_PROFILES: ['auto', 'none', 'hotel', 'restaurant', 'healthcare'],
+    // Languages with a locale pack (scraper/locales) for options.language
+    LOCALES: ['en', 'hi', 'es', 'fr', 'de', 'ar'],
+    // Orders for options.reviewsSort (Maps "Sort reviews" menu)
+    REVIEW_SORTS: ['relevant', 'newest', 'highest', 'lowest'],
+    // Place fields a job can select with options.fields
+    RESULT_FIELDS: [
+        'name',
+        'phone',
+        'rating',
+        'reviews',
+        'category',
+        'address',
+        'website',
+        'actionLinks',
+        'claimed',
+        'coordinates',
+        'plusCode',
+        'openingHours',
+        'openingHoursRaw',
+        'businessStatus',
+        'priceLevel',
+        'popularTimes',
+        'attributes',
+        'profile',
+        'details',
+        'enrichment',
+        'distanceMeters',
+        'link'
+    ],
+    
     // Config validation
     ALLOWED_CONFIG_KEYS: [
         'headless',
@@ -0,0 +1,223 @@
+/**
+ * Cron Expressions
+ * Standard 5-field cron (minute hour day-of-month month day-of-week)
+ * evaluated in an IANA timezone
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// How far ahead nextRun looks before giving up (e.g. "0 0 30 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseValue(value, field) {
+    if (field.names) {
+        const index = field.names.indexOf(value.toUpperCase());
+        if (index !== -1) {
+            return index + (field.name === 'month' ? 1 : 0);
+        }
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value: ${value}`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} out of range (${field.min}-${field.max})`);
+    }
+    return number;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const pieces = part.split('/');
+        const [range, stepText] = pieces;
+        if (pieces.length > 2 || !range) {
+            throw new Error(`Invalid ${field.name} value: ${part}`);
+        }
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid ${field.name} step: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) {
+                throw new Error(`Invalid ${field.name} range: ${range}`);
+            }
+            const [from, to] = bounds;
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid ${field.name} range: ${range}`);
+            }
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Both 0 and 7 mean Sunday
+    if (field.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field expression or macro (@daily, @weekly, ...)
+ * @returns {Object} Parsed fields (sets of allowed values)
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((field, i) => {
+        parsed[field.name] = parseField(parts[i], field);
+    });
+
+    // Cron rule: when both day fields are restricted, either one may match
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = new Map();  // timezone -> Intl.DateTimeFormat
+
+/**
+ * Offset of a timezone from UTC (ms) at a given instant
+ */
+function getTimezoneOffset(timezone, date) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = formatters.get(timezone).formatToParts(date);
+
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * Repeated wall times (DST fall-back) resolve to the first occurrence;
+ * times skipped by a DST jump resolve to just after the jump.
+ */
+function fromWallTime(timezone, year, month, day, hour, minute) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const offsets = new Set([
+        getTimezoneOffset(timezone, new Date(wall - 86400000)),
+        getTimezoneOffset(timezone, new Date(wall + 86400000))
+    ]);
+
+    const candidates = [...offsets].map(offset => wall - offset).sort((a, b) => a - b);
+    const exact = candidates.find(time => time + getTimezoneOffset(timezone, new Date(time)) === wall);
+    return new Date(exact !== undefined ? exact : candidates[candidates.length - 1]);
+}
+
+/**
+ * Next time the expression fires strictly after `after`
+ * @param {Object|string} cron - Parsed cron or expression
+ * @param {Date} after - Reference time
+ * @param {string} timezone - IANA timezone (default UTC)
+ * @returns {Date|null} Next run, or null if none within the lookahead window
+ */
+function getNextRun(cron, after = new Date(), timezone = 'UTC') {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const hours = [...parsed.hour].sort((a, b) => a - b);
+    const minutes = [...parsed.minute].sort((a, b) => a - b);
+
+    // Walk calendar days in the target timezone starting from "after"'s local date
+    const local = new Date(after.getTime() + getTimezoneOffset(timezone, after));
+    const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+
+    for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const date = day.getUTCDate();
+        const weekday = day.getUTCDay();
+
+        const domMatch = parsed.dayOfMonth.has(date);
+        const dowMatch = parsed.dayOfWeek.has(weekday);
+        const dayMatches = parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted
+            ? domMatch || dowMatch
+            : domMatch && dowMatch;
+
+        if (parsed.month.has(month) && dayMatches) {
+            for (const hour of hours) {
+                for (const minute of minutes) {
+                    const candidate = fromWallTime(timezone, year, month, date, hour, minute);
+                    if (candidate > after) {
+                        return candidate;
+                    }
+                }
+            }
+        }
+
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun,
+    isValidTimezone
+};
@@ -23,7 +23,7 @@ function convertToCSV(data) {
                 place.category,
                 place.address,
                 place.website
-            ].map(v => `"${v}"`).join(','));
+            ].map(v => `"${v ?? ''}"`).join(','));
         }
     }
     
@@ -5,33 +5,132 @@
 
 const ExcelJS = require('exceljs');
 
+// Action link columns (place.actionLinks) shown after Website
+const ACTION_COLUMNS = [
+  { type: 'menu', label: 'Menu' },
+  { type: 'reservation', label: 'Reservation' },
+  { type: 'order', label: 'Order' },
+  { type: 'appointment', label: 'Appointment' }
+];
+
 class ExportService {
   /**
-   * Convert results to CSV format
-   * @param {Object} results - Results object with keywords as keys
+   * Convert places to CSV format (one row per place)
+   * @param {Array} places - Places from resultStore.query (with keywords)
    * @returns {String} CSV formatted string
    */
-  toCSV(results) {
+  toCSV(places) {
     const rows = [];
-    rows.push(['Name', 'Phone', 'Address', 'Rating', 'Reviews', 'Website', 'Keyword']);
+    rows.push([
+      'Name', 'Phone', 'Address', 'Rating', 'Reviews', 'Website', 'Claimed',
+      ...ACTION_COLUMNS.flatMap(({ label }) => [`${label} URL`, `${label} Provider`]),
+      'Place ID', 'CID', 'Maps URL', 'Keywords'
+    ]);
     
-    for (const [keyword, places] of Object.entries(results)) {
-      for (const place of places) {
-        rows.push([
-          this.escapeCSV(place.name || ''),
-          this.escapeCSV(place.phone || ''),
-          this.escapeCSV(place.address || ''),
-          place.rating || '',
-          place.reviews || '',
-          this.escapeCSV(place.website || ''),
-          this.escapeCSV(keyword)
-        ]);
-      }
+    for (const place of places) {
+      const actions = this.actionColumns(place);
+      rows.push([
+        this.escapeCSV(place.name || ''),
+        this.escapeCSV(place.phone || ''),
+        this.escapeCSV(place.address || ''),
+        place.rating ?? '',
+        place.reviews ?? '',
+        this.escapeCSV(place.website || ''),
+        this.claimedCell(place),
+        ...ACTION_COLUMNS.flatMap(({ type }) => [
+          this.escapeCSV(actions[`${type}Url`]),
+          this.escapeCSV(actions[`${type}Provider`])
+        ]),
+        this.escapeCSV(place.placeId || ''),
+        place.cid || '',
+        this.escapeCSV(place.canonicalUrl || ''),
+        this.escapeCSV(this.keywordsCell(place))
+      ]);
     }
     
     return rows.map(row => row.join(',')).join('\n');
   }
 
+  /**
+   * Keywords cell: every keyword that found the place, "; " separated
+   * @param {Object} place - Place
+   * @returns {String} Cell value
+   */
+  keywordsCell(place) {
+    return (place.keywords || [place.keyword]).filter(Boolean).join('; ');
+  }
+
+  /**
+   * Claimed cell: yes / no / unknown
+   * @param {Object} place - Place
+   * @returns {String} Cell value
+   */
+  claimedCell(place) {
+    if (place.claimed === true) return 'yes';
+    if (place.claimed === false) return 'no';
+    return 'unknown';
+  }
+
+  /**
+   * Action link cells for a place: { menuUrl, menuProvider, orderUrl, ... }
+   * Several links of one type are joined with "; "
+   * @param {Object} place - Place
+   * @returns {Object} Cell values
+   */
+  actionColumns(place) {
+    const cells = {};
+    for (const { type } of ACTION_COLUMNS) {
+      const links = (place.actionLinks && place.actionLinks[type]) || [];
+      cells[`${type}Url`] = links.map(link => link.url).join('; ');
+      cells[`${type}Provider`] = [...new Set(links.map(link => link.provider))].join('; ');
+    }
+    return cells;
+  }
+
+  /**
+   * Convert flattened reviews to CSV format
+   * @param {Array} reviews - Reviews with placeLink / placeName
+   * @returns {String} CSV formatted string
+   */
+  reviewsToCSV(reviews) {
+    const rows = [];
+    rows.push(['Place', 'Place Link', 'Author', 'Local Guide', 'Rating', 'Date', 'Published', 'Text', 'Owner Response']);
+    
+    for (const review of reviews) {
+      rows.push([
+        this.escapeCSV(review.placeName || ''),
+        this.escapeCSV(review.placeLink || ''),
+        this.escapeCSV(review.author || ''),
+        review.isLocalGuide ? 'yes' : 'no',
+        review.rating ?? '',
+        this.escapeCSV(review.relativeDate || ''),
+        review.publishedAt || '',
+        this.escapeCSV(review.text || ''),
+        this.escapeCSV(review.ownerResponse?.text || '')
+      ]);
+    }
+    
+    return rows.map(row => row.join(',')).join('\n');
+  }
+
+  /**
+   * Results with each place's reviews embedded as userReviews (for JSON downloads)
+   * @param {Object} results - Results object with keywords as keys
+   * @param {Object} reviews - Reviews keyed by place link
+   * @returns {Object} Results object
+   */
+  withReviews(results, reviews) {
+    if (!reviews || Object.keys(reviews).length === 0) return results;
+    
+    const merged = {};
+    for (const [keyword, places] of Object.entries(results)) {
+      merged[keyword] = places.map(place => reviews[place.link]
+        ? { ...place, userReviews: reviews[place.link] }
+        : place);
+    }
+    return merged;
+  }
+
   /**
    * Escape CSV special characters
    * @param {String} str - String to escape
@@ -46,11 +145,12 @@ class ExportService {
   }
 
   /**
-   * Convert results to Excel format
-   * @param {Object} results - Results object with keywords as keys
+   * Convert places to Excel format (one row per place)
+   * @param {Array} places - Places from resultStore.query (with keywords)
+   * @param {Array} reviews - Flattened reviews (added as a second sheet when present)
    * @returns {Promise<Buffer>} Excel file buffer
    */
-  async toExcel(results) {
+  async toExcel(places, reviews = []) {
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Results');
     
@@ -62,7 +162,15 @@ class ExportService {
       { header: 'Rating', key: 'rating', width: 10 },
       { header: 'Reviews', key: 'reviews', width: 10 },
       { header: 'Website', key: 'website', width: 30 },
-      { header: 'Keyword', key: 'keyword', width: 25 }
+      { header: 'Claimed', key: 'claimed', width: 10 },
+      ...ACTION_COLUMNS.flatMap(({ type, label }) => [
+        { header: `${label} URL`, key: `${type}Url`, width: 30 },
+        { header: `${label} Provider`, key: `${type}Provider`, width: 18 }
+      ]),
+      { header: 'Place ID', key: 'placeId', width: 30 },
+      { header: 'CID', key: 'cid', width: 22 },
+      { header: 'Maps URL', key: 'canonicalUrl', width: 45 },
+      { header: 'Keywords', key: 'keywords', width: 30 }
     ];
     
     // Style header row
@@ -74,16 +182,49 @@ class ExportService {
     };
     
     // Add data rows
-    for (const [keyword, places] of Object.entries(results)) {
-      for (const place of places) {
-        worksheet.addRow({
-          name: place.name || '',
-          phone: place.phone || '',
-          address: place.address || '',
-          rating: place.rating || '',
-          reviews: place.reviews || '',
-          website: place.website || '',
-          keyword
+    for (const place of places) {
+      worksheet.addRow({
+        name: place.name || '',
+        phone: place.phone || '',
+        address: place.address || '',
+        rating: place.rating ?? '',
+        reviews: place.reviews ?? '',
+        website: place.website || '',
+        claimed: this.claimedCell(place),
+        ...this.actionColumns(place),
+        placeId: place.placeId || '',
+        cid: place.cid || '',
+        canonicalUrl: place.canonicalUrl || '',
+        keywords: this.keywordsCell(place)
+      });
+    }
+    
+    if (reviews.length > 0) {
+      const reviewSheet = workbook.addWorksheet('Reviews');
+      reviewSheet.columns = [
+        { header: 'Place', key: 'placeName', width: 30 },
+        { header: 'Author', key: 'author', width: 25 },
+        { header: 'Local Guide', key: 'isLocalGuide', width: 12 },
+        { header: 'Rating', key: 'rating', width: 10 },
+        { header: 'Date', key: 'relativeDate', width: 15 },
+        { header: 'Published', key: 'publishedAt', width: 12 },
+        { header: 'Text', key: 'text', width: 60 },
+        { header: 'Owner Response', key: 'ownerResponse', width: 40 },
+        { header: 'Place Link', key: 'placeLink', width: 40 }
+      ];
+      reviewSheet.getRow(1).font = { bold: true };
+      
+      for (const review of reviews) {
+        reviewSheet.addRow({
+          placeName: review.placeName || '',
+          author: review.author || '',
+          isLocalGuide: review.isLocalGuide ? 'yes' : 'no',
+          rating: review.rating ?? '',
+          relativeDate: review.relativeDate || '',
+          publishedAt: review.publishedAt || '',
+          text: review.text || '',
+          ownerResponse: review.ownerResponse?.text || '',
+          placeLink: review.placeLink || ''
         });
       }
     }
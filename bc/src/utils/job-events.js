@@ -0,0 +1,124 @@
+/**
+ * Job Event Stream
+ * Buffers job lifecycle events from the queue for live (SSE) delivery and
+ * Last-Event-ID replay
+ */
+
+const EventEmitter = require('events');
+const jobQueue = require('./job-queue-manager');
+const { EVENT_BUFFER_SIZE, EVENT_BUFFER_TTL } = require('./constants');
+
+// Events that end a job's stream
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+class JobEventStream extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);        // One listener per open SSE connection
+        this.buffers = new Map();       // jobId -> [{ id, event, data }]
+        this.expiryTimers = new Map();  // jobId -> buffer cleanup timeout
+        // Seeded from the clock so IDs keep increasing across server restarts
+        this.sequence = Date.now();
+    }
+
+    /**
+     * Subscribe to the queue's lifecycle events
+     */
+    attach(queue) {
+        queue.on('keyword_started', (data) => this.record(data.jobId, 'keywordStart', {
+            keyword: data.keyword,
+            index: data.index,
+            total: data.total
+        }));
+
+        queue.on('job_progress', (data) => this.record(data.jobId, 'progress', {
+            keyword: data.keyword,
+            index: data.index,
+            total: data.total,
+            phase: data.phase,
+            linksFound: data.linksFound,
+            extractedCount: data.extractedCount,
+            progress: data.jobProgress
+        }));
+
+        queue.on('keyword_completed', (data) => this.record(data.jobId, 'keywordComplete', {
+            keyword: data.keyword,
+            index: data.index,
+            total: data.total,
+            resultsCount: data.resultsCount,
+            error: data.error,
+            progress: data.jobProgress
+        }));
+
+        queue.on('job_completed', (data) => this.record(data.jobId, 'completed', {
+            status: 'completed',
+            totalPlaces: data.totalPlaces
+        }));
+
+        queue.on('job_failed', (data) => this.record(data.jobId, 'failed', {
+            status: 'failed',
+            error: data.error
+        }));
+
+        queue.on('job_cancelled', (data) => this.record(data.jobId, 'cancelled', {
+            status: 'cancelled',
+            totalPlaces: data.totalPlaces
+        }));
+    }
+
+    /**
+     * Store an event and notify live subscribers
+     * @param {string} jobId - Job ID
+     * @param {string} event - SSE event name
+     * @param {Object} data - Event payload
+     */
+    record(jobId, event, data) {
+        const entry = { id: ++this.sequence, event, data: { jobId, ...data } };
+
+        let buffer = this.buffers.get(jobId);
+        if (!buffer) {
+            buffer = [];
+            this.buffers.set(jobId, buffer);
+        }
+        buffer.push(entry);
+        if (buffer.length > EVENT_BUFFER_SIZE) {
+            buffer.shift();
+        }
+
+        if (TERMINAL_EVENTS.includes(event)) {
+            this.scheduleExpiry(jobId);
+        }
+
+        this.emit(jobId, entry);
+    }
+
+    /**
+     * Buffered events newer than lastEventId
+     * @param {string} jobId - Job ID
+     * @param {number} lastEventId - Last ID seen by the client (0 for all)
+     * @returns {Array} Events to replay
+     */
+    getEventsSince(jobId, lastEventId = 0) {
+        const buffer = this.buffers.get(jobId) || [];
+        return buffer.filter(entry => entry.id > lastEventId);
+    }
+
+    isTerminal(entry) {
+        return TERMINAL_EVENTS.includes(entry.event);
+    }
+
+    scheduleExpiry(jobId) {
+        clearTimeout(this.expiryTimers.get(jobId));
+        const timer = setTimeout(() => {
+            this.buffers.delete(jobId);
+            this.expiryTimers.delete(jobId);
+        }, EVENT_BUFFER_TTL);
+        timer.unref();
+        this.expiryTimers.set(jobId, timer);
+    }
+}
+
+const jobEvents = new JobEventStream();
+jobEvents.attach(jobQueue);
+
+module.exports = jobEvents;
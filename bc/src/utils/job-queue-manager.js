@@ -1,140 +1,128 @@
 /**
- * Advanced Job Queue Manager for handling 500+ keywords
- * Implements batching, prioritization, and distributed processing
+ * Job Queue Manager
+ * Bounded, persistent queue for scraping jobs backed by the JSON store
  */
 
 const EventEmitter = require('events');
 const logger = require('./logger');
-const redisCache = require('./redis-cache');
+const db = require('../database/json-db');
+const checkpointStore = require('./checkpoint-store');
+const resultStore = require('./result-store');
+const { processKeywords } = require('../scraper-pro');
+const { CONFIG } = require('../scraper/config/config-loader');
+const { MAX_RESUME_ATTEMPTS, PROGRESS_PERSIST_INTERVAL } = require('./constants');
+
+const PRIORITIES = ['high', 'normal', 'low'];
 
 class JobQueueManager extends EventEmitter {
     constructor() {
         super();
         this.queues = {
-            high: [],       // High priority jobs
-            normal: [],     // Normal priority jobs
-            low: []         // Low priority jobs
+            high: [],       // High priority job IDs
+            normal: [],     // Normal priority job IDs
+            low: []         // Low priority job IDs
         };
-        this.processing = new Map();  // Currently processing jobs
-        this.completed = new Map();   // Recently completed jobs (LRU cache)
-        this.maxConcurrentJobs = 5;   // Max concurrent scraping jobs
-        this.maxCompletedCache = 100; // Max completed jobs in memory
-        this.batchSize = 50;          // Keywords per batch for 500+ keyword jobs
+        this.processing = new Set();  // Currently running job IDs
+        this.cancellationFlags = new Map();  // jobId -> true once cancel requested
+        this.maxConcurrentJobs = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1);
+        this.initialized = false;
     }
 
     /**
-     * Split large job into smaller batches
-     * @param {Object} job - Job with potentially 500+ keywords
-     * @returns {Array} Array of batch jobs
+     * Restore queued jobs from the job store and start processing
+     * Jobs that were waiting when the server stopped keep their place in line
      */
-    createBatches(job) {
-        const { keywords, jobId, userId, config } = job;
-        
-        if (keywords.length <= this.batchSize) {
-            return [job];  // No batching needed
-        }
+    async init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        await db.ready;
+        await this.recoverOrphanedJobs();
+
+        const queuedJobs = await db.find('jobs', { status: 'queued' });
+        queuedJobs
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(job => {
+                const priority = PRIORITIES.includes(job.priority) ? job.priority : 'normal';
+                this.queues[priority].push(job.jobId);
+            });
 
-        const batches = [];
-        const totalBatches = Math.ceil(keywords.length / this.batchSize);
-        
-        for (let i = 0; i < totalBatches; i++) {
-            const start = i * this.batchSize;
-            const end = Math.min(start + this.batchSize, keywords.length);
-            const batchKeywords = keywords.slice(start, end);
-            
-            const batchJob = {
-                ...job,
-                jobId: `${jobId}_batch_${i + 1}`,
-                parentJobId: jobId,
-                batchNumber: i + 1,
-                totalBatches,
-                keywords: batchKeywords,
-                config: {
-                    ...config,
-                    // Reduce workers for large batches to avoid detection
-                    workers: Math.min(config.workers || 5, 5),
-                    linkWorkers: 1,
-                    // Add delay between batches
-                    batchDelay: (i + 1) * 60000  // 1 minute delay per batch
-                }
-            };
-            
-            batches.push(batchJob);
+        if (queuedJobs.length > 0) {
+            logger.info(`Restored ${queuedJobs.length} queued job(s) from job store`);
         }
 
-        logger.info(`Job ${jobId} split into ${totalBatches} batches of ${this.batchSize} keywords`);
-        return batches;
+        this.processNext();
     }
 
     /**
-     * Add job to queue with priority and batching
-     * @param {Object} job - Job to add
-     * @param {String} priority - 'high', 'normal', or 'low'
-     * @returns {Boolean} Success status
+     * Jobs still marked in_progress at startup were interrupted by a crash or
+     * restart. With features.enableResume they go back to the front of the
+     * queue and continue from their checkpoint; otherwise they are failed.
      */
-    async addJob(job, priority = 'normal') {
-        try {
-            // Check if job needs batching (500+ keywords)
-            if (job.keywords && job.keywords.length > 100) {
-                const batches = this.createBatches(job);
-                
-                // Create parent job record
-                const parentJob = {
-                    ...job,
-                    status: 'batched',
-                    batches: batches.map(b => b.jobId),
-                    totalBatches: batches.length,
-                    completedBatches: 0
-                };
-                
-                // Save parent job to Redis
-                await redisCache.setJob(job.jobId, parentJob);
-                
-                // Add each batch to queue
-                for (const batch of batches) {
-                    this.queues[priority].push(batch);
-                    await redisCache.setJob(batch.jobId, {
-                        ...batch,
-                        status: 'queued',
-                        priority
-                    });
-                }
-                
-                this.emit('job_batched', {
-                    jobId: job.jobId,
-                    batches: batches.length,
-                    totalKeywords: job.keywords.length
+    async recoverOrphanedJobs() {
+        const orphanedJobs = await db.find('jobs', { status: 'in_progress' });
+
+        for (const job of orphanedJobs) {
+            if (CONFIG.enableResume && (job.resumeCount || 0) < MAX_RESUME_ATTEMPTS) {
+                await db.update('jobs', { jobId: job.jobId }, {
+                    status: 'queued',
+                    priority: 'high',
+                    resumeCount: (job.resumeCount || 0) + 1,
+                    resumedAt: new Date().toISOString()
                 });
-                
-                logger.info(`Added ${batches.length} batch jobs for ${job.jobId}`);
+                logger.info(`Job ${job.jobId} was interrupted - queued for resume`);
             } else {
-                // Regular job, no batching needed
-                this.queues[priority].push(job);
-                await redisCache.setJob(job.jobId, {
-                    ...job,
-                    status: 'queued',
-                    priority
+                await db.update('jobs', { jobId: job.jobId }, {
+                    status: 'failed',
+                    error: CONFIG.enableResume
+                        ? `Job interrupted ${job.resumeCount} times, giving up`
+                        : 'Server restarted while job was running',
+                    failedAt: new Date().toISOString()
                 });
-                
-                logger.info(`Added job ${job.jobId} to ${priority} priority queue`);
+                await checkpointStore.remove(job.jobId);
+                logger.warn(`Job ${job.jobId} was interrupted - marked failed`);
             }
-            
-            // Start processing if not at capacity
-            this.processNext();
-            return true;
-        } catch (error) {
-            logger.error('Failed to add job to queue', { jobId: job.jobId, error: error.message });
-            return false;
         }
     }
 
     /**
-     * Get next job from queue based on priority
-     * @returns {Object|null} Next job or null
+     * Persist a new job and add it to the queue
+     * @param {Object} job - Job record (jobId, userId, keywords, ...)
+     * @param {String} priority - 'high', 'normal', or 'low'
+     * @returns {Promise<Object>} Stored job record
      */
-    getNextJob() {
-        // Check priority queues in order
-        for (const priority of ['high', 'normal', 'low']) {
+    async addJob(job, priority = 'normal') {
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Invalid priority: ${priority}`);
+        }
+
+        const record = await db.insert('jobs', {
+            ...job,
+            status: 'queued',
+            priority,
+            progress: 0,
+            createdAt: job.createdAt || new Date().toISOString()
+        });
+
+        this.queues[priority].push(record.jobId);
+        logger.info(`Added job ${record.jobId} to ${priority} priority queue`);
+
+        this.emit('job_queued', {
+            jobId: record.jobId,
+            userId: record.userId,
+            position: this.getQueuePosition(record.jobId)
+        });
+
+        this.processNext();
+        return record;
+    }
+
+    /**
+     * Get next job ID from queue based on priority
+     * @returns {String|null} Next job ID or null
+     */
+    getNextJobId() {
+        for (const priority of PRIORITIES) {
             if (this.queues[priority].length > 0) {
                 return this.queues[priority].shift();
             }
@@ -143,270 +131,289 @@ class JobQueueManager extends EventEmitter {
     }
 
     /**
-     * Process next job in queue
+     * 1-based position of a job in the queue (across priorities)
+     * @param {String} jobId - Job ID
+     * @returns {Number|null} Position or null if not queued
      */
-    async processNext() {
-        // Check if at capacity
-        if (this.processing.size >= this.maxConcurrentJobs) {
-            logger.info(`At max capacity (${this.maxConcurrentJobs} jobs), waiting...`);
-            return;
+    getQueuePosition(jobId) {
+        let offset = 0;
+        for (const priority of PRIORITIES) {
+            const index = this.queues[priority].indexOf(jobId);
+            if (index !== -1) {
+                return offset + index + 1;
+            }
+            offset += this.queues[priority].length;
         }
+        return null;
+    }
 
-        const job = this.getNextJob();
-        if (!job) {
-            logger.debug('No jobs in queue');
-            return;
+    /**
+     * Start queued jobs until the concurrency limit is reached
+     */
+    processNext() {
+        while (this.processing.size < this.maxConcurrentJobs) {
+            const jobId = this.getNextJobId();
+            if (!jobId) {
+                return;
+            }
+
+            // Reserve the slot synchronously so parallel calls cannot overshoot
+            this.processing.add(jobId);
+            this.executeJob(jobId)
+                .catch(error => {
+                    logger.error('Job execution failed', { jobId, error: error.message });
+                })
+                .finally(() => {
+                    this.processing.delete(jobId);
+                    this.processNext();
+                });
         }
+    }
 
-        // Apply batch delay if needed
-        if (job.config?.batchDelay) {
-            logger.info(`Batch ${job.batchNumber}: Waiting ${job.config.batchDelay / 1000}s before start`);
-            await new Promise(resolve => setTimeout(resolve, job.config.batchDelay));
+    /**
+     * Execute the actual scraping job
+     * @param {String} jobId - Job to execute
+     */
+    async executeJob(jobId) {
+        const job = await db.findOne('jobs', { jobId });
+        if (!job || job.status !== 'queued') {
+            return;
         }
 
-        // Mark as processing
-        this.processing.set(job.jobId, job);
-        await redisCache.setJob(job.jobId, {
-            ...job,
-            status: 'processing',
+        await db.update('jobs', { jobId }, {
+            status: 'in_progress',
             startedAt: new Date().toISOString()
         });
 
         this.emit('job_started', {
-            jobId: job.jobId,
-            keywords: job.keywords.length,
-            batchNumber: job.batchNumber,
-            totalBatches: job.totalBatches
+            jobId,
+            userId: job.userId,
+            keywords: job.keywords
         });
 
-        logger.info(`Processing job ${job.jobId} with ${job.keywords.length} keywords`);
+        logger.info(`Processing job ${jobId} with ${job.keywords.length} keywords`);
 
-        // Process the job (this would call the actual scraper)
-        try {
-            await this.executeJob(job);
-        } catch (error) {
-            logger.error('Job execution failed', { jobId: job.jobId, error: error.message });
-            await this.handleJobError(job, error);
+        // Track all results from keywords (seeded from checkpoint on resume)
+        const allResults = {};
+        const checkpoint = CONFIG.enableResume ? checkpointStore.load(jobId) : null;
+        if (checkpoint) {
+            for (const [keyword, state] of Object.entries(checkpoint.keywords)) {
+                if (state.completed) {
+                    allResults[keyword] = state.results;
+                }
+            }
+            logger.info(`Resuming job ${jobId} from checkpoint (${Object.keys(allResults).length} keyword(s) done)`);
         }
-    }
 
-    /**
-     * Execute the actual scraping job
-     * @param {Object} job - Job to execute
-     */
-    async executeJob(job) {
-        // This would integrate with the existing scraper
-        const { processKeywords } = require('../scraper-pro');
-        
+        // Per-URL statuses, stored with the results when each keyword completes
+        const urlStatuses = {};
+        if (checkpoint) {
+            for (const [keyword, state] of Object.entries(checkpoint.keywords)) {
+                urlStatuses[keyword] = { ...state.urls };
+            }
+        }
+
+        // Live progress goes out as events; db.json is only rewritten when the
+        // phase changes or PROGRESS_PERSIST_INTERVAL has passed
+        let lastPersistedAt = 0;
+        let lastPersistedPhase = null;
+
+        // Per-job options were validated and clamped when the job was created
+        const options = job.options || {};
+
         try {
-            const results = await processKeywords(
+            const processed = await processKeywords(
                 job.keywords,
-                job.config?.workers || 5,
-                job.config?.linkWorkers || 1,
+                options.dataWorkers || null,  // null = config default
+                options.linkWorkers || null,  // null = config default
                 {
-                    onKeywordComplete: async ({ keyword, results: keywordResults }) => {
-                        // Save results immediately to Redis
-                        await redisCache.setResults(job.jobId, {
-                            [keyword]: keywordResults
+                    shouldCancel: () => this.cancellationFlags.has(jobId),
+                    onKeywordStart: async (data) => {
+                        logger.info(`Starting keyword ${data.index}/${data.total}: ${data.keyword}`);
+                        this.emit('keyword_started', { jobId, userId: job.userId, ...data });
+                        await db.update('jobs', { jobId }, {
+                            status: 'in_progress',
+                            currentKeyword: data.keyword
                         });
-                        
-                        // Emit progress
-                        this.emit('keyword_completed', {
-                            jobId: job.jobId,
-                            keyword,
-                            results: keywordResults.length
+                    },
+                    onProgress: async (data) => {
+                        const progress = Math.floor((data.index / data.total) * 100);
+                        this.emit('job_progress', { jobId, userId: job.userId, ...data, jobProgress: progress });
+
+                        const now = Date.now();
+                        if (data.phase === lastPersistedPhase && now - lastPersistedAt < PROGRESS_PERSIST_INTERVAL) {
+                            return;
+                        }
+                        lastPersistedAt = now;
+                        lastPersistedPhase = data.phase;
+                        await db.update('jobs', { jobId }, {
+                            progress,
+                            status: 'in_progress',
+                            currentKeyword: data.keyword,
+                            phase: data.phase
                         });
                     },
-                    onProgress: (progress) => {
-                        this.emit('job_progress', {
-                            jobId: job.jobId,
-                            ...progress
+                    onUrlComplete: (data) => {
+                        urlStatuses[data.keyword] = urlStatuses[data.keyword] || {};
+                        urlStatuses[data.keyword][data.url] = data.status;
+                        if (CONFIG.enableResume) {
+                            checkpointStore.recordUrl(jobId, data.keyword, data.url, data.status, data.result);
+                        }
+                    },
+                    onKeywordComplete: async (data) => {
+                        logger.info(`Completed keyword: ${data.keyword} (${data.resultsCount} results)`);
+                        if (data.results) {
+                            allResults[data.keyword] = data.results;
+                            await resultStore.saveKeyword(jobId, data.keyword, data.results);
+                        }
+                        if (urlStatuses[data.keyword]) {
+                            const statuses = Object.entries(urlStatuses[data.keyword]).map(([url, status]) => ({ url, ...status }));
+                            await resultStore.saveUrlStatuses(jobId, data.keyword, statuses);
+                        }
+                        const progress = Math.floor(((data.index + 1) / data.total) * 100);
+                        this.emit('keyword_completed', {
+                            jobId,
+                            userId: job.userId,
+                            keyword: data.keyword,
+                            index: data.index,
+                            total: data.total,
+                            resultsCount: data.resultsCount,
+                            error: data.error,
+                            jobProgress: progress
                         });
+                        await db.update('jobs', { jobId }, {
+                            progress,
+                            resultCounts: resultStore.countByKeyword(allResults)
+                        });
+                        if (CONFIG.enableResume && !data.error) {
+                            await checkpointStore.completeKeyword(jobId, data.keyword, data.results);
+                        }
                     }
+                },
+                {
+                    resume: checkpoint ? checkpoint.keywords : null,
+                    maxPlacesPerKeyword: options.maxPlacesPerKeyword,
+                    scrollIdleTimeout: options.scrollIdleTimeout,
+                    headless: options.headless,
+                    fields: options.fields,
+                    maxReviews: options.maxReviews,
+                    reviewsSort: options.reviewsSort,
+                    aboutAttributes: options.aboutAttributes,
+                    profile: options.profile,
+                    enrichWebsites: options.enrichWebsites,
+                    language: options.language,
+                    region: options.region,
+                    searches: job.searches
                 }
             );
 
-            await this.handleJobComplete(job, results);
-        } catch (error) {
-            await this.handleJobError(job, error);
-        }
-    }
-
-    /**
-     * Handle job completion
-     * @param {Object} job - Completed job
-     * @param {Object} results - Job results
-     */
-    async handleJobComplete(job, results) {
-        // Remove from processing
-        this.processing.delete(job.jobId);
-
-        // Update job status
-        await redisCache.setJob(job.jobId, {
-            ...job,
-            status: 'completed',
-            completedAt: new Date().toISOString(),
-            totalPlaces: Object.values(results).reduce((sum, r) => sum + r.length, 0)
-        });
-
-        // If this is a batch job, update parent
-        if (job.parentJobId) {
-            await this.updateParentJob(job.parentJobId, job.jobId);
-        }
-
-        // Add to completed cache (LRU)
-        this.addToCompletedCache(job.jobId, job);
+            if (this.cancellationFlags.has(jobId)) {
+                // The keyword that was running when the job was cancelled is only in the returned results
+                await this.markCancelled(job, { ...processed, ...allResults }, urlStatuses);
+                return;
+            }
 
-        this.emit('job_completed', {
-            jobId: job.jobId,
-            keywords: job.keywords.length,
-            totalPlaces: Object.values(results).reduce((sum, r) => sum + r.length, 0)
-        });
+            // All keywords completed (places live in the result store, the job keeps counts)
+            await resultStore.save(jobId, allResults);
+            const totalPlaces = Object.values(allResults).reduce((sum, r) => sum + r.length, 0);
+            await db.update('jobs', { jobId }, {
+                status: 'completed',
+                progress: 100,
+                resultCounts: resultStore.countByKeyword(allResults),
+                totalPlaces,
+                completedAt: new Date().toISOString()
+            });
 
-        logger.info(`Job ${job.jobId} completed successfully`);
+            this.emit('job_completed', {
+                jobId,
+                userId: job.userId,
+                totalPlaces
+            });
 
-        // Process next job
-        this.processNext();
-    }
+            logger.info(`Job ${jobId} completed successfully`);
+        } catch (error) {
+            if (this.cancellationFlags.has(jobId)) {
+                await this.markCancelled(job, allResults, urlStatuses);
+                return;
+            }
 
-    /**
-     * Handle job error
-     * @param {Object} job - Failed job
-     * @param {Error} error - Error object
-     */
-    async handleJobError(job, error) {
-        // Remove from processing
-        this.processing.delete(job.jobId);
-
-        // Check if should retry
-        const retryCount = job.retryCount || 0;
-        const maxRetries = job.config?.maxRetries || 3;
-
-        if (retryCount < maxRetries) {
-            // Retry with exponential backoff
-            const retryDelay = Math.pow(2, retryCount) * 60000; // 1min, 2min, 4min
-            
-            logger.info(`Retrying job ${job.jobId} in ${retryDelay / 1000}s (attempt ${retryCount + 1}/${maxRetries})`);
-            
-            setTimeout(() => {
-                this.addJob({
-                    ...job,
-                    retryCount: retryCount + 1
-                }, 'high');  // Retry with high priority
-            }, retryDelay);
-        } else {
-            // Mark as failed
-            await redisCache.setJob(job.jobId, {
-                ...job,
+            logger.error(`Job ${jobId} failed`, { error: error.message });
+            await db.update('jobs', { jobId }, {
                 status: 'failed',
                 error: error.message,
-                completedAt: new Date().toISOString()
+                failedAt: new Date().toISOString()
             });
 
             this.emit('job_failed', {
-                jobId: job.jobId,
+                jobId,
+                userId: job.userId,
                 error: error.message
             });
-
-            logger.error(`Job ${job.jobId} failed after ${maxRetries} retries`);
+        } finally {
+            this.cancellationFlags.delete(jobId);
+            await checkpointStore.remove(jobId);
         }
-
-        // Process next job
-        this.processNext();
     }
 
     /**
-     * Update parent job when batch completes
-     * @param {String} parentJobId - Parent job ID
-     * @param {String} batchJobId - Completed batch job ID
+     * Store partial results and mark a running job as cancelled
+     * @param {Object} job - Job record
+     * @param {Object} results - Results collected before cancellation
+     * @param {Object} urlStatuses - Per-keyword URL statuses ({ [keyword]: { [url]: status } })
      */
-    async updateParentJob(parentJobId, batchJobId) {
-        const parentJob = await redisCache.getJob(parentJobId);
-        
-        if (parentJob) {
-            parentJob.completedBatches = (parentJob.completedBatches || 0) + 1;
-            
-            if (parentJob.completedBatches === parentJob.totalBatches) {
-                parentJob.status = 'completed';
-                parentJob.completedAt = new Date().toISOString();
-                
-                this.emit('parent_job_completed', {
-                    jobId: parentJobId,
-                    totalBatches: parentJob.totalBatches
-                });
-                
-                logger.info(`Parent job ${parentJobId} completed (all ${parentJob.totalBatches} batches done)`);
-            } else {
-                parentJob.status = 'processing';
-                logger.info(`Parent job ${parentJobId}: ${parentJob.completedBatches}/${parentJob.totalBatches} batches complete`);
-            }
-            
-            await redisCache.setJob(parentJobId, parentJob);
+    async markCancelled(job, results, urlStatuses = {}) {
+        await resultStore.save(job.jobId, results);
+        for (const [keyword, statuses] of Object.entries(urlStatuses)) {
+            await resultStore.saveUrlStatuses(job.jobId, keyword, Object.entries(statuses).map(([url, status]) => ({ url, ...status })));
         }
-    }
+        const totalPlaces = Object.values(results).reduce((sum, r) => sum + r.length, 0);
+        await db.update('jobs', { jobId: job.jobId }, {
+            status: 'cancelled',
+            resultCounts: resultStore.countByKeyword(results),
+            totalPlaces,
+            cancelledAt: new Date().toISOString()
+        });
 
-    /**
-     * Add job to completed cache with LRU eviction
-     * @param {String} jobId - Job ID
-     * @param {Object} job - Job data
-     */
-    addToCompletedCache(jobId, job) {
-        // Remove oldest if at capacity
-        if (this.completed.size >= this.maxCompletedCache) {
-            const firstKey = this.completed.keys().next().value;
-            this.completed.delete(firstKey);
-        }
-        
-        this.completed.set(jobId, {
-            ...job,
-            cachedAt: Date.now()
+        this.emit('job_cancelled', {
+            jobId: job.jobId,
+            userId: job.userId,
+            totalPlaces
         });
+
+        logger.info(`Job ${job.jobId} cancelled`);
     }
 
     /**
      * Cancel a job
+     * Queued jobs are removed immediately; running jobs stop at the next
+     * shouldCancel check and keep the results collected so far.
      * @param {String} jobId - Job ID to cancel
-     * @returns {Boolean} Success status
+     * @returns {Promise<String|null>} 'cancelled', 'cancelling' or null if not cancellable
      */
     async cancelJob(jobId) {
-        // Check if processing
         if (this.processing.has(jobId)) {
-            const job = this.processing.get(jobId);
-            job.cancelled = true;
-            
-            this.processing.delete(jobId);
-            await redisCache.setJob(jobId, {
-                ...job,
-                status: 'cancelled',
-                cancelledAt: new Date().toISOString()
-            });
-            
-            this.emit('job_cancelled', { jobId });
-            logger.info(`Job ${jobId} cancelled`);
-            
-            // Process next job
-            this.processNext();
-            return true;
+            this.cancellationFlags.set(jobId, true);
+            logger.info(`Cancellation requested for running job ${jobId}`);
+            return 'cancelling';
         }
-        
-        // Check if in queue
-        for (const priority of ['high', 'normal', 'low']) {
-            const index = this.queues[priority].findIndex(j => j.jobId === jobId);
+
+        for (const priority of PRIORITIES) {
+            const index = this.queues[priority].indexOf(jobId);
             if (index !== -1) {
                 this.queues[priority].splice(index, 1);
-                
-                await redisCache.setJob(jobId, {
+
+                const job = await db.update('jobs', { jobId }, {
                     status: 'cancelled',
                     cancelledAt: new Date().toISOString()
                 });
-                
-                this.emit('job_cancelled', { jobId });
+
+                this.emit('job_cancelled', { jobId, userId: job?.userId, totalPlaces: 0 });
                 logger.info(`Job ${jobId} removed from queue and cancelled`);
-                return true;
+                return 'cancelled';
             }
         }
-        
-        return false;
+
+        return null;
     }
 
     /**
@@ -422,23 +429,9 @@ class JobQueueManager extends EventEmitter {
                 total: this.queues.high.length + this.queues.normal.length + this.queues.low.length
             },
             processing: this.processing.size,
-            completed: this.completed.size,
             maxConcurrent: this.maxConcurrentJobs
         };
     }
-
-    /**
-     * Clear all queues
-     */
-    clearQueues() {
-        this.queues.high = [];
-        this.queues.normal = [];
-        this.queues.low = [];
-        this.processing.clear();
-        this.completed.clear();
-        
-        logger.info('All queues cleared');
-    }
 }
 
 // Export singleton instance
@@ -70,6 +70,17 @@ const logger = {
         winstonLogger.info(message, { ...context, level: 'success' });
     },
     
+    // Section header for console output
+    header: (message) => {
+        console.log(chalk.bold.cyan(message));
+        winstonLogger.info(message);
+    },
+    
+    // Visual separator line for console output
+    separator: () => {
+        console.log(chalk.gray('─'.repeat(60)));
+    },
+    
     // Progress method for overwriting console lines
     progress: (message) => {
         if (progressTimeout) {
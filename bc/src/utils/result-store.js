@@ -0,0 +1,408 @@
+/**
+ * Result Store
+ * Scraped places per job, kept out of db.json (one file per job)
+ * Reviews are a child collection keyed by place link; places keep only
+ * how many reviews were collected. URL statuses (as in <keyword>_urls.json)
+ * are kept per keyword. A place found by several keywords is stored under each
+ * of them and merged into one record (with all its keywords) when queried.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { atomicWriteJSON } = require('./file-operations');
+const { placeKeys } = require('../scraper/utils/maps-urls');
+
+const RESULTS_DIR = path.join(__dirname, '../database/results');
+
+// Sort keys for query(); numeric sorts put places without a value last
+const SORTS = {
+    rating: (place) => toNumber(place.rating),
+    reviews: (place) => toNumber(place.reviews),
+    name: (place) => (place.name || '').toLowerCase()
+};
+
+/**
+ * Numeric value of a scraped field ("4.5", "1,234", 4.5); null if missing
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return null;
+    const number = parseFloat(value.replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Identity of a stored place: its canonical key (CID / place ID), else its link
+ * (places stored before place IDs were recorded)
+ */
+function placeIdentity(place) {
+    return placeKeys(place)[0] || place.link;
+}
+
+/**
+ * Page order: sort value (missing values last), then identity, so every
+ * place has a fixed position that a page cursor can resume after
+ * @param {Object} a - { v, id } (see ResultStore.position)
+ * @param {Object} b - { v, id }
+ * @param {Object} filters - sort and order
+ */
+function comparePositions(a, b, filters) {
+    if (filters.sort) {
+        const order = filters.order || (filters.sort === 'name' ? 'asc' : 'desc');
+        const direction = order === 'asc' ? 1 : -1;
+        if (a.v === null) {
+            if (b.v !== null) return 1;
+        } else if (b.v === null) {
+            return -1;
+        } else if (a.v !== b.v) {
+            return a.v < b.v ? -direction : direction;
+        }
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'Not found';
+}
+
+/**
+ * Claim status of a place (places scraped before detection existed are 'unknown')
+ */
+function claimStatus(place) {
+    return typeof place.claimed === 'boolean' ? place.claimed : 'unknown';
+}
+
+/**
+ * Move scraped reviews (place.userReviews) out of the places
+ * @returns {Object} { places, reviews: { [link]: [...] } }
+ */
+function splitReviews(places) {
+    const reviews = {};
+    const stripped = (places || []).map(({ userReviews, ...place }) => {
+        if (!userReviews) return place;
+        reviews[place.link] = userReviews;
+        return { ...place, reviewsCollected: userReviews.length };
+    });
+    return { places: stripped, reviews };
+}
+
+class ResultStore {
+    constructor() {
+        this.writes = new Map();  // jobId -> last write promise (keeps writes ordered)
+    }
+
+    getPath(jobId) {
+        return path.join(RESULTS_DIR, `${jobId}.json`);
+    }
+
+    /**
+     * Load results for a job from disk
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Results keyed by keyword, or null if none stored
+     */
+    async load(jobId) {
+        const data = await this.read(jobId);
+        return data ? data.keywords : null;
+    }
+
+    /**
+     * Load the reviews collected for a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Reviews keyed by place link
+     */
+    async loadReviews(jobId) {
+        const data = await this.read(jobId);
+        return (data && data.reviews) || {};
+    }
+
+    /**
+     * Load the per-URL statuses of a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} { [keyword]: [{ url, status, ... }] }
+     */
+    async loadUrlStatuses(jobId) {
+        const data = await this.read(jobId);
+        return (data && data.urls) || {};
+    }
+
+    async read(jobId) {
+        // Don't read a file that is being replaced
+        await this.writes.get(jobId);
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.getPath(jobId), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Results for a job record (falls back to results stored inline in
+     * db.json by older versions)
+     * @param {Object} job - Job record
+     * @returns {Promise<Object>} Results keyed by keyword
+     */
+    async getResults(job) {
+        return (await this.load(job.jobId)) || job.results || {};
+    }
+
+    /**
+     * Store the results of one keyword (other keywords are kept)
+     */
+    async saveKeyword(jobId, keyword, places) {
+        const split = splitReviews(places);
+        await this.write(jobId, (data) => ({
+            keywords: { ...data.keywords, [keyword]: split.places },
+            reviews: { ...data.reviews, ...split.reviews }
+        }));
+    }
+
+    /**
+     * Store the URL statuses of one keyword
+     * @param {string} jobId - Job ID
+     * @param {string} keyword - Keyword
+     * @param {Array} statuses - [{ url, status, reason? }]
+     */
+    async saveUrlStatuses(jobId, keyword, statuses) {
+        await this.write(jobId, (data) => ({ urls: { ...data.urls, [keyword]: statuses } }));
+    }
+
+    /**
+     * Replace all results of a job (reviews already stored are kept)
+     */
+    async save(jobId, results) {
+        const keywords = {};
+        let reviews = {};
+        for (const [keyword, places] of Object.entries(results || {})) {
+            const split = splitReviews(places);
+            keywords[keyword] = split.places;
+            reviews = { ...reviews, ...split.reviews };
+        }
+        await this.write(jobId, (data) => ({ keywords, reviews: { ...data.reviews, ...reviews } }));
+    }
+
+    async write(jobId, update) {
+        const previous = this.writes.get(jobId) || Promise.resolve();
+        const write = previous.then(async () => {
+            let data = { keywords: {}, reviews: {}, urls: {} };
+            try {
+                const stored = JSON.parse(await fs.promises.readFile(this.getPath(jobId), 'utf8'));
+                data = { keywords: stored.keywords || {}, reviews: stored.reviews || {}, urls: stored.urls || {} };
+            } catch (error) {
+                // First write for this job
+            }
+
+            try {
+                await fs.promises.mkdir(RESULTS_DIR, { recursive: true });
+                await atomicWriteJSON(this.getPath(jobId), {
+                    jobId,
+                    updatedAt: new Date().toISOString(),
+                    ...data,
+                    ...update(data)
+                });
+            } catch (error) {
+                logger.error(`Failed to write results for job ${jobId}`, { error: error.message });
+                throw error;
+            }
+        });
+
+        const settled = write.catch(() => {});
+        this.writes.set(jobId, settled);
+        try {
+            await write;
+        } finally {
+            if (this.writes.get(jobId) === settled) {
+                this.writes.delete(jobId);
+            }
+        }
+    }
+
+    /**
+     * Number of places per keyword
+     * @param {Object} results - Results keyed by keyword
+     * @returns {Object} { [keyword]: count }
+     */
+    countByKeyword(results) {
+        const counts = {};
+        for (const [keyword, places] of Object.entries(results || {})) {
+            counts[keyword] = places.length;
+        }
+        return counts;
+    }
+
+    /**
+     * Flatten reviews with the place they belong to
+     * @param {Object} reviews - Reviews keyed by place link
+     * @param {Object} results - Results keyed by keyword (for place names)
+     * @param {string} link - Only reviews of this place
+     * @returns {Array} Reviews with placeLink and placeName
+     */
+    flattenReviews(reviews, results = {}, link = null) {
+        const names = {};
+        for (const places of Object.values(results || {})) {
+            places.forEach(place => { names[place.link] = place.name; });
+        }
+
+        const flat = [];
+        for (const [placeLink, list] of Object.entries(reviews || {})) {
+            if (link && placeLink !== link) continue;
+            list.forEach(review => flat.push({ placeLink, placeName: names[placeLink] || null, ...review }));
+        }
+        return flat;
+    }
+
+    /**
+     * Keywords that found each place, in keyword order
+     * @param {Object} results - Results keyed by keyword
+     * @returns {Map} place identity -> [keyword, ...]
+     */
+    keywordMemberships(results) {
+        const memberships = new Map();
+        for (const [keyword, places] of Object.entries(results || {})) {
+            places.forEach(place => {
+                const id = placeIdentity(place);
+                if (!memberships.has(id)) memberships.set(id, []);
+                if (!memberships.get(id).includes(keyword)) memberships.get(id).push(keyword);
+            });
+        }
+        return memberships;
+    }
+
+    /**
+     * Flatten, filter and sort results
+     * Each place is listed once, under the first keyword that found it, with
+     * every keyword that found it in `keywords`.
+     * @param {Object} results - Results keyed by keyword
+     * @param {Object} filters - Query filters
+     * @param {string} filters.keyword - Only places this keyword found
+     * @param {boolean} filters.hasPhone - Places with (true) or without (false) a phone number
+     * @param {number} filters.minRating - Minimum rating
+     * @param {string} filters.category - Case-insensitive substring of the category
+     * @param {string} filters.businessStatus - Case-insensitive exact business status
+     * @param {boolean|string} filters.claimed - true | false | 'unknown'
+     * @param {string} filters.sort - rating | reviews | name
+     * @param {string} filters.order - asc | desc (default: desc for numbers, asc for name)
+     * @returns {Array} Places with their keyword and keywords (keyword order without a sort)
+     */
+    query(results, filters = {}) {
+        const memberships = this.keywordMemberships(results);
+        const seen = new Set();
+        let places = [];
+        for (const [keyword, list] of Object.entries(results || {})) {
+            if (filters.keyword && keyword !== filters.keyword) continue;
+            list.forEach(place => {
+                const id = placeIdentity(place);
+                if (seen.has(id)) return;
+                seen.add(id);
+                places.push({ ...place, keyword, keywords: memberships.get(id) });
+            });
+        }
+
+        if (filters.hasPhone !== undefined) {
+            places = places.filter(place => hasValue(place.phone) === filters.hasPhone);
+        }
+
+        if (filters.minRating !== undefined) {
+            places = places.filter(place => {
+                const rating = toNumber(place.rating);
+                return rating !== null && rating >= filters.minRating;
+            });
+        }
+
+        if (filters.category) {
+            const category = filters.category.toLowerCase();
+            places = places.filter(place => hasValue(place.category) &&
+                String(place.category).toLowerCase().includes(category));
+        }
+
+        if (filters.businessStatus) {
+            const status = filters.businessStatus.toLowerCase();
+            places = places.filter(place => hasValue(place.businessStatus) &&
+                String(place.businessStatus).toLowerCase() === status);
+        }
+
+        if (filters.claimed !== undefined) {
+            places = places.filter(place => claimStatus(place) === filters.claimed);
+        }
+
+        if (filters.sort) {
+            places = this.inPageOrder(places, filters);
+        }
+
+        return places;
+    }
+
+    /**
+     * Sort places by their position (sort value, then identity)
+     */
+    inPageOrder(places, filters) {
+        return places
+            .map(place => ({ place, position: this.position(place, filters) }))
+            .sort((a, b) => comparePositions(a.position, b.position, filters))
+            .map(({ place }) => place);
+    }
+
+    /**
+     * Position of a place in query() order
+     * @param {Object} place - Place from query()
+     * @param {Object} filters - Query filters (sort)
+     * @returns {Object} { v: sort value or null, id: place identity }
+     */
+    position(place, filters = {}) {
+        const value = filters.sort ? SORTS[filters.sort](place) : null;
+        return { v: value === '' ? null : value, id: placeIdentity(place) };
+    }
+
+    /**
+     * One page of query() results, starting after a position
+     * Pages are ordered by sort value, then identity (identity only without a
+     * sort). Places added while a job runs land in their sorted place, so a page
+     * never repeats or skips places that were on earlier pages.
+     * @param {Array} places - query() results
+     * @param {Object} filters - The filters query() was called with
+     * @param {Object|null} after - Position of the last place of the previous page
+     * @param {number} limit - Page size
+     * @returns {Object} { page, next: position of the last place, or null on the last page }
+     */
+    pageAfter(places, filters, after, limit) {
+        places = filters.sort ? places : this.inPageOrder(places, filters);
+        let start = 0;
+        if (after) {
+            start = places.findIndex(place => comparePositions(this.position(place, filters), after, filters) > 0);
+            if (start === -1) start = places.length;
+        }
+        const page = places.slice(start, start + limit);
+        const more = start + page.length < places.length;
+        return { page, next: more ? this.position(page[page.length - 1], filters) : null };
+    }
+
+    /**
+     * Keep only places with the given claim status, per keyword (for exports)
+     * @param {Object} results - Results keyed by keyword
+     * @param {boolean|string} claimed - true | false | 'unknown'
+     * @returns {Object} Results keyed by keyword
+     */
+    filterByClaimed(results, claimed) {
+        const filtered = {};
+        for (const [keyword, places] of Object.entries(results || {})) {
+            filtered[keyword] = places.filter(place => claimStatus(place) === claimed);
+        }
+        return filtered;
+    }
+
+    /**
+     * Delete stored results for a job
+     */
+    async remove(jobId) {
+        await this.writes.get(jobId);
+        try {
+            await fs.promises.unlink(this.getPath(jobId));
+        } catch (error) {
+            // No results on disk
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ResultStore();
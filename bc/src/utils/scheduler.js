@@ -0,0 +1,161 @@
+/**
+ * Schedule Runner
+ * Enqueues scrape jobs for cron schedules stored in the JSON store
+ */
+
+const logger = require('./logger');
+const db = require('../database/json-db');
+const jobQueue = require('./job-queue-manager');
+const { parseCron, getNextRun } = require('./cron');
+const {
+    SCHEDULER_TICK_INTERVAL,
+    SCHEDULE_MISFIRE_GRACE,
+    SCHEDULE_HISTORY_LIMIT
+} = require('./constants');
+
+// Cap on missed occurrences counted after long downtime
+const MAX_MISSED_COUNT = 1000;
+
+class Scheduler {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+        this.initialized = false;
+    }
+
+    /**
+     * Catch up on runs missed while the server was down, then start ticking
+     */
+    async init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        await db.ready;
+        await this.tick();
+
+        this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_INTERVAL);
+        this.timer.unref();
+    }
+
+    /**
+     * Next run time for a schedule, as an ISO string
+     * @param {Object} schedule - { cron, timezone }
+     * @param {Date} after - Reference time
+     */
+    computeNextRun(schedule, after = new Date()) {
+        const next = getNextRun(parseCron(schedule.cron), after, schedule.timezone);
+        return next ? next.toISOString() : null;
+    }
+
+    /**
+     * Run every schedule that is due
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const now = new Date();
+            const schedules = await db.find('schedules', { active: true });
+
+            for (const schedule of schedules) {
+                if (schedule.nextRunAt && new Date(schedule.nextRunAt) <= now) {
+                    await this.runDue(schedule, now);
+                }
+            }
+        } catch (error) {
+            logger.error('Scheduler tick failed', { error: error.message });
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Handle a due schedule
+     * Occurrences that were missed (server down longer than
+     * SCHEDULE_MISFIRE_GRACE) are coalesced into a single run with
+     * catchUp 'once', or skipped with catchUp 'skip'.
+     */
+    async runDue(schedule, now) {
+        const cron = parseCron(schedule.cron);
+
+        // Find the most recent occurrence that is due
+        let latest = new Date(schedule.nextRunAt);
+        let dueCount = 1;
+        let next = getNextRun(cron, latest, schedule.timezone);
+        while (next && next <= now && dueCount < MAX_MISSED_COUNT) {
+            latest = next;
+            dueCount++;
+            next = getNextRun(cron, latest, schedule.timezone);
+        }
+
+        const missed = now - latest > SCHEDULE_MISFIRE_GRACE;
+        const entry = {
+            scheduledFor: latest.toISOString(),
+            triggeredAt: now.toISOString(),
+            missedRuns: missed ? dueCount : dueCount - 1
+        };
+
+        if (missed && schedule.catchUp === 'skip') {
+            entry.status = 'skipped';
+            entry.reason = 'Missed while server was down';
+        } else if (await this.isPreviousRunActive(schedule)) {
+            entry.status = 'skipped';
+            entry.reason = 'Previous run still active';
+        } else {
+            try {
+                const jobId = await this.enqueue(schedule);
+                entry.status = 'queued';
+                entry.jobId = jobId;
+                if (missed) {
+                    entry.reason = 'Catch-up run after downtime';
+                }
+            } catch (error) {
+                entry.status = 'failed';
+                entry.reason = error.message;
+            }
+        }
+
+        logger.info(`Schedule ${schedule.id}: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`);
+
+        await db.update('schedules', { id: schedule.id }, {
+            lastRunAt: now.toISOString(),
+            lastJobId: entry.jobId || schedule.lastJobId || null,
+            nextRunAt: this.computeNextRun(schedule, now),
+            history: [...(schedule.history || []), entry].slice(-SCHEDULE_HISTORY_LIMIT)
+        });
+    }
+
+    async isPreviousRunActive(schedule) {
+        if (!schedule.lastJobId) return false;
+        const job = await db.findOne('jobs', { jobId: schedule.lastJobId });
+        return !!job && ['queued', 'in_progress'].includes(job.status);
+    }
+
+    /**
+     * Enqueue a normal scrape job for a schedule
+     * @returns {Promise<string>} Job ID
+     */
+    async enqueue(schedule) {
+        const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await jobQueue.addJob({
+            jobId,
+            userId: schedule.userId,
+            keywords: schedule.keywords,
+            options: schedule.options,
+            scheduleId: schedule.id,
+            createdAt: new Date().toISOString()
+        });
+
+        return jobId;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Export singleton instance
+module.exports = new Scheduler();
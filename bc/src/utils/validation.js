@@ -3,7 +3,36 @@
  * Request validation and sanitization
  */
 
-const { ALLOWED_CONFIG_KEYS, MAX_WORKERS, MIN_WORKERS } = require('./constants');
+const {
+    ALLOWED_CONFIG_KEYS,
+    ALLOWED_JOB_OPTION_KEYS,
+    JOB_OPTION_LIMITS,
+    RESULT_FIELDS,
+    REVIEW_SORTS,
+    EXTRACTION_PROFILES,
+    LOCALES,
+    SEARCH_TYPES,
+    GRID_TILE_SIZE_METERS,
+    GRID_MIN_TILE_SIZE_METERS,
+    GRID_MAX_TILES,
+    GRID_MAX_BBOX_TILES,
+    RADIUS_MIN_METERS,
+    RADIUS_MAX_METERS,
+    PLACES_MAX_INPUTS,
+    MAX_WORKERS,
+    MIN_WORKERS
+} = require('./constants');
+const { polygonRings, ringsBbox, tileGrid, tileBbox, bboxIntersectsRings } = require('../scraper/utils/geo');
+const { resolvePlaceInput, parsePlaceCsv } = require('../scraper/utils/place-inputs');
+
+// Env var that overrides each JOB_OPTION_LIMITS entry
+const JOB_OPTION_LIMIT_ENV = {
+    dataWorkers: 'MAX_JOB_DATA_WORKERS',
+    linkWorkers: 'MAX_JOB_LINK_WORKERS',
+    maxPlacesPerKeyword: 'MAX_JOB_PLACES_PER_KEYWORD',
+    scrollIdleTimeout: 'MAX_JOB_SCROLL_IDLE_TIMEOUT',
+    maxReviews: 'MAX_JOB_REVIEWS'
+};
 
 /**
  * Sanitize keyword input to prevent injection attacks
@@ -44,14 +73,28 @@ function sanitizeKeywords(keywords) {
 function validateScrapeRequest(body) {
     const errors = [];
     
+    // Keywords may be omitted when structured searches are given
+    if (body.searches !== undefined) {
+        errors.push(...validateSearches(body.searches));
+    }
+    const searchCount = Array.isArray(body.searches) ? body.searches.length : 0;
+    
     if (!body.keywords) {
-        errors.push('keywords field is required');
+        if (searchCount === 0) {
+            errors.push('keywords field is required');
+        }
     } else if (!Array.isArray(body.keywords)) {
         errors.push('keywords must be an array');
-    } else if (body.keywords.length === 0) {
+    } else if (body.keywords.length === 0 && searchCount === 0) {
         errors.push('keywords array cannot be empty');
-    } else if (body.keywords.length > 500) {
+    } else if (body.keywords.length + searchCount > 500) {
         errors.push('Maximum 500 keywords allowed per request');
+    } else if (!body.keywords.every(keyword => typeof keyword === 'string' && keyword.trim())) {
+        errors.push('keywords must be non-empty strings');
+    }
+    
+    if (body.options !== undefined) {
+        errors.push(...validateJobOptions(body.options));
     }
     
     if (body.config) {
@@ -66,6 +109,216 @@ function validateScrapeRequest(body) {
     return errors;
 }
 
+/**
+ * [west, south, east, north] in degrees
+ */
+function isValidBbox(bbox) {
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) return false;
+    const [west, south, east, north] = bbox;
+    return west >= -180 && east <= 180 && south >= -90 && north <= 90 && west < east && south < north;
+}
+
+/**
+ * Rings with at least 3 valid [lng, lat] points
+ */
+function isValidRings(rings) {
+    return !!rings && rings.every(ring => Array.isArray(ring) && ring.length >= 3 &&
+        ring.every(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]) &&
+            Math.abs(point[0]) <= 180 && Math.abs(point[1]) <= 90));
+}
+
+/**
+ * Validate a grid search: { type: 'grid', category, bbox | polygon, tileSizeMeters }
+ */
+function validateGridSearch(search) {
+    const errors = [];
+    
+    if (typeof search.category !== 'string' || !search.category.trim()) {
+        errors.push('category is required');
+    }
+    
+    if ((search.bbox === undefined) === (search.polygon === undefined)) {
+        errors.push('bbox or polygon is required (not both)');
+        return errors;
+    }
+    
+    let bbox = search.bbox;
+    let rings = null;
+    if (search.bbox !== undefined && !isValidBbox(search.bbox)) {
+        errors.push('bbox must be [west, south, east, north] in degrees');
+    }
+    if (search.polygon !== undefined) {
+        rings = polygonRings(search.polygon);
+        if (!isValidRings(rings)) {
+            errors.push('polygon must be a GeoJSON Polygon or MultiPolygon (geometry, Feature or FeatureCollection)');
+            rings = null;
+        } else {
+            bbox = ringsBbox(rings);
+        }
+    }
+    
+    const tileSize = search.tileSizeMeters === undefined ? GRID_TILE_SIZE_METERS : search.tileSizeMeters;
+    if (!Number.isFinite(tileSize) || tileSize < GRID_MIN_TILE_SIZE_METERS) {
+        errors.push(`tileSizeMeters must be a number >= ${GRID_MIN_TILE_SIZE_METERS}`);
+    } else if (errors.length === 0) {
+        // Count before tiling: a large area at a small tile size would be billions of tiles
+        const { rows, cols } = tileGrid(bbox, tileSize);
+        const bboxTiles = rows * cols;
+        if (rings && bboxTiles > GRID_MAX_BBOX_TILES) {
+            errors.push(`polygon spans ${bboxTiles} tiles of ${tileSize} m (max ${GRID_MAX_BBOX_TILES}); use a larger tileSizeMeters or a smaller area`);
+        } else {
+            const tiles = rings ? tileBbox(bbox, tileSize).filter(tile => bboxIntersectsRings(tile, rings)).length : bboxTiles;
+            if (tiles > GRID_MAX_TILES) {
+                errors.push(`bbox needs ${tiles} tiles of ${tileSize} m (max ${GRID_MAX_TILES}); use a larger tileSizeMeters or a smaller area`);
+            }
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate a radius search: { type: 'radius', query, lat, lng, radiusMeters }
+ */
+function validateRadiusSearch(search) {
+    const errors = [];
+    
+    if (typeof search.query !== 'string' || !search.query.trim()) {
+        errors.push('query is required');
+    }
+    if (!Number.isFinite(search.lat) || Math.abs(search.lat) > 90) {
+        errors.push('lat must be a number between -90 and 90');
+    }
+    if (!Number.isFinite(search.lng) || Math.abs(search.lng) > 180) {
+        errors.push('lng must be a number between -180 and 180');
+    }
+    if (!Number.isFinite(search.radiusMeters) || search.radiusMeters < RADIUS_MIN_METERS || search.radiusMeters > RADIUS_MAX_METERS) {
+        errors.push(`radiusMeters must be a number between ${RADIUS_MIN_METERS} and ${RADIUS_MAX_METERS}`);
+    }
+    
+    return errors;
+}
+
+/**
+ * Raw inputs of a place list: places array plus the rows of csv
+ */
+function placeListInputs(search) {
+    const inputs = Array.isArray(search.places) ? [...search.places] : [];
+    if (typeof search.csv === 'string') {
+        inputs.push(...parsePlaceCsv(search.csv));
+    }
+    return inputs;
+}
+
+/**
+ * Validate a place list: { type: 'places', places: [url | cid | placeId], csv }
+ */
+function validatePlacesSearch(search) {
+    const errors = [];
+    
+    if (search.places !== undefined && !Array.isArray(search.places)) {
+        errors.push('places must be an array');
+    }
+    if (search.csv !== undefined && typeof search.csv !== 'string') {
+        errors.push('csv must be a string');
+    }
+    if (errors.length > 0) return errors;
+    
+    const inputs = placeListInputs(search);
+    if (inputs.length === 0) {
+        errors.push('places or csv with at least one place URL, CID or place ID is required');
+    } else if (inputs.length > PLACES_MAX_INPUTS) {
+        errors.push(`at most ${PLACES_MAX_INPUTS} places are allowed per list`);
+    } else {
+        const invalid = inputs.filter(input => !resolvePlaceInput(input));
+        if (invalid.length > 0) {
+            const shown = invalid.slice(0, 5).map(input => `"${String(input).slice(0, 80)}"`).join(', ');
+            errors.push(`places: ${invalid.length} input(s) are not a place URL, CID or place ID: ${shown}`);
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate structured searches (POST /api/scrape "searches")
+ */
+function validateSearches(searches) {
+    if (!Array.isArray(searches)) {
+        return ['searches must be an array'];
+    }
+    
+    const errors = [];
+    searches.forEach((search, index) => {
+        const prefix = `searches[${index}]`;
+        if (typeof search !== 'object' || search === null || Array.isArray(search)) {
+            errors.push(`${prefix} must be an object`);
+            return;
+        }
+        if (!SEARCH_TYPES.includes(search.type)) {
+            errors.push(`${prefix}.type must be one of: ${SEARCH_TYPES.join(', ')}`);
+            return;
+        }
+        if (search.label !== undefined && (typeof search.label !== 'string' || !search.label.trim())) {
+            errors.push(`${prefix}.label must be a non-empty string`);
+        }
+        const validators = { grid: validateGridSearch, radius: validateRadiusSearch, places: validatePlacesSearch };
+        const searchErrors = validators[search.type](search);
+        errors.push(...searchErrors.map(error => `${prefix}.${error}`));
+    });
+    
+    return errors;
+}
+
+/**
+ * Normalize structured searches (call validateSearches first)
+ * Each search gets a unique label, used as its keyword for progress, results and exports.
+ * @param {Array} searches - Validated searches
+ * @param {Array<string>} keywords - Plain keywords of the same request (labels must not collide)
+ * @returns {Array} [{ type, label, ... }]
+ */
+function sanitizeSearches(searches = [], keywords = []) {
+    const used = new Set(keywords);
+    
+    return searches.map(search => {
+        const sanitized = { type: search.type };
+        
+        if (search.type === 'grid') {
+            const rings = search.polygon !== undefined ? polygonRings(search.polygon) : null;
+            sanitized.category = sanitizeKeyword(search.category);
+            sanitized.bbox = rings ? ringsBbox(rings) : [...search.bbox];
+            sanitized.polygon = rings;
+            sanitized.tileSizeMeters = search.tileSizeMeters || GRID_TILE_SIZE_METERS;
+        } else if (search.type === 'radius') {
+            sanitized.query = sanitizeKeyword(search.query);
+            sanitized.lat = search.lat;
+            sanitized.lng = search.lng;
+            sanitized.radiusMeters = Math.round(search.radiusMeters);
+        } else if (search.type === 'places') {
+            // One entry per place page; the input is kept for per-URL status reports
+            const byUrl = new Map();
+            placeListInputs(search).map(resolvePlaceInput).forEach(place => {
+                if (!byUrl.has(place.url)) byUrl.set(place.url, place);
+            });
+            sanitized.places = [...byUrl.values()];
+        }
+        
+        const defaultLabels = {
+            grid: `${sanitized.category} (grid)`,
+            radius: `${sanitized.query} (radius)`,
+            places: 'place list'
+        };
+        const base = search.label ? sanitizeKeyword(search.label) : defaultLabels[search.type];
+        let label = base;
+        for (let n = 2; used.has(label); n++) {
+            label = `${base} #${n}`;
+        }
+        used.add(label);
+        
+        return { label, ...sanitized };
+    });
+}
+
 /**
  * Validate configuration updates
  */
@@ -141,6 +394,137 @@ function sanitizeConfig(config) {
     return sanitized;
 }
 
+/**
+ * Server limits for per-job options
+ */
+function getJobOptionLimits() {
+    const limits = { ...JOB_OPTION_LIMITS };
+    for (const [key, envVar] of Object.entries(JOB_OPTION_LIMIT_ENV)) {
+        const value = parseInt(process.env[envVar]);
+        if (!isNaN(value) && value >= 1) {
+            limits[key] = value;
+        }
+    }
+    limits.allowHeadful = process.env.ALLOW_HEADFUL_JOBS === 'true';
+    return limits;
+}
+
+/**
+ * Validate per-job scrape options
+ * Values above the server limits are not errors; sanitizeJobOptions clamps them
+ */
+function validateJobOptions(options) {
+    const errors = [];
+    
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        return ['options must be an object'];
+    }
+    
+    // Check for unknown keys
+    const unknownKeys = Object.keys(options).filter(key => !ALLOWED_JOB_OPTION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        errors.push(`Unknown options: ${unknownKeys.join(', ')}`);
+    }
+    
+    // Validate positive integers
+    for (const field of ['dataWorkers', 'linkWorkers', 'maxPlacesPerKeyword', 'scrollIdleTimeout', 'maxReviews']) {
+        if (options[field] !== undefined) {
+            const value = options[field];
+            if (!Number.isInteger(value) || value < 1) {
+                errors.push(`${field} must be a positive integer`);
+            }
+        }
+    }
+    
+    for (const field of ['headless', 'aboutAttributes', 'enrichWebsites']) {
+        if (options[field] !== undefined && typeof options[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        }
+    }
+    
+    if (options.reviewsSort !== undefined && !REVIEW_SORTS.includes(options.reviewsSort)) {
+        errors.push(`reviewsSort must be one of: ${REVIEW_SORTS.join(', ')}`);
+    }
+    
+    if (options.profile !== undefined && !EXTRACTION_PROFILES.includes(options.profile)) {
+        errors.push(`profile must be one of: ${EXTRACTION_PROFILES.join(', ')}`);
+    }
+    
+    // Interface language (hl): "es", "es-419", "pt-BR" with a locale pack for the base language
+    if (options.language !== undefined) {
+        const match = typeof options.language === 'string' && options.language.match(/^([a-z]{2})(?:-[a-z0-9]{2,4})?$/i);
+        if (!match || !LOCALES.includes(match[1].toLowerCase())) {
+            errors.push(`language must be one of: ${LOCALES.join(', ')} (optionally with a region subtag, e.g. es-419)`);
+        }
+    }
+    
+    // Region (gl): ISO 3166-1 alpha-2 country code
+    if (options.region !== undefined && (typeof options.region !== 'string' || !/^[a-z]{2}$/i.test(options.region))) {
+        errors.push('region must be a two-letter country code (e.g. in, mx)');
+    }
+    
+    if (options.fields !== undefined) {
+        if (!Array.isArray(options.fields) || options.fields.length === 0) {
+            errors.push('fields must be a non-empty array');
+        } else {
+            const unknownFields = options.fields.filter(field => !RESULT_FIELDS.includes(field));
+            if (unknownFields.length > 0) {
+                errors.push(`Unknown fields: ${unknownFields.join(', ')}. Allowed: ${RESULT_FIELDS.join(', ')}`);
+            }
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Sanitize per-job scrape options (call validateJobOptions first)
+ * Drops unknown keys and clamps numbers to the server limits
+ */
+function sanitizeJobOptions(options = {}) {
+    const limits = getJobOptionLimits();
+    const sanitized = {};
+    
+    for (const key of ALLOWED_JOB_OPTION_KEYS) {
+        if (options[key] === undefined) continue;
+        
+        if (limits[key] !== undefined) {
+            sanitized[key] = Math.min(Math.max(parseInt(options[key]), 1), limits[key]);
+        } else {
+            sanitized[key] = options[key];
+        }
+    }
+    
+    // Visible browsers only when the server allows them
+    if (sanitized.headless === false && !limits.allowHeadful) {
+        sanitized.headless = true;
+    }
+    
+    if (sanitized.fields) {
+        sanitized.fields = [...new Set(sanitized.fields)];
+    }
+    
+    // "ES-mx" -> "es-MX", "IN" -> "in"
+    if (sanitized.language) {
+        const [base, subtag] = sanitized.language.split('-');
+        sanitized.language = subtag ? `${base.toLowerCase()}-${subtag.length === 2 ? subtag.toUpperCase() : subtag}` : base.toLowerCase();
+    }
+    if (sanitized.region) {
+        sanitized.region = sanitized.region.toLowerCase();
+    }
+    
+    return sanitized;
+}
+
+/**
+ * Parse a claimed=true|false|unknown query value
+ * @returns {boolean|string|undefined} undefined if the value is invalid
+ */
+function parseClaimedFilter(value) {
+    const map = { true: true, false: false, unknown: 'unknown' };
+    return Object.prototype.hasOwnProperty.call(map, value) ? map[value] : undefined;
+}
+
 /**
  * Validate pagination parameters
  */
@@ -158,7 +542,13 @@ module.exports = {
     validateScrapeRequest,
     validateConfig,
     sanitizeConfig,
+    validateJobOptions,
+    sanitizeJobOptions,
+    validateSearches,
+    sanitizeSearches,
+    getJobOptionLimits,
     validatePagination,
+    parseClaimedFilter,
     sanitizeKeyword,
     sanitizeKeywords
 };
@@ -0,0 +1,318 @@
+/**
+ * Webhook Dispatcher
+ * Delivers signed job lifecycle events to user-registered URLs with retries
+ * and keeps a per-delivery log in the JSON store
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const db = require('../database/json-db');
+const jobQueue = require('./job-queue-manager');
+const {
+    WEBHOOK_EVENTS,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_DELAY,
+    WEBHOOK_TIMEOUT,
+    WEBHOOK_DELIVERY_RETENTION
+} = require('./constants');
+
+class WebhookDispatcher {
+    constructor() {
+        this.retryTimers = new Map();  // deliveryId -> pending retry timeout
+        this.initialized = false;
+    }
+
+    /**
+     * Subscribe to queue events and reschedule deliveries that were still
+     * waiting for a retry when the server stopped
+     */
+    async init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        jobQueue.on('job_started', (data) => this.dispatch('job.started', data.jobId, data.userId, {
+            keywords: data.keywords
+        }));
+
+        jobQueue.on('keyword_completed', (data) => this.dispatch('keyword.completed', data.jobId, data.userId, {
+            keyword: data.keyword,
+            index: data.index,
+            total: data.total,
+            resultsCount: data.resultsCount,
+            error: data.error || null,
+            progress: data.jobProgress
+        }));
+
+        jobQueue.on('job_completed', (data) => this.dispatch('job.completed', data.jobId, data.userId, {
+            status: 'completed',
+            totalPlaces: data.totalPlaces
+        }));
+
+        jobQueue.on('job_failed', (data) => this.dispatch('job.failed', data.jobId, data.userId, {
+            status: 'failed',
+            error: data.error
+        }));
+
+        await db.ready;
+        const pending = await db.find('webhook_deliveries', { status: 'pending' });
+        pending.forEach(delivery => this.scheduleAttempt(delivery.id, delivery.nextRetryAt));
+        if (pending.length > 0) {
+            logger.info(`Rescheduled ${pending.length} pending webhook deliver${pending.length === 1 ? 'y' : 'ies'}`);
+        }
+    }
+
+    /**
+     * Generate a signing secret for a new webhook
+     */
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * HMAC-SHA256 signature over "<timestamp>.<body>"
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+     * @param {string} body - Raw JSON body
+     * @returns {string} Hex digest
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Webhooks that should receive an event: the user's account-wide hooks
+     * plus hooks registered for this specific job
+     */
+    async getSubscribers(event, jobId, userId) {
+        const webhooks = await db.find('webhooks', { userId, active: true });
+        return webhooks.filter(webhook =>
+            (!webhook.jobId || webhook.jobId === jobId) && webhook.events.includes(event)
+        );
+    }
+
+    /**
+     * Create deliveries for an event and attempt them right away
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {string} jobId - Job the event belongs to
+     * @param {string} userId - Job owner
+     * @param {Object} data - Event payload
+     */
+    async dispatch(event, jobId, userId, data) {
+        try {
+            const webhooks = await this.getSubscribers(event, jobId, userId);
+
+            for (const webhook of webhooks) {
+                const delivery = await db.insert('webhook_deliveries', {
+                    webhookId: webhook.id,
+                    userId,
+                    jobId,
+                    event,
+                    url: webhook.url,
+                    payload: {
+                        event,
+                        jobId,
+                        timestamp: new Date().toISOString(),
+                        data: { jobId, ...data }
+                    },
+                    status: 'pending',
+                    attempts: 0,
+                    createdAt: new Date().toISOString()
+                });
+
+                this.startAttempt(delivery.id);
+            }
+
+            if (webhooks.length > 0) {
+                await this.pruneDeliveries(userId);
+            }
+        } catch (error) {
+            logger.error(`Failed to dispatch ${event} webhooks for job ${jobId}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Send a delivery once; schedules the next attempt on failure
+     * @param {string} deliveryId - Delivery ID
+     */
+    async attempt(deliveryId) {
+        this.retryTimers.delete(deliveryId);
+
+        const delivery = await db.findOne('webhook_deliveries', { id: deliveryId });
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const webhook = await db.findOne('webhooks', { id: delivery.webhookId });
+        if (!webhook) {
+            await db.update('webhook_deliveries', { id: deliveryId }, {
+                status: 'failed',
+                error: 'Webhook was deleted',
+                nextRetryAt: null
+            });
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'GoogleMapsScraper-Webhook/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+            });
+            responseStatus = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT}ms` : err.message;
+        }
+
+        const updates = {
+            attempts,
+            responseStatus,
+            error,
+            lastAttemptAt: new Date().toISOString()
+        };
+
+        if (!error) {
+            updates.status = 'success';
+            updates.deliveredAt = updates.lastAttemptAt;
+            updates.nextRetryAt = null;
+        } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            updates.status = 'failed';
+            updates.nextRetryAt = null;
+            logger.warn(`Webhook delivery ${deliveryId} failed after ${attempts} attempts: ${error}`);
+        } else {
+            // Exponential backoff: 5s, 10s, 20s, 40s...
+            const delay = WEBHOOK_RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+            updates.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        }
+
+        await db.update('webhook_deliveries', { id: deliveryId }, updates);
+
+        if (updates.nextRetryAt) {
+            this.scheduleAttempt(deliveryId, updates.nextRetryAt);
+        }
+    }
+
+    /**
+     * Run an attempt in the background; its errors are logged, never thrown
+     */
+    startAttempt(deliveryId) {
+        this.attempt(deliveryId).catch(error => {
+            logger.error(`Webhook delivery ${deliveryId} errored`, { error: error.message });
+        });
+    }
+
+    scheduleAttempt(deliveryId, at) {
+        clearTimeout(this.retryTimers.get(deliveryId));
+        const delay = Math.max(0, new Date(at || 0).getTime() - Date.now());
+        const timer = setTimeout(() => this.startAttempt(deliveryId), delay);
+        timer.unref();
+        this.retryTimers.set(deliveryId, timer);
+    }
+
+    /**
+     * Queue a logged delivery to be sent again with a fresh attempt budget
+     * @param {Object} delivery - Delivery record
+     * @returns {Promise<Object>} New delivery record
+     */
+    async redeliver(delivery) {
+        const redelivery = await db.insert('webhook_deliveries', {
+            webhookId: delivery.webhookId,
+            userId: delivery.userId,
+            jobId: delivery.jobId,
+            event: delivery.event,
+            url: delivery.url,
+            payload: delivery.payload,
+            redeliveryOf: delivery.id,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        });
+
+        this.startAttempt(redelivery.id);
+        return redelivery;
+    }
+
+    /**
+     * Drop the oldest log entries beyond WEBHOOK_DELIVERY_RETENTION per user
+     */
+    async pruneDeliveries(userId) {
+        const deliveries = await db.find('webhook_deliveries', { userId });
+        const excess = deliveries.length - WEBHOOK_DELIVERY_RETENTION;
+
+        for (const delivery of deliveries.slice(0, Math.max(0, excess))) {
+            if (delivery.status !== 'pending') {
+                await db.delete('webhook_deliveries', { id: delivery.id });
+            }
+        }
+    }
+
+    /**
+     * Validate a webhook registration
+     * @param {Object} input - { url, events }
+     * @returns {string|null} Error message or null when valid
+     */
+    validateWebhook(input) {
+        if (!input || typeof input.url !== 'string') {
+            return 'Webhook url is required';
+        }
+
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            return `Invalid webhook url: ${input.url}`;
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'Webhook url must use http or https';
+        }
+
+        if (input.events !== undefined) {
+            if (!Array.isArray(input.events) || input.events.length === 0) {
+                return 'Webhook events must be a non-empty array';
+            }
+            const unknown = input.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                return `Unknown webhook event(s): ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Store a webhook (call validateWebhook first)
+     * @param {string} userId - Owner
+     * @param {Object} input - { url, events } (events default to all)
+     * @param {string|null} jobId - Limit the webhook to one job
+     * @returns {Promise<Object>} Webhook record including its secret
+     */
+    async createWebhook(userId, input, jobId = null) {
+        return db.insert('webhooks', {
+            userId,
+            url: input.url,
+            events: input.events || [...WEBHOOK_EVENTS],
+            jobId,
+            secret: this.generateSecret(),
+            active: true,
+            createdAt: new Date().toISOString()
+        });
+    }
+}
+
+// Export singleton instance
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,54 @@
+/**
+ * Extraction regression tests against the saved page fixtures
+ * Run: npm run test:extraction (update goldens: npm run test:update-goldens)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fixtures, launchBrowser, openFixturePage, assertGolden } = require('./harness');
+const { extractOutletDetails } = require('../src/scraper/extractors/details-extractor');
+const { extractBusinessPhone } = require('../src/scraper/extractors/phone-extractor');
+const { scrapePlaceInTab } = require('../src/scraper/core/data-scraper');
+const { extractPlaceLinksStreaming } = require('../src/scraper/core/link-extractor');
+
+describe('extraction fixtures', () => {
+    let browser;
+    let page;
+
+    before(async () => {
+        browser = await launchBrowser();
+        page = await openFixturePage(browser);
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+    });
+
+    for (const [name, place] of Object.entries(fixtures.places)) {
+        describe(`place: ${name}`, () => {
+            it('extractOutletDetails', async () => {
+                await page.goto(place.url, { waitUntil: 'domcontentloaded' });
+                assertGolden(`details/${name}`, await extractOutletDetails(page));
+            });
+
+            it('extractBusinessPhone', async () => {
+                await page.goto(place.url, { waitUntil: 'domcontentloaded' });
+                assertGolden(`phones/${name}`, await extractBusinessPhone(page));
+            });
+
+            it('scrapePlaceInTab', async () => {
+                const result = await scrapePlaceInTab(page, place.url, 0, 1);
+                assert.ok(!result.error, `scrapePlaceInTab failed: ${result.error} ${result.message || ''}`);
+                assertGolden(`places/${name}`, result);
+            });
+        });
+    }
+
+    for (const keyword of Object.keys(fixtures.search)) {
+        it(`extractPlaceLinksStreaming: ${keyword}`, async () => {
+            const batches = [];
+            const total = await extractPlaceLinksStreaming(page, keyword, links => batches.push(links));
+            assertGolden(`search/${keyword.replace(/\s+/g, '-')}`, { total, links: batches.flat() });
+        });
+    }
+});
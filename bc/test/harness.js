@@ -0,0 +1,101 @@
+/**
+ * Offline extraction harness
+ * Serves the saved Google Maps pages in test/fixtures to a local headless Chromium
+ * through request interception (every other request is aborted), and compares
+ * extractor output with the JSON goldens in test/goldens.
+ *
+ * Update the goldens after an intended change: npm run test:update-goldens
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert');
+const puppeteer = require('puppeteer');
+const { getMapsBaseUrls } = require('../src/scraper/utils/maps-urls');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDENS_DIR = path.join(__dirname, 'goldens');
+const SEARCH_PREFIX = getMapsBaseUrls().search;
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'index.json'), 'utf-8'));
+const updateGoldens = process.argv.includes('--update-goldens') || process.env.UPDATE_GOLDENS === '1';
+
+/**
+ * Fixture file for a URL the scraper navigates to
+ * @param {string} url - Requested URL
+ * @returns {string|null} Absolute fixture path
+ */
+function resolveFixture(url) {
+    if (url.startsWith(SEARCH_PREFIX)) {
+        const keyword = decodeURIComponent(url.slice(SEARCH_PREFIX.length).split(/[/?#]/)[0]);
+        const entry = fixtures.search[keyword];
+        return entry ? path.join(FIXTURES_DIR, entry.file) : null;
+    }
+
+    const place = Object.values(fixtures.places).find(entry => entry.url === url.split('#')[0]);
+    return place ? path.join(FIXTURES_DIR, place.file) : null;
+}
+
+/**
+ * @returns {Promise<Browser>} Headless Chromium
+ */
+async function launchBrowser() {
+    return puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+}
+
+/**
+ * New page that only ever sees fixtures
+ * @param {Browser} browser - Browser from launchBrowser
+ * @returns {Promise<Page>}
+ */
+async function openFixturePage(browser) {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 400, height: 1000 });
+    await page.setRequestInterception(true);
+
+    page.on('request', request => {
+        const file = resolveFixture(request.url());
+        if (!file) {
+            request.abort();
+            return;
+        }
+        request.respond({
+            status: 200,
+            contentType: 'text/html; charset=utf-8',
+            body: fs.readFileSync(file)
+        });
+    });
+
+    return page;
+}
+
+/**
+ * Compare with a golden (or write it with --update-goldens / when it does not exist yet)
+ * Missing goldens fail under CI so they are never recorded silently there.
+ * @param {string} name - Golden path without extension (e.g. "places/hotel")
+ * @param {*} actual - Extractor output
+ */
+function assertGolden(name, actual) {
+    const file = path.join(GOLDENS_DIR, `${name}.json`);
+    const value = JSON.parse(JSON.stringify(actual));
+
+    if (updateGoldens || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `Golden ${name}.json is missing, run: npm run test:update-goldens`);
+    const expected = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepStrictEqual(value, expected, `Output differs from golden ${name}.json (intended? run: npm run test:update-goldens)`);
+}
+
+module.exports = {
+    fixtures,
+    launchBrowser,
+    openFixturePage,
+    assertGolden
+};
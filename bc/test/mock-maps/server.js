@@ -0,0 +1,180 @@
+/**
+ * Mock Google Maps server
+ * Serves a scrollable results feed and the saved place pages in test/fixtures, so the
+ * whole two-browser pipeline can run offline. Point the scraper at it with:
+ *
+ *   MAPS_SEARCH_BASE_URL=http://127.0.0.1:4010/maps/search/
+ *   MAPS_PLACE_BASE_URL=http://127.0.0.1:4010/maps/place/
+ *
+ * Scenarios:
+ *   /maps/search/<keyword>         feed of every place fixture (2 per scroll, then end of list)
+ *   /maps/search/<...edge cases>   same feed plus the slow, broken and captcha places below
+ *                                  (each with its own feature ID, so they are separate places)
+ *   /maps/search/<...captcha...>   CAPTCHA page instead of results
+ *   /maps/search/<...broken...>    500 error
+ *   /maps/place/<fixture>/...      saved place page
+ *   /maps/place/slow-<fixture>/... saved place page after SLOW_DELAY_MS
+ *   /maps/place/broken/...         page without the place panel
+ *   /maps/place/captcha/...        place page behind a reCAPTCHA interstitial
+ *
+ * Run standalone: npm run mock-maps (PORT defaults to 4010)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+const PAGE_SIZE = 2;
+const SCENARIO_PLACES = ['slow-restaurant', 'broken', 'captcha'];
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'index.json'), 'utf-8'));
+
+const CAPTCHA_PAGE = `<!DOCTYPE html>
+<html><head><title>Google Maps</title></head>
+<body>
+<form id="captcha-form" action="/sorry/index" method="post">
+  <div class="g-recaptcha" data-sitekey="mock"></div>
+  <p>Our systems have detected unusual traffic from your computer network. Please verify you are not a robot.</p>
+</form>
+</body></html>`;
+
+const BROKEN_PAGE = `<!DOCTYPE html>
+<html><head><title>Google Maps</title></head>
+<body><div id="QA0Szd"><div class="m6QErb">`;
+
+/**
+ * "@lat,lng,17z/data=..." part of a fixture's Maps URL
+ * @param {string} name - Fixture name
+ * @param {number} variant - Non-zero for scenario places served from a fixture: the
+ *   feature ID is replaced so the scraper does not treat them as the fixture place
+ */
+function placeSuffix(name, variant = 0) {
+    const url = fixtures.places[name].url;
+    const suffix = url.slice(url.indexOf('/@') + 1);
+    return variant ? suffix.replace(/!1s0x[0-9a-f]+:0x[0-9a-f]+/i, `!1s0x0:0x${variant.toString(16)}`) : suffix;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Results feed that reveals PAGE_SIZE more places on each scroll, then the end-of-list span
+ * @param {string} keyword - Search keyword
+ * @param {Array<Object>} places - [{ label, href }]
+ */
+function renderSearchPage(keyword, places) {
+    const item = place => `<div class="Nv2PK"><a class="hfpxzc" aria-label="${escapeHtml(place.label)}" href="${escapeHtml(place.href)}"></a></div>`;
+    const first = places.slice(0, PAGE_SIZE).map(item).join('\n    ');
+    const rest = places.slice(PAGE_SIZE).map(item);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(keyword)} - Google Maps</title>
+<style>
+  div[role="feed"] { height: 400px; overflow-y: scroll; }
+  .Nv2PK { height: 300px; }
+</style>
+</head>
+<body>
+<div id="QA0Szd">
+  <div class="m6QErb" role="feed" aria-label="Results for ${escapeHtml(keyword)}">
+    ${first}
+  </div>
+</div>
+<script>
+  var feed = document.querySelector('div[role="feed"]');
+  var pending = ${JSON.stringify(rest)};
+  var ended = false;
+  feed.addEventListener('scroll', function () {
+    if (ended) return;
+    pending.splice(0, ${PAGE_SIZE}).forEach(function (html) {
+      feed.insertAdjacentHTML('beforeend', html);
+    });
+    if (pending.length === 0) {
+      ended = true;
+      feed.insertAdjacentHTML('beforeend', '<p class="fontBodyMedium"><span><span class="HlvSq">You\\'ve reached the end of the list.</span></span></p>');
+    }
+  });
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.slowDelay - Delay for slow-* places (ms, default SLOW_DELAY_MS or 3000)
+ * @returns {http.Server} Call .listen(port) to start
+ */
+function createMockMapsServer(options = {}) {
+    const slowDelay = options.slowDelay ?? parseInt(process.env.SLOW_DELAY_MS || '3000', 10);
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(body);
+    };
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const origin = `http://${req.headers.host}`;
+        const [, section, kind, slug] = url.pathname.split('/');
+
+        if (section !== 'maps') {
+            return send(res, 404, 'Not found');
+        }
+
+        if (kind === 'search') {
+            const keyword = decodeURIComponent(slug || '').toLowerCase();
+            if (keyword.includes('captcha')) return send(res, 200, CAPTCHA_PAGE);
+            if (keyword.includes('broken')) return send(res, 500, '<h1>Server Error</h1>');
+
+            const names = Object.keys(fixtures.places);
+            if (keyword.includes('edge cases')) names.push(...SCENARIO_PLACES);
+
+            const places = names.map((name, index) => {
+                const isFixture = !!fixtures.places[name];
+                const fixture = isFixture ? name : Object.keys(fixtures.places)[0];
+                return { label: name, href: `${origin}/maps/place/${name}/${placeSuffix(fixture, isFixture ? 0 : index + 1)}` };
+            });
+            return send(res, 200, renderSearchPage(keyword, places));
+        }
+
+        if (kind === 'place') {
+            if (slug === 'broken') return send(res, 200, BROKEN_PAGE);
+
+            let name = slug;
+            if (name.startsWith('slow-')) {
+                name = name.slice(5);
+                await new Promise(resolve => setTimeout(resolve, slowDelay));
+            }
+
+            const fixture = fixtures.places[name === 'captcha' ? Object.keys(fixtures.places)[0] : name];
+            if (!fixture) return send(res, 404, 'Not found');
+
+            let html = fs.readFileSync(path.join(FIXTURES_DIR, fixture.file), 'utf-8');
+            if (name === 'captcha') {
+                html = html.replace('</body>', `<iframe title="reCAPTCHA" src="about:blank" class="g-recaptcha"></iframe>\n</body>`);
+            }
+            return send(res, 200, html);
+        }
+
+        return send(res, 404, 'Not found');
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '4010', 10);
+    createMockMapsServer().listen(port, () => {
+        console.log(`Mock Google Maps server on http://127.0.0.1:${port}`);
+        console.log(`  MAPS_SEARCH_BASE_URL=http://127.0.0.1:${port}/maps/search/`);
+        console.log(`  MAPS_PLACE_BASE_URL=http://127.0.0.1:${port}/maps/place/`);
+    });
+}
+
+module.exports = {
+    createMockMapsServer,
+    renderSearchPage
+};
@@ -0,0 +1,115 @@
+/**
+ * End-to-end pipeline test: processKeywords (both browsers) against the mock Maps server
+ * Run: npm run test:e2e
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createMockMapsServer } = require('./mock-maps/server');
+
+describe('processKeywords against the mock Maps server', () => {
+    let server;
+    let processKeywords;
+
+    before(async () => {
+        server = createMockMapsServer({ slowDelay: 2000 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const origin = `http://127.0.0.1:${server.address().port}`;
+
+        process.env.MAPS_SEARCH_BASE_URL = `${origin}/maps/search/`;
+        process.env.MAPS_PLACE_BASE_URL = `${origin}/maps/place/`;
+        process.env.SAVE_LOCAL_FILES = 'false';
+        ({ processKeywords } = require('../src/scraper/core/processor'));
+    });
+
+    after(() => {
+        if (server) server.close();
+    });
+
+    it('scrapes places and reports slow, broken and CAPTCHA pages', { timeout: 300000 }, async () => {
+        const statuses = {};
+        const completed = {};
+
+        const results = await processKeywords(['restaurants edge cases', 'captcha wall'], 2, 1, {
+            onUrlComplete: ({ url, status }) => {
+                statuses[new URL(url).pathname.split('/')[3]] = status;
+            },
+            onKeywordComplete: ({ keyword, resultsCount }) => {
+                completed[keyword] = resultsCount;
+            }
+        }, { headless: true, maxPlacesPerKeyword: 20, scrollIdleTimeout: 5 });
+
+        const names = results['restaurants edge cases'].map(place => place.name).sort();
+        assert.deepStrictEqual(names, ['City Dental Clinic', 'Hotel Lakeview', 'Spice Garden', 'Spice Garden']);
+
+        assert.strictEqual(statuses['slow-restaurant'].status, 'SUCCESS');
+        assert.strictEqual(statuses.broken.status, 'FAILED');
+        assert.strictEqual(statuses.captcha.status, 'FAILED');
+        assert.match(statuses.captcha.reason, /CAPTCHA/);
+
+        // CAPTCHA instead of search results: no links, keyword still completes
+        assert.strictEqual(completed['captcha wall'], 0);
+    });
+
+    it('scrapes a place found by several keywords once', { timeout: 300000 }, async () => {
+        const scraped = [];
+        const reused = [];
+
+        // Both searches return the same fixture places
+        const results = await processKeywords(['restaurants in delhi', 'places in delhi'], 2, 1, {
+            onUrlComplete: ({ url, status }) => {
+                (status.duplicateOf ? reused : scraped).push({ url, ...status });
+            }
+        }, { headless: true, maxPlacesPerKeyword: 20, scrollIdleTimeout: 5 });
+
+        assert.strictEqual(scraped.length, 3);
+        assert.ok(reused.every(entry => entry.status === 'SUCCESS' && entry.duplicateOf === 'restaurants in delhi'));
+        assert.strictEqual(reused.length, 3);
+
+        const cids = keyword => results[keyword].map(place => place.cid).sort();
+        assert.deepStrictEqual(cids('places in delhi'), cids('restaurants in delhi'));
+        assert.ok(results['restaurants in delhi'].every(place => place.cid && place.canonicalUrl.includes(`cid=${place.cid}`)));
+    });
+
+    it('does not scrape places restored from a checkpoint again', { timeout: 300000 }, async () => {
+        const keyword = 'cafes in delhi';
+        const first = [];
+        const firstRun = await processKeywords([keyword], 2, 1, {
+            onUrlComplete: ({ url, status }) => first.push({ url, ...status })
+        }, { headless: true, maxPlacesPerKeyword: 20, scrollIdleTimeout: 5 });
+
+        // Restart after the first place: resume with its status and result
+        const [done] = first.filter(entry => entry.status === 'SUCCESS');
+        const place = firstRun[keyword].find(result => result.link === done.url);
+        const resume = {
+            [keyword]: { completed: false, urls: { [done.url]: { status: 'SUCCESS' } }, results: [place] }
+        };
+
+        const second = [];
+        const results = await processKeywords([keyword], 2, 1, {
+            onUrlComplete: ({ url }) => second.push(url)
+        }, { headless: true, maxPlacesPerKeyword: 20, scrollIdleTimeout: 5, resume });
+
+        assert.ok(!second.includes(done.url));
+        assert.strictEqual(second.length, first.length - 1);
+        assert.strictEqual(results[keyword].length, firstRun[keyword].length);
+    });
+
+    it('keeps the places of a cancelled keyword without completing it', { timeout: 300000 }, async () => {
+        const keyword = 'bakeries in delhi';
+        const completed = [];
+        let scraped = 0;
+
+        const results = await processKeywords([keyword], 1, 1, {
+            onUrlComplete: ({ status }) => {
+                if (status.status === 'SUCCESS') scraped++;
+            },
+            onKeywordComplete: ({ keyword: kw }) => completed.push(kw),
+            shouldCancel: () => scraped >= 1
+        }, { headless: true, maxPlacesPerKeyword: 20, scrollIdleTimeout: 5 });
+
+        assert.deepStrictEqual(completed, []);
+        assert.ok(results[keyword].length >= 1);
+        assert.ok(results[keyword].length < 3);
+    });
+});
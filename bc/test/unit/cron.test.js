@@ -0,0 +1,176 @@
+/**
+ * Cron parsing, next-run times and missed-run handling of the scheduler
+ * Run: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, getNextRun, isValidTimezone } = require('../../src/utils/cron');
+const db = require('../../src/database/json-db');
+const scheduler = require('../../src/utils/scheduler');
+
+const next = (cron, after, timezone) => getNextRun(cron, new Date(after), timezone).toISOString();
+
+describe('parseCron', () => {
+    it('expands lists, ranges, steps and names', () => {
+        const parsed = parseCron('0,30 9-17/4 * JAN-MAR MON-FRI');
+        assert.deepStrictEqual([...parsed.minute], [0, 30]);
+        assert.deepStrictEqual([...parsed.hour], [9, 13, 17]);
+        assert.deepStrictEqual([...parsed.month], [1, 2, 3]);
+        assert.deepStrictEqual([...parsed.dayOfWeek], [1, 2, 3, 4, 5]);
+        assert.strictEqual(parsed.dayOfMonthRestricted, false);
+        assert.strictEqual(parsed.dayOfWeekRestricted, true);
+    });
+
+    it('treats a step after a single value as running to the field maximum', () => {
+        assert.deepStrictEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+    });
+
+    it('maps day-of-week 7 to Sunday', () => {
+        assert.deepStrictEqual([...parseCron('0 0 * * 5-7').dayOfWeek].sort(), [0, 5, 6]);
+    });
+
+    it('expands macros', () => {
+        assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+        assert.deepStrictEqual(parseCron(' @Weekly '), parseCron('0 0 * * 0'));
+    });
+
+    it('rejects malformed expressions', () => {
+        const invalid = [
+            '* * * *',
+            '* * * * * *',
+            '1-2-3 * * * *',
+            '*/5/2 * * * *',
+            '/5 * * * *',
+            '1,,2 * * * *',
+            '*/0 * * * *',
+            '*/x * * * *',
+            '5-1 * * * *',
+            '60 * * * *',
+            '* 24 * * *',
+            '* * 0 * *',
+            '* * * 13 *',
+            '* * * * 8',
+            '* * * FOO *',
+            'MON * * * *'
+        ];
+        for (const expression of invalid) {
+            assert.throws(() => parseCron(expression), Error, expression);
+        }
+        assert.throws(() => parseCron(null), /must be a string/);
+    });
+});
+
+describe('getNextRun', () => {
+    it('returns the next matching minute strictly after the reference time', () => {
+        assert.strictEqual(next('*/15 * * * *', '2026-10-18T10:00:00Z'), '2026-10-18T10:15:00.000Z');
+        assert.strictEqual(next('*/15 * * * *', '2026-10-18T10:07:30Z'), '2026-10-18T10:15:00.000Z');
+    });
+
+    it('skips days that do not match', () => {
+        // Friday 09:00 -> Monday 09:00
+        assert.strictEqual(next('0 9 * * MON-FRI', '2026-10-16T09:00:00Z'), '2026-10-19T09:00:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+        // "13th or Friday": Saturday 17th -> Friday 23rd
+        assert.strictEqual(next('0 0 13 * FRI', '2026-10-17T00:00:00Z'), '2026-10-23T00:00:00.000Z');
+    });
+
+    it('evaluates the expression in the schedule timezone', () => {
+        // 09:00 in Kolkata (UTC+5:30)
+        assert.strictEqual(next('0 9 * * *', '2026-10-18T00:00:00Z', 'Asia/Kolkata'), '2026-10-18T03:30:00.000Z');
+    });
+
+    it('runs a time skipped by the DST jump just after the jump', () => {
+        // New York springs forward 02:00 -> 03:00 on 2026-03-08
+        assert.strictEqual(next('30 2 * * *', '2026-03-08T05:00:00Z', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    });
+
+    it('runs a repeated wall time once, at its first occurrence', () => {
+        // New York falls back 02:00 -> 01:00 on 2026-11-01; 01:30 happens twice
+        assert.strictEqual(next('30 1 * * *', '2026-11-01T04:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+        assert.strictEqual(next('30 1 * * *', '2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-02T06:30:00.000Z');
+    });
+
+    it('returns null for dates that never occur', () => {
+        assert.strictEqual(getNextRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z')), null);
+    });
+
+    it('validates timezones', () => {
+        assert.strictEqual(isValidTimezone('Europe/Berlin'), true);
+        assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+    });
+});
+
+describe('Scheduler.runDue', () => {
+    const originals = {};
+    let updates;
+    let enqueued;
+
+    before(async () => {
+        await db.ready;
+        Object.assign(originals, { update: db.update, findOne: db.findOne, enqueue: scheduler.enqueue });
+        db.update = async (collection, query, changes) => updates.push(changes);
+        db.findOne = async () => null;
+        scheduler.enqueue = async () => {
+            enqueued++;
+            return `job_${enqueued}`;
+        };
+    });
+
+    after(() => {
+        db.update = originals.update;
+        db.findOne = originals.findOne;
+        scheduler.enqueue = originals.enqueue;
+    });
+
+    const schedule = (catchUp) => ({
+        id: 'schedules_test',
+        cron: '0 * * * *',
+        timezone: 'UTC',
+        catchUp,
+        nextRunAt: '2026-10-18T06:00:00.000Z',
+        history: []
+    });
+
+    const run = async (catchUp, now) => {
+        updates = [];
+        enqueued = 0;
+        await scheduler.runDue(schedule(catchUp), new Date(now));
+        return updates[0];
+    };
+
+    it('coalesces runs missed during downtime into one catch-up run', async () => {
+        // Down from 05:30 to 10:20: 06:00, 07:00, 08:00, 09:00 and 10:00 were missed
+        const update = await run('once', '2026-10-18T10:20:00Z');
+        const [entry] = update.history;
+
+        assert.strictEqual(enqueued, 1);
+        assert.strictEqual(entry.status, 'queued');
+        assert.strictEqual(entry.scheduledFor, '2026-10-18T10:00:00.000Z');
+        assert.strictEqual(entry.missedRuns, 5);
+        assert.strictEqual(entry.reason, 'Catch-up run after downtime');
+        assert.strictEqual(update.nextRunAt, '2026-10-18T11:00:00.000Z');
+    });
+
+    it('skips missed runs with catchUp "skip"', async () => {
+        const update = await run('skip', '2026-10-18T10:20:00Z');
+        const [entry] = update.history;
+
+        assert.strictEqual(enqueued, 0);
+        assert.strictEqual(entry.status, 'skipped');
+        assert.strictEqual(entry.missedRuns, 5);
+        assert.strictEqual(update.nextRunAt, '2026-10-18T11:00:00.000Z');
+    });
+
+    it('runs on time within the misfire grace period', async () => {
+        const update = await run('skip', '2026-10-18T06:01:00Z');
+        const [entry] = update.history;
+
+        assert.strictEqual(enqueued, 1);
+        assert.strictEqual(entry.status, 'queued');
+        assert.strictEqual(entry.missedRuns, 0);
+        assert.strictEqual(entry.reason, undefined);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Area searches: tiling, point-in-polygon and grid search validation
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    haversineMeters,
+    polygonRings,
+    ringsBbox,
+    pointInRings,
+    bboxIntersectsRings,
+    tileGrid,
+    tileBbox,
+    splitBbox,
+    bboxCenter,
+    zoomForSpan
+} = require('../../src/scraper/utils/geo');
+const { validateSearches, sanitizeSearches } = require('../../src/utils/validation');
+
+// Right triangle with the right angle at [0, 0] ([lng, lat])
+const TRIANGLE = { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [0, 4], [0, 0]]] };
+
+describe('geo', () => {
+    it('measures great-circle distances', () => {
+        // New Delhi -> Mumbai
+        assert.strictEqual(Math.round(haversineMeters(28.6139, 77.2090, 19.0760, 72.8777) / 1000), 1148);
+        assert.strictEqual(haversineMeters(10, 20, 10, 20), 0);
+    });
+
+    it('tiles a bbox row by row from the south-west corner', () => {
+        // ~11.1 km tall, ~9.8 km wide -> 3 rows x 2 columns of 5 km
+        const tiles = tileBbox([77.0, 28.5, 77.1, 28.6], 5000);
+        assert.strictEqual(tiles.length, 6);
+        assert.deepStrictEqual(tiles[0].map(v => +v.toFixed(4)), [77, 28.5, 77.05, 28.5333]);
+        assert.deepStrictEqual(tiles[5].map(v => +v.toFixed(4)), [77.05, 28.5667, 77.1, 28.6]);
+    });
+
+    it('counts the rows and columns of tiles without building them', () => {
+        assert.deepStrictEqual(tileGrid([77.0, 28.5, 77.1, 28.6], 5000), { rows: 3, cols: 2 });
+        assert.deepStrictEqual(tileGrid([-180, -85, 180, 85], 250), { rows: 75698, cols: 160301 });
+    });
+
+    it('keeps a bbox smaller than one tile as a single tile', () => {
+        assert.deepStrictEqual(tileBbox([77, 28.5, 77.001, 28.501], 2000), [[77, 28.5, 77.001, 28.501]]);
+    });
+
+    it('splits a bbox into quadrants and finds its center', () => {
+        assert.deepStrictEqual(splitBbox([0, 0, 2, 2]), [[0, 0, 1, 1], [1, 0, 2, 1], [0, 1, 1, 2], [1, 1, 2, 2]]);
+        assert.deepStrictEqual(bboxCenter([0, 0, 2, 4]), { lat: 2, lng: 1 });
+    });
+
+    it('picks a zoom that fits the span, clamped to 3-20', () => {
+        assert.strictEqual(zoomForSpan(2000, 28.6, 800), 15);
+        assert.strictEqual(zoomForSpan(1, 0, 800), 20);
+        assert.strictEqual(zoomForSpan(1e8, 0, 800), 3);
+    });
+
+    it('reads the outer rings of any GeoJSON polygon container', () => {
+        assert.deepStrictEqual(polygonRings(TRIANGLE), [TRIANGLE.coordinates[0]]);
+        assert.deepStrictEqual(polygonRings({ type: 'Feature', geometry: TRIANGLE }), [TRIANGLE.coordinates[0]]);
+        assert.strictEqual(polygonRings({ type: 'MultiPolygon', coordinates: [TRIANGLE.coordinates, TRIANGLE.coordinates] }).length, 2);
+        assert.strictEqual(polygonRings({
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', geometry: TRIANGLE }, { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } }]
+        }).length, 1);
+        assert.strictEqual(polygonRings({ type: 'Point', coordinates: [0, 0] }), null);
+        assert.deepStrictEqual(ringsBbox(polygonRings(TRIANGLE)), [0, 0, 4, 4]);
+    });
+
+    it('tests points and tiles against the polygon', () => {
+        const rings = polygonRings(TRIANGLE);
+        assert.strictEqual(pointInRings(1, 1, rings), true);
+        assert.strictEqual(pointInRings(3, 3, rings), false);
+
+        assert.strictEqual(bboxIntersectsRings([0.5, 0.5, 1, 1], rings), true);
+        // Only the polygon's corner is inside this tile
+        assert.strictEqual(bboxIntersectsRings([-1, -1, 0.1, 0.1], rings), true);
+        assert.strictEqual(bboxIntersectsRings([3, 3, 3.5, 3.5], rings), false);
+    });
+});
+
+describe('grid search validation', () => {
+    const grid = (fields) => ({ type: 'grid', category: 'cafes', ...fields });
+
+    it('accepts a bbox or a polygon', () => {
+        assert.deepStrictEqual(validateSearches([
+            grid({ bbox: [77.1, 28.5, 77.2, 28.6] }),
+            grid({ polygon: { type: 'Feature', geometry: TRIANGLE }, tileSizeMeters: 50000 })
+        ]), []);
+    });
+
+    it('rejects malformed bboxes and polygons', () => {
+        assert.deepStrictEqual(validateSearches([
+            grid({ bbox: [77.2, 28.5, 77.1, 28.6] }),
+            grid({ bbox: [77.1, 28.5, 77.2] }),
+            grid({ bbox: [77.1, 28.5, 77.2, 28.6], polygon: TRIANGLE }),
+            grid({}),
+            grid({ polygon: { type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] } }),
+            grid({ bbox: [77.1, 28.5, 77.2, 28.6], tileSizeMeters: 100 })
+        ]), [
+            'searches[0].bbox must be [west, south, east, north] in degrees',
+            'searches[1].bbox must be [west, south, east, north] in degrees',
+            'searches[2].bbox or polygon is required (not both)',
+            'searches[3].bbox or polygon is required (not both)',
+            'searches[4].polygon must be a GeoJSON Polygon or MultiPolygon (geometry, Feature or FeatureCollection)',
+            'searches[5].tileSizeMeters must be a number >= 250'
+        ]);
+    });
+
+    it('counts only the tiles that overlap a polygon against the tile limit', () => {
+        // The bbox of the triangle needs 529 tiles of 20 km, the triangle itself 284
+        assert.deepStrictEqual(validateSearches([grid({ polygon: TRIANGLE, tileSizeMeters: 20000 })]), []);
+        assert.deepStrictEqual(validateSearches([grid({ bbox: [0, 0, 4, 4], tileSizeMeters: 20000 })]), [
+            'searches[0].bbox needs 529 tiles of 20000 m (max 400); use a larger tileSizeMeters or a smaller area'
+        ]);
+    });
+
+    it('rejects a world-sized area from the tile count alone', () => {
+        const world = [-180, -85, 180, 85];
+        const started = Date.now();
+        const errors = validateSearches([
+            grid({ bbox: world, tileSizeMeters: 250 }),
+            grid({ polygon: { type: 'Polygon', coordinates: [[[-180, -85], [180, -85], [180, 85], [-180, -85]]] }, tileSizeMeters: 250 })
+        ]);
+
+        assert.deepStrictEqual(errors, [
+            'searches[0].bbox needs 12134465098 tiles of 250 m (max 400); use a larger tileSizeMeters or a smaller area',
+            'searches[1].polygon spans 12134465098 tiles of 250 m (max 4000); use a larger tileSizeMeters or a smaller area'
+        ]);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('stores the polygon rings and their bbox, with a label that does not collide', () => {
+        const [search] = sanitizeSearches([grid({ category: ' cafes ', polygon: TRIANGLE })], ['cafes (grid)']);
+        assert.deepStrictEqual(search, {
+            label: 'cafes (grid) #2',
+            type: 'grid',
+            category: 'cafes',
+            bbox: [0, 0, 4, 4],
+            polygon: [TRIANGLE.coordinates[0]],
+            tileSizeMeters: 2000
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Opening hours parsing: hours panel text -> per-day intervals
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseOpeningHours, parseIntervals, parseTime, parseBusinessStatus } = require('../../src/scraper/utils/hours-parser');
+
+describe('parseTime', () => {
+    it('reads 12- and 24-hour times as minutes since midnight', () => {
+        assert.deepStrictEqual(parseTime('9:30 am'), { minutes: 570, meridiem: 'am' });
+        assert.deepStrictEqual(parseTime('12 pm'), { minutes: 720, meridiem: 'pm' });
+        assert.deepStrictEqual(parseTime('12 am'), { minutes: 0, meridiem: 'am' });
+        assert.deepStrictEqual(parseTime('21:00'), { minutes: 1260, meridiem: null });
+        assert.deepStrictEqual(parseTime('noon'), { minutes: 720, meridiem: 'pm' });
+    });
+
+    it('applies an assumed meridiem to bare hours', () => {
+        assert.deepStrictEqual(parseTime('6', 'pm'), { minutes: 1080, meridiem: null });
+    });
+
+    it('rejects values that are not times', () => {
+        assert.strictEqual(parseTime('25'), null);
+        assert.strictEqual(parseTime('9:75'), null);
+        assert.strictEqual(parseTime('13 pm'), null);
+    });
+});
+
+describe('parseIntervals', () => {
+    it('reads single and split shifts', () => {
+        assert.deepStrictEqual(parseIntervals('9 am–5 pm'), [{ open: '09:00', close: '17:00' }]);
+        assert.deepStrictEqual(parseIntervals('11 am–3 pm, 6–11 pm'), [
+            { open: '11:00', close: '15:00' },
+            { open: '18:00', close: '23:00' }
+        ]);
+    });
+
+    it('handles the narrow spaces Google puts before AM/PM', () => {
+        assert.deepStrictEqual(parseIntervals('9\u202fAM–5\u202fPM'), [{ open: '09:00', close: '17:00' }]);
+    });
+
+    it('reads "11–2 pm" as 11 am to 2 pm', () => {
+        assert.deepStrictEqual(parseIntervals('11–2 pm'), [{ open: '11:00', close: '14:00' }]);
+    });
+
+    it('keeps intervals that end after midnight', () => {
+        assert.deepStrictEqual(parseIntervals('6 pm–2 am'), [{ open: '18:00', close: '02:00' }]);
+        assert.deepStrictEqual(parseIntervals('10 am–12 am'), [{ open: '10:00', close: '24:00' }]);
+    });
+
+    it('reads open all day and closed days', () => {
+        assert.deepStrictEqual(parseIntervals('Open 24 hours'), [{ open: '00:00', close: '24:00' }]);
+        assert.deepStrictEqual(parseIntervals('Closed'), []);
+    });
+
+    it('returns null for text that is not hours', () => {
+        assert.strictEqual(parseIntervals('Hours might differ'), null);
+        assert.strictEqual(parseIntervals(''), null);
+    });
+});
+
+describe('parseOpeningHours', () => {
+    it('reads the week from the hours aria-label', () => {
+        const hours = parseOpeningHours({
+            ariaLabel: 'Monday, 9 AM to 5 PM; Tuesday, Closed; Sunday, Open 24 hours. Hide open hours for the week'
+        });
+
+        assert.deepStrictEqual(hours.weekly.monday, [{ open: '09:00', close: '17:00' }]);
+        assert.deepStrictEqual(hours.weekly.tuesday, []);
+        assert.deepStrictEqual(hours.weekly.sunday, [{ open: '00:00', close: '24:00' }]);
+        assert.strictEqual(hours.weekly.wednesday, null);
+        assert.deepStrictEqual(hours.overrides, []);
+    });
+
+    it('separates holiday rows and reads the hotel check-in and check-out times', () => {
+        const hours = parseOpeningHours({
+            rows: [
+                { day: 'Thursday\nChristmas Day\nHours might differ', hours: '10 am–4 pm' },
+                { day: 'Thursday', hours: '9 am–5 pm' }
+            ],
+            holidayNotice: 'Christmas Day might affect these hours',
+            checkIn: 'Check-in time: 2:00 PM',
+            checkOut: 'Check-out time: 11:00 AM'
+        });
+
+        assert.deepStrictEqual(hours.weekly.thursday, [{ open: '09:00', close: '17:00' }]);
+        assert.deepStrictEqual(hours.overrides, [{
+            day: 'thursday',
+            label: 'Christmas Day',
+            hours: [{ open: '10:00', close: '16:00' }],
+            mightDiffer: true
+        }]);
+        assert.strictEqual(hours.notice, 'Christmas Day might affect these hours');
+        assert.strictEqual(hours.checkIn, '14:00');
+        assert.strictEqual(hours.checkOut, '11:00');
+    });
+
+    it('returns null when nothing was found', () => {
+        assert.strictEqual(parseOpeningHours(null), null);
+        assert.strictEqual(parseOpeningHours({ rows: [] }), null);
+    });
+});
+
+describe('parseBusinessStatus', () => {
+    it('detects closures in any of the texts', () => {
+        assert.strictEqual(parseBusinessStatus('Permanently closed'), 'PERMANENTLY_CLOSED');
+        assert.strictEqual(parseBusinessStatus(null, 'Temporarily closed'), 'TEMPORARILY_CLOSED');
+    });
+
+    it('defaults to operational', () => {
+        assert.strictEqual(parseBusinessStatus('Open · Closes 11 pm'), 'OPERATIONAL');
+        assert.strictEqual(parseBusinessStatus(), 'OPERATIONAL');
+    });
+});
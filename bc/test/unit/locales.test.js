@@ -0,0 +1,135 @@
+/**
+ * Locale packs: pack lookup, localized digits and statuses, hours and review dates in other languages
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    getLocale,
+    normalizeLocaleText,
+    phrasePattern,
+    matchStatus,
+    acceptLanguage,
+    baseLanguage
+} = require('../../src/scraper/locales');
+const { LOCALES } = require('../../src/utils/constants');
+const { parseIntervals, parseOpeningHours, parseBusinessStatus } = require('../../src/scraper/utils/hours-parser');
+const { parseRating, parseCount } = require('../../src/scraper/utils/place-normalizer');
+const { toAbsoluteDate } = require('../../src/scraper/extractors/reviews-extractor');
+const { validateJobOptions, sanitizeJobOptions } = require('../../src/utils/validation');
+
+describe('locale packs', () => {
+    it('all have the keys of the English pack', () => {
+        const keys = (pack) => Object.keys(pack).sort();
+        const english = require('../../src/scraper/locales/en');
+        for (const language of LOCALES) {
+            const pack = require(`../../src/scraper/locales/${language}`);
+            assert.deepStrictEqual(keys(pack), keys(english), language);
+            assert.deepStrictEqual(keys(pack.days), keys(english.days), language);
+            assert.deepStrictEqual(keys(pack.timeUnits), keys(english.timeUnits), language);
+        }
+    });
+
+    it('picks the pack of the base language and falls back to English', () => {
+        assert.strictEqual(baseLanguage('es-419'), 'es');
+        assert.strictEqual(baseLanguage('ES'), 'es');
+        assert.strictEqual(baseLanguage(null), 'en');
+        assert.strictEqual(getLocale('es-MX').language, 'es');
+        assert.strictEqual(getLocale('xx').language, 'en');
+    });
+
+    it('appends the English phrases to other packs', () => {
+        assert.deepStrictEqual(getLocale('es').closed, ['Cerrado', 'Closed']);
+        assert.ok(getLocale('es').days.monday.includes('lunes'));
+        assert.ok(getLocale('es').days.monday.includes('monday'));
+    });
+});
+
+describe('locale text', () => {
+    it('turns Arabic and Devanagari digits and separators into ASCII', () => {
+        assert.strictEqual(normalizeLocaleText('٤٫٥'), '4.5');
+        assert.strictEqual(normalizeLocaleText('١٬٢٣٤'), '1,234');
+        assert.strictEqual(normalizeLocaleText('۱۲'), '12');
+        assert.strictEqual(normalizeLocaleText('९:३०'), '9:30');
+    });
+
+    it('builds an escaped alternation with the longest phrase first', () => {
+        assert.strictEqual(phrasePattern(['Closed', 'Closed temporarily', 'a.m.']), 'Closed temporarily|Closed|a\\.m\\.');
+    });
+
+    it('reads the status that comes first', () => {
+        const es = getLocale('es');
+        assert.strictEqual(matchStatus('Cerrado · Abre a las 9', es), 'Closed');
+        assert.strictEqual(matchStatus('Abierto · Cierra a las 22:00', es), 'Open');
+        assert.strictEqual(matchStatus('Cerrado temporalmente', es), 'Temporarily closed');
+        assert.strictEqual(matchStatus('Open · Closes 11 pm', es), 'Open');
+        assert.strictEqual(matchStatus('Horario', es), null);
+        assert.strictEqual(matchStatus('', es), null);
+    });
+
+    it('builds the Accept-Language header', () => {
+        assert.strictEqual(acceptLanguage('es', 'mx'), 'es-MX,es;q=0.9,en;q=0.8');
+        assert.strictEqual(acceptLanguage('es-419'), 'es-419,es;q=0.9,en;q=0.8');
+        assert.strictEqual(acceptLanguage('en'), 'en');
+    });
+});
+
+describe('parsing localized pages', () => {
+    it('reads hours in every pack', () => {
+        const nineToFive = [{ open: '09:00', close: '17:00' }];
+        assert.deepStrictEqual(parseIntervals('9 a. m.–5 p. m.'), nineToFive);
+        assert.deepStrictEqual(parseIntervals('९ पूर्वाह्न–५ अपराह्न'), nineToFive);
+        assert.deepStrictEqual(parseIntervals('सुबह 9 बजे–शाम 5 बजे'), nineToFive);
+        assert.deepStrictEqual(parseIntervals('٩:٠٠ ص–٥:٠٠ م'), nineToFive);
+        assert.deepStrictEqual(parseIntervals('9 h 30 – 19 h'), [{ open: '09:30', close: '19:00' }]);
+        assert.deepStrictEqual(parseIntervals('Geschlossen'), []);
+        assert.deepStrictEqual(parseIntervals('Abierto las 24 horas'), [{ open: '00:00', close: '24:00' }]);
+    });
+
+    it('reads localized day names', () => {
+        const { weekly } = parseOpeningHours({ ariaLabel: 'lunes, 9:00–18:00; martes, Cerrado' });
+        assert.deepStrictEqual(weekly.monday, [{ open: '09:00', close: '18:00' }]);
+        assert.deepStrictEqual(weekly.tuesday, []);
+    });
+
+    it('reads localized closures, ratings and review counts', () => {
+        assert.strictEqual(parseBusinessStatus('Dauerhaft geschlossen'), 'PERMANENTLY_CLOSED');
+        assert.strictEqual(parseBusinessStatus('مغلق مؤقتًا'), 'TEMPORARILY_CLOSED');
+        assert.strictEqual(parseRating('٤٫٥'), 4.5);
+        assert.strictEqual(parseCount('(١٬٢٣٤)'), 1234);
+    });
+
+    it('dates relative review dates in every pack', () => {
+        const now = new Date('2026-03-15T12:00:00Z');
+        const dates = {
+            en: { '3 weeks ago': '2026-02-22', 'Edited a year ago': '2025-03-15', 'yesterday': '2026-03-14', '5 hours ago': '2026-03-15' },
+            es: { 'hace 3 semanas': '2026-02-22', 'hace un año': '2025-03-15', 'Editado hace 2 meses': '2026-01-15', 'hace una hora': '2026-03-15' },
+            fr: { 'il y a 3 semaines': '2026-02-22', 'il y a un an': '2025-03-15', 'il y a 4 jours': '2026-03-11', 'hier': '2026-03-14' },
+            de: { 'vor 3 Wochen': '2026-02-22', 'vor einem Jahr': '2025-03-15', 'vor 2 Monaten': '2026-01-15', 'vor 4 Tagen': '2026-03-11' },
+            hi: { '3 हफ़्ते पहले': '2026-02-22', 'एक साल पहले': '2025-03-15', '२ महीने पहले': '2026-01-15', '4 दिन पहले': '2026-03-11' },
+            ar: { 'قبل ٣ أسابيع': '2026-02-22', 'قبل سنة': '2025-03-15', 'قبل شهرين': '2026-01-15', 'قبل يومين': '2026-03-13' }
+        };
+
+        for (const [language, cases] of Object.entries(dates)) {
+            for (const [relative, expected] of Object.entries(cases)) {
+                assert.strictEqual(toAbsoluteDate(relative, now, getLocale(language)), expected, `${language}: ${relative}`);
+            }
+        }
+        assert.strictEqual(toAbsoluteDate('hace 3 semanas', now), null);
+        assert.strictEqual(toAbsoluteDate('Local Guide', now), null);
+    });
+});
+
+describe('language and region options', () => {
+    it('accepts supported languages with a region subtag', () => {
+        assert.deepStrictEqual(validateJobOptions({ language: 'es-419', region: 'MX' }), []);
+        assert.deepStrictEqual(sanitizeJobOptions({ language: 'ES-419', region: 'MX' }), { language: 'es-419', region: 'mx' });
+    });
+
+    it('rejects unsupported languages and regions', () => {
+        assert.strictEqual(validateJobOptions({ language: 'xx' }).length, 1);
+        assert.strictEqual(validateJobOptions({ language: 'english' }).length, 1);
+        assert.deepStrictEqual(validateJobOptions({ region: 'mex' }), ['region must be a two-letter country code (e.g. in, mx)']);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Place list inputs: URLs, CIDs, place IDs and CSV
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { resolvePlaceInput, parsePlaceCsv } = require('../../src/scraper/utils/place-inputs');
+const { isMapsUrl } = require('../../src/scraper/utils/maps-urls');
+const { validateSearches, sanitizeSearches } = require('../../src/utils/validation');
+
+const CID = '5963530382063193550';
+const CID_URL = `https://www.google.com/maps?cid=${CID}`;
+const PLACE_ID = 'ChIJL_P_CXMEDTkRw0ZdG-0GVvw';
+const PLACE_ID_URL = `https://www.google.com/maps/place/?q=place_id:${PLACE_ID}`;
+
+const urlOf = (input) => (resolvePlaceInput(input) || {}).url || null;
+
+describe('resolvePlaceInput', () => {
+    it('keeps place page and share links as they are', () => {
+        const link = 'https://www.google.com/maps/place/India+Gate/@28.6,77.2,17z';
+        assert.deepStrictEqual(resolvePlaceInput(` ${link} `), { input: link, url: link });
+        assert.strictEqual(urlOf('https://maps.app.goo.gl/abc123'), 'https://maps.app.goo.gl/abc123');
+    });
+
+    it('turns CID links, CIDs and feature IDs into CID URLs', () => {
+        assert.strictEqual(urlOf(`https://maps.google.com/?cid=${CID}`), CID_URL);
+        assert.strictEqual(urlOf(CID), CID_URL);
+        assert.strictEqual(urlOf(`cid:${CID}`), CID_URL);
+        assert.strictEqual(urlOf('0x390cfd5b347eb62d:0x52c2b7494e204dce'), CID_URL);
+    });
+
+    it('turns place ID links and place IDs into place ID URLs', () => {
+        assert.strictEqual(urlOf(`https://www.google.com/maps/search/?api=1&query=x&query_place_id=${PLACE_ID}`), PLACE_ID_URL);
+        assert.strictEqual(urlOf(PLACE_ID), PLACE_ID_URL);
+        // Non-ChIJ place IDs need the prefix
+        assert.strictEqual(urlOf('place_id:GhIJQWDl0CIeQUARxks3icF8U8A'),
+            'https://www.google.com/maps/place/?q=place_id:GhIJQWDl0CIeQUARxks3icF8U8A');
+    });
+
+    it('only accepts links on Maps hosts', () => {
+        assert.strictEqual(urlOf('https://www.google.co.in/maps/place/India+Gate'), 'https://www.google.co.in/maps/place/India+Gate');
+        assert.strictEqual(resolvePlaceInput('http://169.254.169.254/maps/place/x'), null);
+        assert.strictEqual(resolvePlaceInput('https://google.com.evil.example/maps/place/x'), null);
+        assert.strictEqual(resolvePlaceInput(`https://example.com/maps?cid=${CID}`), null);
+        assert.strictEqual(resolvePlaceInput('https://example.com/abc123'), null);
+    });
+
+    it('rejects values that are not places', () => {
+        assert.strictEqual(resolvePlaceInput('https://example.com/x'), null);
+        assert.strictEqual(resolvePlaceInput('https://exa mple'), null);
+        assert.strictEqual(resolvePlaceInput('12345'), null);
+        assert.strictEqual(resolvePlaceInput(''), null);
+        assert.strictEqual(resolvePlaceInput(null), null);
+    });
+});
+
+describe('isMapsUrl', () => {
+    it('accepts Google hosts, share links and the configured Maps server', () => {
+        assert.strictEqual(isMapsUrl('https://maps.google.com.au/?cid=1'), true);
+        assert.strictEqual(isMapsUrl('https://goo.gl/maps/abc'), true);
+        assert.strictEqual(isMapsUrl('https://evilgoogle.com/maps/place/x'), false);
+        assert.strictEqual(isMapsUrl('file:///etc/passwd'), false);
+        assert.strictEqual(isMapsUrl('http://127.0.0.1:4010/maps/place/x'), false);
+
+        process.env.MAPS_PLACE_BASE_URL = 'http://127.0.0.1:4010/maps/place/';
+        try {
+            assert.strictEqual(isMapsUrl('http://127.0.0.1:4010/maps/place/x'), true);
+            assert.strictEqual(isMapsUrl('http://127.0.0.1:4011/maps/place/x'), false);
+        } finally {
+            delete process.env.MAPS_PLACE_BASE_URL;
+        }
+    });
+});
+
+describe('parsePlaceCsv', () => {
+    it('reads the place column of a CSV with a header row', () => {
+        const csv = 'Name,Place ID\n"Cafe, Delhi",' + PLACE_ID + '\r\nBakery,\n\n';
+        assert.deepStrictEqual(parsePlaceCsv(csv), [PLACE_ID]);
+    });
+
+    it('reads a "Google Maps Link" column', () => {
+        const link = 'https://www.google.com/maps/place/A';
+        assert.deepStrictEqual(parsePlaceCsv(`Name;Google Maps Link\nA;${link}`), [link]);
+    });
+
+    it('reads the first column without a header, with any separator', () => {
+        const csv = `${CID};note\n"https://www.google.com/maps/place/A"`;
+        assert.deepStrictEqual(parsePlaceCsv(csv), [CID, 'https://www.google.com/maps/place/A']);
+    });
+
+    it('unescapes doubled quotes', () => {
+        assert.deepStrictEqual(parsePlaceCsv('url\n"https://x/?q=""a"""'), ['https://x/?q="a"']);
+    });
+
+    it('returns nothing for empty text', () => {
+        assert.deepStrictEqual(parsePlaceCsv(''), []);
+    });
+});
+
+describe('place list searches', () => {
+    it('reports inputs that are not places', () => {
+        assert.deepStrictEqual(validateSearches([
+            { type: 'places', places: ['123', `cid:${CID}`] },
+            { type: 'places' },
+            { type: 'places', places: 'x' },
+            { type: 'places', csv: `cid\n${CID}` }
+        ]), [
+            'searches[0].places: 1 input(s) are not a place URL, CID or place ID: "123"',
+            'searches[1].places or csv with at least one place URL, CID or place ID is required',
+            'searches[2].places must be an array'
+        ]);
+    });
+
+    it('merges places and CSV rows, one entry per place page', () => {
+        const [search] = sanitizeSearches([{
+            type: 'places',
+            places: [CID, `cid:${CID}`, '0x0:0x52c2b7494e204dce'],
+            csv: PLACE_ID
+        }]);
+        assert.strictEqual(search.label, 'place list');
+        assert.deepStrictEqual(search.places, [
+            { input: CID, url: CID_URL },
+            { input: PLACE_ID, url: PLACE_ID_URL }
+        ]);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Place normalization: display strings -> typed place schema
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizePlace,
+    countMissingFields,
+    parseCoordinates,
+    parseIdentity,
+    parsePriceLevel,
+    parseAmount,
+    parseRating,
+    parseCount
+} = require('../../src/scraper/utils/place-normalizer');
+const { PLACE_SCHEMA_VERSION } = require('../../src/utils/constants');
+
+const PLACE_LINK = 'https://www.google.com/maps/place/India+Gate/@28.61,77.2,17z/data=!3m1!4b1!4m6!3m5!1s0x390cfd5b347eb62d:0x52c2b7494e204dce!8m2!3d28.6129!4d77.2295';
+
+describe('parseRating', () => {
+    it('reads ratings with a dot or a comma', () => {
+        assert.strictEqual(parseRating('4.8'), 4.8);
+        assert.strictEqual(parseRating('4,3 stars'), 4.3);
+        assert.strictEqual(parseRating(4.2), 4.2);
+    });
+
+    it('returns null for missing or out-of-range ratings', () => {
+        assert.strictEqual(parseRating('Not found'), null);
+        assert.strictEqual(parseRating('7'), null);
+        assert.strictEqual(parseRating(null), null);
+    });
+});
+
+describe('parseCount', () => {
+    it('reads grouped, bracketed and abbreviated counts', () => {
+        assert.strictEqual(parseCount('1,234'), 1234);
+        assert.strictEqual(parseCount('(1.234)'), 1234);
+        assert.strictEqual(parseCount('2.1K'), 2100);
+        assert.strictEqual(parseCount('1.5M reviews'), 1500000);
+        assert.strictEqual(parseCount(12.6), 13);
+    });
+
+    it('returns null for the "no reviews" sentinel', () => {
+        assert.strictEqual(parseCount('(Not found reviews)'), null);
+    });
+});
+
+describe('parseCoordinates', () => {
+    it('prefers the pin in the data params over the viewport', () => {
+        assert.deepStrictEqual(parseCoordinates(PLACE_LINK), { latitude: 28.6129, longitude: 77.2295 });
+    });
+
+    it('falls back to the viewport centre, then the next URL', () => {
+        assert.deepStrictEqual(parseCoordinates(null, 'https://www.google.com/maps/place/X/@28.61,77.2,17z'),
+            { latitude: 28.61, longitude: 77.2 });
+    });
+
+    it('ignores impossible coordinates', () => {
+        assert.strictEqual(parseCoordinates('https://www.google.com/maps/place/X/data=!3d95.1!4d10'), null);
+    });
+});
+
+describe('parsePriceLevel', () => {
+    it('reads price labels and symbol buckets', () => {
+        assert.deepStrictEqual(parsePriceLevel('Price: Moderate'), { level: 2, symbol: '$$', range: null, text: 'Moderate' });
+        assert.deepStrictEqual(parsePriceLevel('$$$'), { level: 3, symbol: '$$$', range: null, text: '$$$' });
+    });
+
+    it('reads price ranges with their currency', () => {
+        assert.deepStrictEqual(parsePriceLevel('₹200–400').range, { min: 200, max: 400, currency: 'INR' });
+        assert.deepStrictEqual(parsePriceLevel('€50+').range, { min: 50, max: null, currency: 'EUR' });
+    });
+
+    it('returns null for labels that are not prices', () => {
+        assert.strictEqual(parsePriceLevel('Price range histogram'), null);
+        assert.strictEqual(parsePriceLevel('Not found'), null);
+    });
+});
+
+describe('parseAmount', () => {
+    it('reads an amount and its currency', () => {
+        assert.deepStrictEqual(parseAmount('₹3,450 per night'), { amount: 3450, currency: 'INR' });
+        assert.deepStrictEqual(parseAmount('R$ 120.50'), { amount: 120.5, currency: 'BRL' });
+        assert.strictEqual(parseAmount('free'), null);
+    });
+});
+
+describe('parseIdentity', () => {
+    it('reads the CID from the feature ID of the link', () => {
+        assert.deepStrictEqual(parseIdentity({}, PLACE_LINK), {
+            placeId: null,
+            cid: '5963530382063193550',
+            canonicalUrl: 'https://www.google.com/maps?cid=5963530382063193550'
+        });
+    });
+
+    it('keeps identifiers already stored on the place', () => {
+        const ids = parseIdentity({ placeId: 'ChIJabc' }, 'https://www.google.com/maps?cid=42');
+        assert.strictEqual(ids.placeId, 'ChIJabc');
+        assert.strictEqual(ids.cid, '42');
+    });
+});
+
+describe('normalizePlace', () => {
+    const raw = {
+        name: ' Cafe ',
+        phone: 'Not found',
+        rating: '4.5',
+        reviews: '(1,024)',
+        openingHours: 'Open · Closes 11 pm',
+        priceLevel: 'Price: Expensive'
+    };
+
+    it('produces the typed schema', () => {
+        const place = normalizePlace(raw, { link: PLACE_LINK });
+
+        assert.strictEqual(place.schemaVersion, PLACE_SCHEMA_VERSION);
+        assert.strictEqual(place.name, 'Cafe');
+        assert.strictEqual(place.phone, null);
+        assert.strictEqual(place.rating, 4.5);
+        assert.strictEqual(place.reviews, 1024);
+        assert.strictEqual(place.claimed, 'unknown');
+        assert.deepStrictEqual(place.coordinates, { latitude: 28.6129, longitude: 77.2295 });
+        assert.strictEqual(place.openingHoursRaw, 'Open · Closes 11 pm');
+        assert.strictEqual(place.businessStatus, 'OPERATIONAL');
+        assert.strictEqual(place.priceLevel.level, 3);
+        assert.strictEqual(place.cid, '5963530382063193550');
+        assert.strictEqual(place.link, PLACE_LINK);
+    });
+
+    it('leaves an already normalized place unchanged', () => {
+        const place = normalizePlace(raw, { link: PLACE_LINK });
+        assert.deepStrictEqual(normalizePlace(place), place);
+    });
+
+    it('counts missing quality fields', () => {
+        // phone, category, address, website, plusCode, openingHours
+        assert.strictEqual(countMissingFields(normalizePlace(raw, { link: PLACE_LINK })), 6);
+    });
+});
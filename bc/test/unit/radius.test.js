@@ -0,0 +1,30 @@
+/**
+ * Radius searches: distance from the center and the in-circle check
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { distanceFromCenter, isOutsideRadius, buildRadiusSearchUrl } = require('../../src/scraper/core/link-extractor');
+
+// Connaught Place, New Delhi
+const search = { query: 'cafes', lat: 28.6315, lng: 77.2167, radiusMeters: 1000 };
+
+describe('radius search', () => {
+    it('measures whole meters from the center', () => {
+        assert.strictEqual(distanceFromCenter(search, { latitude: 28.6315, longitude: 77.2167 }), 0);
+        // 0.01° of latitude is about 1112 m
+        assert.strictEqual(distanceFromCenter(search, { latitude: 28.6415, longitude: 77.2167 }), 1112);
+        assert.strictEqual(distanceFromCenter(search, null), null);
+    });
+
+    it('treats places past the radius as outside and unknown distances as inside', () => {
+        assert.strictEqual(isOutsideRadius(search, 1000), false);
+        assert.strictEqual(isOutsideRadius(search, 1001), true);
+        assert.strictEqual(isOutsideRadius(search, null), false);
+    });
+
+    it('centers the search URL on the coordinate', () => {
+        assert.strictEqual(buildRadiusSearchUrl(search), 'https://www.google.com/maps/search/cafes/@28.631500,77.216700,15z');
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Result queries and cursor pages while a job is still adding places
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const resultStore = require('../../src/utils/result-store');
+
+const place = (cid, rating, extra = {}) => ({
+    name: `Place ${cid}`,
+    cid: String(cid),
+    rating,
+    link: `https://www.google.com/maps/place/p${cid}`,
+    ...extra
+});
+
+/**
+ * Read every page, letting `between` change the results after each one
+ */
+function readAll(getResults, filters, limit, between = () => {}) {
+    const seen = [];
+    let after = null;
+    let pages = 0;
+    do {
+        const places = resultStore.query(getResults(), filters);
+        const { page, next } = resultStore.pageAfter(places, filters, after, limit);
+        seen.push(...page.map(p => p.cid));
+        after = next;
+        between(++pages);
+    } while (after);
+    return seen;
+}
+
+describe('resultStore.query', () => {
+    it('lists a place found by several keywords once, with all its keywords', () => {
+        const results = {
+            cafes: [place(1, '4.5'), place(2, '4.0')],
+            bakeries: [place(2, '4.0'), place(3, null)]
+        };
+        const places = resultStore.query(results);
+        assert.deepStrictEqual(places.map(p => [p.cid, p.keyword]), [['1', 'cafes'], ['2', 'cafes'], ['3', 'bakeries']]);
+        assert.deepStrictEqual(places[1].keywords, ['cafes', 'bakeries']);
+    });
+
+    it('sorts with missing values last and ties broken by identity', () => {
+        const results = { cafes: [place(3, null), place(2, '4.0'), place(9, '4,5'), place(1, '4.0')] };
+        const sorted = resultStore.query(results, { sort: 'rating' }).map(p => p.cid);
+        assert.deepStrictEqual(sorted, ['9', '1', '2', '3']);
+    });
+});
+
+describe('resultStore.pageAfter', () => {
+    it('neither repeats nor skips places added between pages', () => {
+        const results = { cafes: [place(10, '4.0'), place(20, '3.0'), place(30, '5.0')], bakeries: [] };
+        const seen = readAll(() => results, { sort: 'rating' }, 2, (pages) => {
+            // A keyword finishes while the client pages: higher and lower rated places arrive
+            if (pages === 1) results.bakeries.push(place(40, '4.9'), place(50, '1.0'), place(10, '4.0'));
+        });
+        // 4.9 sorts before the cursor (already passed), 1.0 after it
+        assert.deepStrictEqual(seen, ['30', '10', '20', '50']);
+    });
+
+    it('pages through equal sort values without losing any', () => {
+        const results = { cafes: [1, 2, 3, 4, 5].map(cid => place(cid, '4.0')) };
+        assert.deepStrictEqual(readAll(() => results, { sort: 'rating' }, 2), ['1', '2', '3', '4', '5']);
+    });
+
+    it('orders pages by identity without a sort', () => {
+        const results = { cafes: [place(3, null), place(1, null)], bakeries: [] };
+        const seen = readAll(() => results, {}, 1, (pages) => {
+            if (pages === 1) results.bakeries.push(place(2, null));
+        });
+        assert.deepStrictEqual(seen, ['1', '2', '3']);
+    });
+
+    it('returns an empty last page for a cursor past the end', () => {
+        const places = resultStore.query({ cafes: [place(1, '4.0')] }, { sort: 'name' });
+        const { page, next } = resultStore.pageAfter(places, { sort: 'name' }, { v: 'zzz', id: 'cid:9' }, 10);
+        assert.deepStrictEqual(page, []);
+        assert.strictEqual(next, null);
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Resume: links restored from a checkpoint are not queued again
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { queueNewLinks } = require('../../src/scraper/core/processor');
+
+describe('queueNewLinks', () => {
+    const links = ['https://maps/place/a', 'https://maps/place/b', 'https://maps/place/c'];
+
+    it('skips restored links and keeps their status', () => {
+        const urlStatuses = new Map([[links[0], { status: 'SUCCESS' }]]);
+        const restored = new Set([links[0]]);
+
+        const { items, skipped } = queueNewLinks(links, urlStatuses, restored);
+
+        assert.deepStrictEqual(items, [links[1], links[2]]);
+        assert.strictEqual(skipped, 1);
+        assert.deepStrictEqual(urlStatuses.get(links[0]), { status: 'SUCCESS' });
+        assert.deepStrictEqual(urlStatuses.get(links[1]), { status: 'PENDING' });
+    });
+
+    it('tags queue items with the keyword of a parallel batch', () => {
+        const { items } = queueNewLinks(links.slice(0, 1), new Map(), new Set(), 'cafes');
+        assert.deepStrictEqual(items, [{ url: links[0], keyword: 'cafes' }]);
+    });
+
+    it('only skips links restored for the same keyword', () => {
+        // Restored for "cafes", found again by "bakeries": the worker decides what to do with it
+        const urlStatuses = new Map([[links[0], { status: 'SUCCESS' }]]);
+
+        const { items, skipped } = queueNewLinks(links.slice(0, 1), urlStatuses, new Set(), 'bakeries');
+
+        assert.deepStrictEqual(items, [{ url: links[0], keyword: 'bakeries' }]);
+        assert.strictEqual(skipped, 0);
+        assert.deepStrictEqual(urlStatuses.get(links[0]), { status: 'SUCCESS' });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Schedule routes: keyword and option validation on create
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'schedule-routes-test';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../src/database/json-db');
+const scheduleRoutes = require('../../src/routes/schedules');
+
+const USER_ID = 'user_schedule_routes_test';
+
+describe('POST /api/schedules', () => {
+    let server;
+    let baseUrl;
+    const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+    const create = async (body) => {
+        const response = await fetch(`${baseUrl}/api/schedules`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ cron: '0 6 * * *', ...body })
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/schedules', scheduleRoutes);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await db.delete('schedules', { userId: USER_ID });
+    });
+
+    it('rejects more than 500 keywords', async () => {
+        const keywords = Array.from({ length: 501 }, (_, i) => `cafes ${i}`);
+        const { status, body } = await create({ keywords });
+        assert.strictEqual(status, 400);
+        assert.deepStrictEqual(body, { error: 'Validation failed', message: 'Maximum 500 keywords allowed per request' });
+    });
+
+    it('rejects missing, empty and non-string keywords', async () => {
+        for (const keywords of [undefined, [], 'cafes', [''], ['cafes', '   '], [1], [{ q: 'cafes' }]]) {
+            const { status, body } = await create({ keywords });
+            assert.strictEqual(status, 400, JSON.stringify(keywords));
+            assert.strictEqual(body.error, 'Validation failed');
+        }
+    });
+
+    it('rejects invalid job options', async () => {
+        const { status, body } = await create({ keywords: ['cafes'], options: { language: 'xx' } });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'Validation failed');
+    });
+
+    it('creates a schedule for valid keywords', async () => {
+        const { status, body } = await create({ keywords: ['cafes in delhi'], timezone: 'Asia/Kolkata' });
+        assert.strictEqual(status, 201);
+        assert.deepStrictEqual(body.schedule.keywords, ['cafes in delhi']);
+        assert.strictEqual(body.schedule.userId, USER_ID);
+        assert.ok(body.schedule.nextRunAt);
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Website enrichment: robots.txt rules, contact extraction and the crawl against a stub site
+ * Run: npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parseRobots, isAllowed } = require('../../src/scraper/enrichment/robots');
+const { WebsiteEnricher, extractContacts } = require('../../src/scraper/enrichment/website-enricher');
+
+const AGENT = 'GMapMinerBot/1.0 (+website enrichment)';
+
+describe('robots.txt', () => {
+    it('lets the longest matching rule win and Allow win ties', () => {
+        const rules = parseRobots([
+            'User-agent: *',
+            'Disallow: /contact',
+            'Allow: /contact-us',
+            'Disallow: /team',
+            'Allow: /team'
+        ].join('\n'), AGENT);
+
+        assert.strictEqual(isAllowed(rules, '/contact'), false);
+        assert.strictEqual(isAllowed(rules, '/contact/form'), false);
+        assert.strictEqual(isAllowed(rules, '/contact-us'), true);
+        assert.strictEqual(isAllowed(rules, '/team'), true);
+        assert.strictEqual(isAllowed(rules, '/about'), true);
+    });
+
+    it('supports * and $ wildcards', () => {
+        const rules = parseRobots('User-agent: *\nDisallow: /*.pdf$\nDisallow: /private*/', AGENT);
+        assert.strictEqual(isAllowed(rules, '/menu.pdf'), false);
+        assert.strictEqual(isAllowed(rules, '/menu.pdf?v=2'), true);
+        assert.strictEqual(isAllowed(rules, '/private-area/x'), false);
+    });
+
+    it('uses the group of our user agent instead of *', () => {
+        const text = [
+            'User-agent: *',
+            'Disallow: /',
+            '',
+            'User-agent: OtherBot',
+            'User-agent: GMapMinerBot',
+            'Disallow: /admin',
+            'Disallow:'
+        ].join('\n');
+        const rules = parseRobots(text, AGENT);
+        assert.strictEqual(isAllowed(rules, '/contact'), true);
+        assert.strictEqual(isAllowed(rules, '/admin'), false);
+        assert.strictEqual(isAllowed(parseRobots(text, 'SomeBot'), '/contact'), false);
+    });
+});
+
+describe('contact extraction', () => {
+    it('decodes obfuscated emails', () => {
+        const { emails } = extractContacts(`
+            <p>Write to info [at] spicegarden (dot) com or sales(at)spicegarden.co.in</p>
+            <p>Bookings: events at spicegarden dot com, team&#64;spicegarden&#46;com</p>
+            <img src="logo@2x.png">
+        `, 'https://example.com/');
+
+        assert.deepStrictEqual(emails.sort(), [
+            'events@spicegarden.com',
+            'info@spicegarden.com',
+            'sales@spicegarden.co.in',
+            'team@spicegarden.com'
+        ]);
+    });
+
+    it('keeps social profiles and drops share buttons and embeds', () => {
+        const { socials, links } = extractContacts(`
+            <a href="https://www.facebook.com/examplecafe/">Facebook</a>
+            <a href="https://www.facebook.com/sharer/sharer.php?u=https://example.com">Share</a>
+            <a href="https://twitter.com/intent/tweet?text=hi">Tweet</a>
+            <a href="https://x.com/examplecafe">X</a>
+            <a href="https://www.youtube.com/embed/abc">Video</a>
+            <a href="https://instagram.com/">Instagram</a>
+            <a href="/contact#form">Contact</a>
+        `, 'https://example.com/');
+
+        assert.deepStrictEqual(socials, [
+            { network: 'facebook', url: 'https://www.facebook.com/examplecafe' },
+            { network: 'twitter', url: 'https://x.com/examplecafe' }
+        ]);
+        assert.deepStrictEqual(links, [{ url: 'https://example.com/contact', label: 'Contact' }]);
+    });
+});
+
+describe('WebsiteEnricher against a stub site', () => {
+    let server;
+    let base;       // http://127.0.0.1:<port>
+    let otherBase;  // Same server as another origin: http://localhost:<port>
+    let site;       // path -> { status, headers, body }
+    let requests;   // "host path" of every request
+
+    const html = body => ({ headers: { 'Content-Type': 'text/html' }, body: `<html><body>${body}</body></html>` });
+    const redirect = location => ({ status: 301, headers: { Location: location } });
+    const enricher = (options = {}) => new WebsiteEnricher({ timeout: 2000, ...options });
+    const paths = urls => urls.map(url => new URL(url).pathname);
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const host = req.headers.host.split(':')[0];
+            requests.push(`${host} ${req.url}`);
+            const page = site[`${host} ${req.url}`] || site[req.url];
+            if (!page) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(page.status || 200, page.headers || {});
+            res.end(page.body || '');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        otherBase = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        site = {};
+        requests = [];
+    });
+
+    it('follows the homepage to its contact page', async () => {
+        site['/'] = html(`
+            <a href="/menu">Menu</a>
+            <a href="/reach-us">Get in touch</a>
+            <a href="https://www.instagram.com/examplecafe">Instagram</a>
+            <a href="https://www.facebook.com/sharer.php?u=x">Share</a>
+        `);
+        site['/reach-us'] = html(`
+            <a href="mailto:hello@spicegarden.com?subject=Hi">Mail</a>
+            <p>Orders: orders [at] spicegarden [dot] com, call +91 98765 43210</p>
+        `);
+
+        const result = await enricher().enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/', '/reach-us']);
+        assert.deepStrictEqual(result.emails, [
+            { value: 'hello@spicegarden.com', source: `${base}/reach-us` },
+            { value: 'orders@spicegarden.com', source: `${base}/reach-us` }
+        ]);
+        assert.deepStrictEqual(result.socials, [
+            { network: 'instagram', url: 'https://www.instagram.com/examplecafe', source: `${base}/` }
+        ]);
+        assert.deepStrictEqual(result.phones, [{ value: '+919876543210', source: `${base}/reach-us` }]);
+        assert.ok(!requests.includes('127.0.0.1 /menu'));
+    });
+
+    it('tries /contact and /contact-us when the homepage links to no contact page', async () => {
+        site['/'] = html('<a href="/menu">Menu</a>');
+        site['/contact-us'] = html('info@spicegarden.com');
+
+        const result = await enricher().enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/', '/contact-us']);
+        assert.deepStrictEqual(result.emails.map(email => email.value), ['info@spicegarden.com']);
+    });
+
+    it('stops at the page budget of the domain', async () => {
+        site['/'] = html(['/contact', '/about', '/impressum', '/enquiry'].map(path => `<a href="${path}">x</a>`).join(''));
+        for (const path of ['/contact', '/about', '/impressum', '/enquiry']) site[path] = html('');
+
+        const result = await enricher({ maxPagesPerDomain: 3 }).enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/', '/contact', '/about']);
+        assert.strictEqual(requests.filter(request => !request.endsWith('/robots.txt')).length, 3);
+    });
+
+    it('skips paths disallowed by robots.txt', async () => {
+        site['/robots.txt'] = { body: 'User-agent: *\nDisallow: /contact\nAllow: /contact-us' };
+        site['/'] = html('<a href="/contact">Contact</a><a href="/contact-us">Contact us</a>');
+        site['/contact'] = html('');
+        site['/contact-us'] = html('');
+
+        const result = await enricher().enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/', '/contact-us']);
+        assert.deepStrictEqual(paths(result.robotsBlocked), ['/contact']);
+        assert.ok(!requests.includes('127.0.0.1 /contact'));
+    });
+
+    it('checks a redirect against robots.txt before reading it', async () => {
+        site['/robots.txt'] = { body: 'User-agent: *\nDisallow: /private' };
+        site['/'] = html('<a href="/contact">Contact</a>');
+        site['/contact'] = redirect('/private/contact');
+        site['/private/contact'] = html('secret@spicegarden.com');
+
+        const result = await enricher().enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/']);
+        assert.deepStrictEqual(paths(result.robotsBlocked), ['/private/contact']);
+        assert.ok(!requests.includes('127.0.0.1 /private/contact'));
+    });
+
+    it('follows a redirect within the site as the same page', async () => {
+        site['/'] = redirect('/home');
+        site['/home'] = html('<a href="/contact">Contact</a>');
+        site['/contact'] = html('info@spicegarden.com');
+
+        const result = await enricher({ maxPagesPerDomain: 2 }).enrich(base);
+
+        assert.deepStrictEqual(paths(result.pagesFetched), ['/home', '/contact']);
+        assert.deepStrictEqual(result.emails, [{ value: 'info@spicegarden.com', source: `${base}/contact` }]);
+    });
+
+    it('does not follow redirects to another site', async () => {
+        site['/'] = html('<a href="/contact">Contact</a>');
+        site['/contact'] = redirect(`${otherBase}/contact`);
+        site['localhost /contact'] = html('other@spicegarden.com');
+
+        const result = await enricher().enrich(base);
+        assert.deepStrictEqual(result.pagesFetched, [`${base}/`]);
+        assert.deepStrictEqual(result.emails, []);
+
+        site['/'] = redirect(`${otherBase}/`);
+        const moved = await enricher().enrich(base);
+        assert.deepStrictEqual(moved.pagesFetched, []);
+
+        assert.ok(requests.every(request => !request.startsWith('localhost ')));
+    });
+});